@@ -1,6 +1,6 @@
 /**
  * BMP image encoder for e-ink displays
- * Supports 1-bit (monochrome) and 24-bit (RGB) formats
+ * Supports palettized grayscale or color (1, 2, 4 and 8-bit) and 24-bit (RGB) formats
  * @module bmp
  */
 
@@ -12,7 +12,13 @@
  * Supported bits per pixel values for BMP encoding
  * @type {number[]}
  */
-const SUPPORTED_BITS_PER_PIXEL = [1, 24];
+const SUPPORTED_BITS_PER_PIXEL = [1, 2, 4, 8, 24];
+
+/**
+ * Size of the BMP file header plus BITMAPINFOHEADER (bytes)
+ * @type {number}
+ */
+const BASE_HEADER_SIZE = 54;
 
 // =============================================================================
 // BMP ENCODER CLASS
@@ -27,28 +33,39 @@ export class BMPEncoder {
   /**
    * @param {number} width - Image width in pixels
    * @param {number} height - Image height in pixels
-   * @param {number} bitsPerPixel - Color depth (1 or 24)
-   * @throws {Error} If bits per pixel is not supported
+   * @param {number} bitsPerPixel - Color depth (1, 2, 4, 8 or 24)
+   * @param {number[][]} [colors] - Custom [r, g, b] palette for indexed formats;
+   *   encode() then takes palette indices instead of gray values
+   * @throws {Error} If bits per pixel is not supported or the palette does not fit
    */
-  constructor(width, height, bitsPerPixel) {
+  constructor(width, height, bitsPerPixel, colors) {
     if (!SUPPORTED_BITS_PER_PIXEL.includes(bitsPerPixel)) {
       throw new Error(`Unsupported bits per pixel. Supported: ${SUPPORTED_BITS_PER_PIXEL.join(", ")}`);
     }
+    if (colors && (bitsPerPixel > 8 || colors.length > 2 ** bitsPerPixel)) {
+      throw new Error(`Palette must have at most ${2 ** Math.min(bitsPerPixel, 8)} colors for ${bitsPerPixel}-bit`);
+    }
 
     this.width = width;
     this.height = height;
     this.bitsPerPixel = bitsPerPixel;
+    this.colors = colors;
+
+    // Indexed formats carry a palette (evenly spaced grays unless colors given)
+    this.paletteSize = bitsPerPixel <= 8 ? 2 ** bitsPerPixel : 0;
 
     // Calculate row padding (BMP rows must be 4-byte aligned)
-    const rowBytes = this.width * (this.bitsPerPixel / 8);
+    const rowBytes = Math.ceil((this.width * this.bitsPerPixel) / 8);
     const padding = (4 - (rowBytes % 4)) % 4;
+    this.rowBytes = rowBytes;
     this.padding = padding;
-    this.paddedWidthBytes = Math.ceil(rowBytes) + padding;
+    this.paddedWidthBytes = rowBytes + padding;
   }
 
   /**
    * Encodes raw image data to BMP format
-   * @param {Buffer} data - Raw pixel data (RGB for 24-bit, grayscale for 1-bit)
+   * @param {Buffer} data - Raw pixel data (RGB for 24-bit, grayscale for indexed,
+   *   palette indices when a custom palette was given)
    * @returns {Buffer} Complete BMP file buffer
    */
   encode(data) {
@@ -59,7 +76,7 @@ export class BMPEncoder {
 
   /**
    * Creates the BMP file header
-   * @returns {Buffer} BMP header (54 bytes for 24-bit, 62 bytes for 1-bit with palette)
+   * @returns {Buffer} BMP header (54 bytes plus 4 bytes per palette entry)
    * @private
    *
    * BMP Header Structure:
@@ -77,12 +94,12 @@ export class BMPEncoder {
    * - Bytes 38-45: Resolution (0)
    * - Bytes 46-49: Colors in palette
    * - Bytes 50-53: Important colors
-   * - Bytes 54-61: Color palette (1-bit only)
+   * - Bytes 54+:   Color palette (indexed formats only)
    */
   createHeader() {
-    // 1-bit BMP needs color palette (8 extra bytes)
-    const headerSize = this.bitsPerPixel === 1 ? 62 : 54;
-    const fileSize = headerSize + this.height * this.paddedWidthBytes;
+    const headerSize = BASE_HEADER_SIZE + this.paletteSize * 4;
+    const imageSize = this.height * this.paddedWidthBytes;
+    const fileSize = headerSize + imageSize;
     const header = Buffer.alloc(headerSize);
 
     // BMP signature
@@ -100,29 +117,39 @@ export class BMPEncoder {
     header.writeUInt16LE(1, 26);                 // Color planes
     header.writeUInt16LE(this.bitsPerPixel, 28); // Bits per pixel
     header.writeUInt32LE(0, 30);                 // Compression (none)
-
-    // Image data size
-    const imageSize = this.width * this.height * (this.bitsPerPixel / 8);
-    header.writeUInt32LE(imageSize, 34);
+    header.writeUInt32LE(imageSize, 34);         // Image data size
 
     // Resolution and palette info
     header.writeInt32LE(0, 38);                  // X pixels per meter
     header.writeInt32LE(0, 42);                  // Y pixels per meter
-
-    // Palette entries (only for 1-bit)
-    const paletteSize = this.bitsPerPixel === 1 ? 2 : 0;
-    header.writeUInt32LE(paletteSize, 46);       // Colors in palette
-    header.writeUInt32LE(paletteSize, 50);       // Important colors
-
-    // Color palette for 1-bit (black and white)
-    if (this.bitsPerPixel === 1) {
-      header.writeUInt32LE(0x00000000, 54);      // Index 0: Black (BGR + reserved)
-      header.writeUInt32LE(0x00FFFFFF, 58);      // Index 1: White (BGR + reserved)
-    }
+    header.writeUInt32LE(this.paletteSize, 46);  // Colors in palette
+    header.writeUInt32LE(this.paletteSize, 50);  // Important colors
+
+    // Palette (gray: index 0 = black, last index = white; unused entries stay black)
+    const palette = this.colors || this.getPalette().map((gray) => [gray, gray, gray]);
+    palette.forEach(([red, green, blue], index) => {
+      const offset = BASE_HEADER_SIZE + index * 4;
+      header.writeUInt8(blue, offset);           // Blue
+      header.writeUInt8(green, offset + 1);      // Green
+      header.writeUInt8(red, offset + 2);        // Red
+      header.writeUInt8(0, offset + 3);          // Reserved
+    });
 
     return header;
   }
 
+  /**
+   * Returns the gray value of each palette index
+   * Levels are evenly spaced to match the quantized output of lib/dithering.js
+   * @returns {number[]} Gray values (0-255), empty for 24-bit
+   */
+  getPalette() {
+    const maxIndex = this.paletteSize - 1;
+    return Array.from({ length: this.paletteSize }, (_, index) =>
+      Math.round((index * 255) / maxIndex)
+    );
+  }
+
   /**
    * Converts raw pixel data to BMP pixel format
    * BMP stores rows bottom-to-top and uses BGR color order
@@ -132,53 +159,42 @@ export class BMPEncoder {
    */
   createPixelData(imageData) {
     const pixelData = Buffer.alloc(this.height * this.paddedWidthBytes);
-    let offset = 0;
-
-    if (this.bitsPerPixel === 1) {
-      // 1-bit monochrome: pack 8 pixels per byte
-      for (let y = 0; y < this.height; y++) {
-        for (let x = 0; x < this.width; x++) {
-          const pixel = imageData[y * this.width + x];
-          // BMP stores rows bottom-to-top
-          const byteIndex = (this.height - 1 - y) * this.paddedWidthBytes + Math.floor(x / 8);
-          const bitIndex = x % 8;
-          const currentByte = pixelData.readUInt8(byteIndex);
-
-          // Set or clear bit (MSB first within each byte)
-          if (pixel === 0xFF) {
-            pixelData.writeUInt8(currentByte | (1 << (7 - bitIndex)), byteIndex);
-          } else {
-            pixelData.writeUInt8(currentByte & ~(1 << (7 - bitIndex)), byteIndex);
-          }
-        }
-
-        // Add row padding
-        offset += Math.ceil(this.width / 8);
-        for (let p = 0; p < this.padding; p++) {
-          pixelData.writeUInt8(0, offset++);
-        }
-      }
 
-    } else if (this.bitsPerPixel === 24) {
+    if (this.bitsPerPixel === 24) {
       // 24-bit RGB: convert to BGR and flip vertically
+      let offset = 0;
       for (let y = this.height - 1; y >= 0; y--) {
         for (let x = 0; x < this.width; x++) {
           // Source data is RGB from Sharp (without padding)
           const sourceIndex = (y * this.width + x) * 3;
-          const r = imageData[sourceIndex];
-          const g = imageData[sourceIndex + 1];
-          const b = imageData[sourceIndex + 2];
-
-          // BMP uses BGR order
-          pixelData.writeUInt8(b, offset++);
-          pixelData.writeUInt8(g, offset++);
-          pixelData.writeUInt8(r, offset++);
+          pixelData[offset++] = imageData[sourceIndex + 2];
+          pixelData[offset++] = imageData[sourceIndex + 1];
+          pixelData[offset++] = imageData[sourceIndex];
         }
 
-        // Add row padding
-        for (let p = 0; p < this.padding; p++) {
-          pixelData.writeUInt8(0, offset++);
-        }
+        // Row padding is already zero-filled
+        offset += this.padding;
+      }
+
+      return pixelData;
+    }
+
+    // Indexed: map each gray value to its nearest palette index (custom
+    // palettes receive indices directly) and pack pixels MSB-first
+    // (row padding is already zero-filled)
+    const maxIndex = this.paletteSize - 1;
+    const pixelsPerByte = 8 / this.bitsPerPixel;
+
+    for (let y = 0; y < this.height; y++) {
+      // BMP stores rows bottom-to-top
+      const rowOffset = (this.height - 1 - y) * this.paddedWidthBytes;
+
+      for (let x = 0; x < this.width; x++) {
+        const value = imageData[y * this.width + x];
+        const index = this.colors ? value : Math.round((value * maxIndex) / 255);
+        const byteIndex = rowOffset + Math.floor(x / pixelsPerByte);
+        const shift = 8 - this.bitsPerPixel * ((x % pixelsPerByte) + 1);
+        pixelData[byteIndex] |= index << shift;
       }
     }
 
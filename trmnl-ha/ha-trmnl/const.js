@@ -74,6 +74,20 @@ export const chromiumExecutable = isAddOn
  */
 export const keepBrowserOpen = options.keep_browser_open || false;
 
+/**
+ * Seconds a render is reused for identical screenshot requests (0 = off)
+ * The default covers a device polling once a minute
+ * @type {number}
+ */
+export const renderCacheSeconds = options.render_cache_seconds ?? 60;
+
+/**
+ * Directory scanned for pipeline plugins at startup
+ * The add-on keeps them in /data, which survives updates of the image
+ * @type {string|undefined}
+ */
+export const pluginsDir = isAddOn ? "/data/plugins" : undefined;
+
 /**
  * Enable debug logging
  * @type {boolean}
@@ -102,6 +116,30 @@ export const BROWSER_TIMEOUT = 30_000;
  */
 export const MAX_NEXT_REQUESTS = 100;
 
+/**
+ * Renders kept in memory to compute changed regions against
+ * @type {number}
+ */
+export const MAX_REGION_RENDERS = 16;
+
+/**
+ * Renders kept by the render cache (see lib/renderCache.js)
+ * @type {number}
+ */
+export const MAX_RENDER_CACHE_ENTRIES = 32;
+
+/**
+ * Log entries kept in memory per TRMNL device
+ * @type {number}
+ */
+export const MAX_DEVICE_LOGS = 50;
+
+/**
+ * TRMNL devices that can register through /api/setup
+ * @type {number}
+ */
+export const MAX_DEVICES = 32;
+
 // =============================================================================
 // SCREENSHOT CONFIGURATION
 // =============================================================================
@@ -112,11 +150,29 @@ export const MAX_NEXT_REQUESTS = 100;
  */
 export const HEADER_HEIGHT = 56;
 
+/**
+ * Headerless framebuffer formats and their bits per pixel
+ * raw-bwr is two 1-bit planes (black, then red or yellow) for tri-color panels
+ * @type {Object.<string, number>}
+ */
+export const FRAMEBUFFER_FORMATS = {
+  raw1: 1,
+  raw2: 2,
+  raw4: 4,
+  "raw-bwr": 1
+};
+
 /**
  * Valid output image formats
  * @type {string[]}
  */
-export const VALID_FORMATS = ["png", "jpeg", "webp", "bmp"];
+export const VALID_FORMATS = ["png", "jpeg", "webp", "bmp", ...Object.keys(FRAMEBUFFER_FORMATS)];
+
+/**
+ * Valid framebuffer row alignments in bytes
+ * @type {number[]}
+ */
+export const VALID_ROW_ALIGNMENTS = [1, 2, 4];
 
 /**
  * Valid rotation angles in degrees
@@ -149,6 +205,12 @@ export const DEFAULT_WAIT_TIME = isAddOn ? 750 : 500;
  */
 export const COLD_START_EXTRA_WAIT = 2500;
 
+/**
+ * How long to wait for a `selector` element to appear (milliseconds)
+ * @type {number}
+ */
+export const SELECTOR_TIMEOUT = 5000;
+
 /**
  * Content-Type headers for each output format
  * @type {Object.<string, string>}
@@ -157,5 +219,9 @@ export const CONTENT_TYPES = {
   jpeg: "image/jpeg",
   webp: "image/webp",
   bmp: "image/bmp",
-  png: "image/png"
+  png: "image/png",
+  raw1: "application/x-epaper-1bpp",
+  raw2: "application/x-epaper-2bpp",
+  raw4: "application/x-epaper-4bpp",
+  "raw-bwr": "application/x-epaper-bwr"
 };
@@ -21,3 +21,19 @@ export class CannotOpenPageError extends Error {
     this.name = "CannotOpenPageError";
   }
 }
+
+/**
+ * Error thrown when a `selector` matches no element on the page
+ * @class
+ * @extends Error
+ */
+export class ElementNotFoundError extends Error {
+  /**
+   * @param {string} selector - The selector that matched nothing
+   */
+  constructor(selector) {
+    super(`Element not found: ${selector}`);
+    this.selector = selector;
+    this.name = "ElementNotFoundError";
+  }
+}
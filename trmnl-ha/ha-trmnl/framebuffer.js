@@ -0,0 +1,143 @@
+/**
+ * Raw framebuffer encoder for e-paper controllers
+ * Writes headerless, row-major packed pixels (MSB first) that ESPHome and
+ * bare-metal Waveshare drivers can push to the controller unchanged
+ * @module framebuffer
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Supported bits per pixel
+ * @type {number[]}
+ */
+const SUPPORTED_BITS_PER_PIXEL = [1, 2, 4];
+
+/**
+ * Supported row alignments in bytes
+ * @type {number[]}
+ */
+export const SUPPORTED_ROW_ALIGNMENTS = [1, 2, 4];
+
+// =============================================================================
+// FRAMEBUFFER ENCODER CLASS
+// =============================================================================
+
+/**
+ * Packs pixel levels into a raw framebuffer
+ *
+ * Level 0 is black (ink) and the highest level is white (paper), matching
+ * the Waveshare and ESPHome convention; `invert` flips every pixel for
+ * controllers that expect 1 = ink.
+ * @class
+ */
+export class FramebufferEncoder {
+  /**
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {number} bitsPerPixel - Bits per pixel (1, 2 or 4)
+   * @param {Object} [options] - Packing options
+   * @param {number} [options.rowAlign=1] - Pad each row to a multiple of this many bytes (1, 2 or 4)
+   * @param {boolean} [options.invert=false] - Invert every pixel
+   * @throws {Error} If bits per pixel or row alignment is unsupported
+   */
+  constructor(width, height, bitsPerPixel, { rowAlign = 1, invert = false } = {}) {
+    if (!SUPPORTED_BITS_PER_PIXEL.includes(bitsPerPixel)) {
+      throw new Error(`Unsupported bits per pixel. Supported: ${SUPPORTED_BITS_PER_PIXEL.join(", ")}`);
+    }
+    if (!SUPPORTED_ROW_ALIGNMENTS.includes(rowAlign)) {
+      throw new Error(`Unsupported row alignment. Supported: ${SUPPORTED_ROW_ALIGNMENTS.join(", ")}`);
+    }
+
+    this.width = width;
+    this.height = height;
+    this.bitsPerPixel = bitsPerPixel;
+    this.invert = invert;
+    this.maxLevel = 2 ** bitsPerPixel - 1;
+
+    // Row length rounded up to the alignment; padding bits stay zero
+    const packedBytes = Math.ceil((width * bitsPerPixel) / 8);
+    this.rowBytes = Math.ceil(packedBytes / rowAlign) * rowAlign;
+  }
+
+  /**
+   * Packs pixel levels into one framebuffer
+   * @param {Uint8Array|Buffer} levels - One level (0 to 2^bitsPerPixel - 1) per pixel, row-major
+   * @returns {Buffer} Framebuffer of rowBytes * height bytes
+   */
+  encode(levels) {
+    const buffer = Buffer.alloc(this.rowBytes * this.height);
+    const pixelsPerByte = 8 / this.bitsPerPixel;
+
+    for (let y = 0; y < this.height; y++) {
+      const rowOffset = y * this.rowBytes;
+
+      for (let x = 0; x < this.width; x++) {
+        let level = levels[y * this.width + x];
+        if (this.invert) level = this.maxLevel - level;
+
+        const byteIndex = rowOffset + Math.floor(x / pixelsPerByte);
+        const shift = 8 - this.bitsPerPixel * ((x % pixelsPerByte) + 1);
+        buffer[byteIndex] |= level << shift;
+      }
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Packs 8-bit gray pixels (0-255), rounded to the nearest level
+   * @param {Uint8Array|Buffer} gray - One gray value per pixel, row-major
+   * @returns {Buffer} Framebuffer
+   */
+  encodeGray(gray) {
+    const levels = new Uint8Array(gray.length);
+    for (let i = 0; i < gray.length; i++) {
+      levels[i] = Math.round((gray[i] * this.maxLevel) / 255);
+    }
+    return this.encode(levels);
+  }
+
+  /**
+   * Packs one 1-bit plane per ink color, one after another
+   *
+   * Tri-color panels take a black plane and a red (or yellow) plane; in each
+   * plane a pixel is 0 where it shows that ink and 1 elsewhere.
+   *
+   * @param {Uint8Array} indices - Palette index per pixel, row-major
+   * @param {number[]} inkIndices - Palette index of each plane's ink, in plane order
+   * @returns {Buffer} Concatenated planes
+   * @throws {Error} If the encoder is not 1 bit per pixel
+   */
+  encodePlanes(indices, inkIndices) {
+    if (this.bitsPerPixel !== 1) {
+      throw new Error("Planes are 1 bit per pixel");
+    }
+
+    return Buffer.concat(
+      inkIndices.map((ink) => this.encode(indices.map((index) => (index === ink ? 0 : 1))))
+    );
+  }
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Panel indices of the inks of a tri-color framebuffer, in plane order
+ * (black, then the accent color), found from the palette's target colors
+ * so palettes may list black, white and the accent in any order
+ * @param {number[][]} colors - Target RGB color per panel index (3 entries)
+ * @returns {number[]} Index of the darkest color, then of the remaining
+ *   non-white one (the lightest is white paper)
+ */
+export function tricolorInkIndices(colors) {
+  const luminance = ([r, g, b]) => 0.299 * r + 0.587 * g + 0.114 * b;
+  const [black, accent] = colors
+    .map((_, index) => index)
+    .sort((a, b) => luminance(colors[a]) - luminance(colors[b]));
+  return [black, accent];
+}
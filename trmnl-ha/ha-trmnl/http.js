@@ -3,7 +3,9 @@
  * @module http
  */
 
+import fs from "node:fs";
 import http from "node:http";
+import path from "node:path";
 import { Browser } from "./screenshot.js";
 import {
   isAddOn,
@@ -11,17 +13,77 @@ import {
   hassToken,
   keepBrowserOpen,
   MAX_NEXT_REQUESTS,
+  MAX_REGION_RENDERS,
+  MAX_RENDER_CACHE_ENTRIES,
+  MAX_DEVICE_LOGS,
+  MAX_DEVICES,
+  renderCacheSeconds,
   BROWSER_TIMEOUT,
   SERVER_PORT,
   VALID_FORMATS,
+  VALID_EINK_COLORS,
   VALID_ROTATIONS,
   VALID_BIT_DEPTHS,
+  VALID_ROW_ALIGNMENTS,
   CONTENT_TYPES
 } from "./const.js";
-import { CannotOpenPageError } from "./error.js";
+import { CannotOpenPageError, ElementNotFoundError } from "./error.js";
 import { handleUIRequest } from "./ui.js";
+import { getSupportedMethods, getSupportedMatrixSizes } from "./lib/dithering.js";
+import { getSupportedPalettes, isBuiltInPalette, validatePalette } from "./lib/palettes.js";
+import { parseToneCurve } from "./lib/tone.js";
+import { FINE_ROTATION_LIMIT, MAX_OFFSET, MIRROR_MODES, parseCrop } from "./lib/geometry.js";
+import { MAX_SELECTOR_PADDING } from "./lib/selector.js";
+import { computeCellRects, parseLayout, stitchCells, validateLayout } from "./lib/layout.js";
+import {
+  MAX_OVERLAY_TEMPLATE_LENGTH,
+  OVERLAY_DEFAULTS,
+  OVERLAY_FONT_SIZES,
+  OVERLAY_POSITIONS,
+} from "./lib/overlay.js";
+import { buildPipeline, parsePipeline, validatePipeline } from "./lib/pipeline.js";
+import { SUPERSAMPLE_FACTORS, formatServerTiming } from "./lib/supersample.js";
+import { savePalette, deletePalette } from "./lib/paletteStore.js";
+import {
+  RAMP_STEPS,
+  getCalibrationProfiles,
+  renderGrayRamp,
+  validateCalibration,
+} from "./lib/calibration.js";
+import { saveCalibration, deleteCalibration } from "./lib/calibrationStore.js";
+import {
+  REGION_FORMATS,
+  boundingRegion,
+  decodeOutput,
+  encodeRegion,
+  findChangedRegions,
+  formatRegionsHeader,
+} from "./lib/regions.js";
+import { RenderCache, isNotModified, normalizeRequestKey } from "./lib/renderCache.js";
+import {
+  DEVICE_REFRESH_RATE,
+  MAC_ADDRESS_PATTERN,
+  MAX_DEVICE_TEXT_LENGTH,
+  buildDisplayResponse,
+  parseDeviceLogs,
+  readDeviceHeaders,
+  requestBaseUrl,
+  resolveRefreshRate,
+} from "./lib/devices.js";
+import {
+  loadDevices,
+  getDevice,
+  getDeviceByApiKey,
+  getDeviceByMac,
+  registerDevice,
+  recordDeviceStatus,
+  updateDevice,
+  deleteDevice,
+} from "./lib/deviceStore.js";
+import { OUTPUT_DIR, listSavedOutputs } from "./scheduler.js";
 import {
   loadSchedules,
+  getSchedule,
   createSchedule,
   updateSchedule,
   deleteSchedule,
@@ -36,7 +98,7 @@ import {
  * Manages request queuing, browser lifecycle, and scheduled requests
  * @class
  */
-class RequestHandler {
+export class RequestHandler {
   /**
    * @param {Browser} browser - Browser instance for screenshot operations
    */
@@ -63,6 +125,21 @@ class RequestHandler {
 
     /** @type {number|undefined} Browser cleanup timer ID */
     this.browserCleanupTimer = undefined;
+
+    /** @type {Map<string, Object>} Last decoded render per request, for changed regions */
+    this.lastRenders = new Map();
+
+    /** @type {RenderCache} Recent renders with their ETag and Last-Modified */
+    this.renderCache = new RenderCache({
+      ttl: renderCacheSeconds * 1000,
+      maxEntries: MAX_RENDER_CACHE_ENTRIES
+    });
+
+    /** @type {Map<string, Object[]>} Recent log entries per device friendly ID */
+    this.deviceLogs = new Map();
+
+    /** @type {Object|undefined} Scheduler whose last runs are reported (set by main.js) */
+    this.scheduler = undefined;
   }
 
   // ===========================================================================
@@ -138,6 +215,19 @@ class RequestHandler {
     });
   }
 
+  /**
+   * Decodes the last segment of a request path (a name or ID)
+   * @param {URL} requestUrl - Parsed request URL
+   * @returns {string|null} Decoded segment, or null if its escapes are malformed
+   */
+  decodeLastPathSegment(requestUrl) {
+    try {
+      return decodeURIComponent(requestUrl.pathname.split("/").pop());
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Parses viewport dimensions from URL parameter
    * @param {string|null} viewportParam - Viewport string in "WIDTHxHEIGHT" format
@@ -165,7 +255,11 @@ class RequestHandler {
 
     // Parse e-ink color reduction
     let einkColors = parseInt(searchParams.get("eink"), 10);
-    if (isNaN(einkColors) || einkColors < 2) einkColors = undefined;
+    if (isNaN(einkColors) || !VALID_EINK_COLORS.includes(einkColors)) einkColors = undefined;
+
+    // Parse 2-color e-ink threshold (default: 220)
+    let einkThreshold = parseInt(searchParams.get("eink_threshold"), 10);
+    if (isNaN(einkThreshold) || einkThreshold < 0 || einkThreshold > 255) einkThreshold = undefined;
 
     // Parse zoom level (default: 1)
     let zoom = parseFloat(searchParams.get("zoom"));
@@ -179,13 +273,58 @@ class RequestHandler {
     let rotate = parseInt(searchParams.get("rotate"), 10);
     if (isNaN(rotate) || !VALID_ROTATIONS.includes(rotate)) rotate = undefined;
 
+    // Parse padding around a selected element (default: 0)
+    let selectorPadding = parseInt(searchParams.get("selector_padding"), 10);
+    if (isNaN(selectorPadding) || selectorPadding < 0 || selectorPadding > MAX_SELECTOR_PADDING) {
+      selectorPadding = 0;
+    }
+
+    // Parse fine rotation in degrees for off-axis panels
+    let fineRotate = parseFloat(searchParams.get("fine_rotate"));
+    if (isNaN(fineRotate) || Math.abs(fineRotate) > FINE_ROTATION_LIMIT) fineRotate = undefined;
+
+    // Parse content offsets in pixels (-10000 to 10000)
+    let offsetX = parseInt(searchParams.get("offset_x"), 10);
+    if (isNaN(offsetX) || Math.abs(offsetX) > MAX_OFFSET) offsetX = undefined;
+    let offsetY = parseInt(searchParams.get("offset_y"), 10);
+    if (isNaN(offsetY) || Math.abs(offsetY) > MAX_OFFSET) offsetY = undefined;
+
+    // Parse mirror mode
+    let mirror = searchParams.get("mirror") || undefined;
+    if (mirror && !MIRROR_MODES.includes(mirror)) mirror = undefined;
+
+    // Parse framebuffer row alignment in bytes (default: 1)
+    let rowAlign = parseInt(searchParams.get("row_align"), 10);
+    if (isNaN(rowAlign) || !VALID_ROW_ALIGNMENTS.includes(rowAlign)) rowAlign = 1;
+
+    // Parse supersampling device scale factor (default: 1 = off)
+    let supersample = parseInt(searchParams.get("supersample"), 10);
+    if (isNaN(supersample) || !SUPERSAMPLE_FACTORS.includes(supersample)) supersample = 1;
+
+    // Parse output size budget in bytes
+    let maxBytes = parseInt(searchParams.get("max_bytes"), 10);
+    if (isNaN(maxBytes) || maxBytes <= 0) maxBytes = undefined;
+
     return {
       extraWait,
       einkColors,
+      einkThreshold,
       zoom,
       format,
       rotate,
+      selector: searchParams.get("selector") || undefined,
+      selectorPadding,
+      selectorScale: searchParams.has("selector_scale"),
+      crop: parseCrop(searchParams.get("crop")),
+      fineRotate,
+      offsetX,
+      offsetY,
+      mirror,
+      rowAlign,
+      maxBytes,
+      supersample,
       invert: searchParams.has("invert"),
+      invertBits: searchParams.has("invert_bits"),
       lang: searchParams.get("lang") || undefined,
       theme: searchParams.get("theme") || undefined,
       dark: searchParams.has("dark")
@@ -212,13 +351,92 @@ class RequestHandler {
     let whiteLevel = parseInt(searchParams.get("white_level"), 10);
     if (isNaN(whiteLevel) || whiteLevel < 0 || whiteLevel > 100) whiteLevel = 100;
 
+    // Reset levels that would leave no output range
+    if (blackLevel >= whiteLevel) {
+      blackLevel = 0;
+      whiteLevel = 100;
+    }
+
+    // Parse dithering method (default: floyd-steinberg)
+    let method = searchParams.get("dither_method") || "floyd-steinberg";
+    if (!Object.hasOwn(getSupportedMethods(), method)) method = "floyd-steinberg";
+
+    // Parse Bayer matrix size for ordered dithering (default: 8)
+    let ditherMatrix = parseInt(searchParams.get("dither_matrix"), 10);
+    if (isNaN(ditherMatrix) || !getSupportedMatrixSizes().includes(ditherMatrix)) ditherMatrix = 8;
+
+    // Parse error diffusion strength (0-100%, default: 100)
+    let diffusionStrength = parseInt(searchParams.get("diffusion_strength"), 10);
+    if (isNaN(diffusionStrength) || diffusionStrength < 0 || diffusionStrength > 100) diffusionStrength = 100;
+
+    // Parse color palette, built-in or saved custom (default: grayscale at bitDepth)
+    let palette = searchParams.get("palette") || undefined;
+    if (palette && !Object.hasOwn(getSupportedPalettes(), palette)) palette = undefined;
+
+    // Parse panel calibration profile (default: none)
+    let calibration = searchParams.get("calibration") || undefined;
+    if (calibration && !Object.hasOwn(getCalibrationProfiles(), calibration)) calibration = undefined;
+
+    // Parse auto-levels clipping (0-10% per end, default: 0.5)
+    let autoLevelsClip = parseFloat(searchParams.get("auto_levels_clip"));
+    if (isNaN(autoLevelsClip) || autoLevelsClip < 0 || autoLevelsClip > 10) autoLevelsClip = 0.5;
+
+    // Parse unsharp mask amount (0-500%, default: 0 = off) and radius (0.5-10px, default: 1)
+    let sharpenAmount = parseInt(searchParams.get("sharpen"), 10);
+    if (isNaN(sharpenAmount) || sharpenAmount < 0 || sharpenAmount > 500) sharpenAmount = 0;
+    let sharpenRadius = parseFloat(searchParams.get("sharpen_radius"));
+    if (isNaN(sharpenRadius) || sharpenRadius < 0.5 || sharpenRadius > 10) sharpenRadius = 1;
+
     return {
       enabled: true,
-      method: searchParams.get("dither_method") || "floyd-steinberg",
+      method,
       bitDepth,
       gammaCorrection: !searchParams.has("no_gamma"),
       blackLevel,
-      whiteLevel
+      whiteLevel,
+      ditherMatrix,
+      serpentine: searchParams.has("serpentine"),
+      diffusionStrength,
+      palette,
+      autoLevels: searchParams.has("auto_levels"),
+      autoLevelsClip,
+      // Tone curve as input:output pairs, e.g. 0:0,200:120,255:255
+      toneCurve: parseToneCurve(searchParams.get("tone_curve")),
+      sharpenAmount,
+      sharpenRadius,
+      calibration
+    };
+  }
+
+  /**
+   * Parses status overlay parameters from URL search params
+   * @param {URLSearchParams} searchParams - URL search parameters
+   * @returns {Object|undefined} Overlay config object or undefined if disabled
+   */
+  parseOverlayParams(searchParams) {
+    if (!searchParams.has("overlay")) return undefined;
+
+    // Parse strip position (default: bottom)
+    let position = searchParams.get("overlay_position") || OVERLAY_DEFAULTS.position;
+    if (!OVERLAY_POSITIONS.includes(position)) position = OVERLAY_DEFAULTS.position;
+
+    // Parse font size in pixels (8-64, default: 14)
+    let fontSize = parseInt(searchParams.get("overlay_size"), 10);
+    if (isNaN(fontSize) || fontSize < OVERLAY_FONT_SIZES.min || fontSize > OVERLAY_FONT_SIZES.max) {
+      fontSize = OVERLAY_DEFAULTS.fontSize;
+    }
+
+    // Template with {time}, {date}, {status} and {dashboard} placeholders
+    let template = searchParams.get("overlay_text") ?? OVERLAY_DEFAULTS.template;
+    if (template.length > MAX_OVERLAY_TEMPLATE_LENGTH) template = OVERLAY_DEFAULTS.template;
+
+    return {
+      enabled: true,
+      template,
+      position,
+      fontSize,
+      invert: searchParams.has("overlay_invert"),
+      icons: searchParams.has("overlay_icons")
     };
   }
 
@@ -235,7 +453,10 @@ class RequestHandler {
     response.setHeader("Content-Type", "application/json");
 
     if (request.method === "GET") {
-      const schedules = loadSchedules();
+      const schedules = loadSchedules().map((schedule) => ({
+        ...schedule,
+        lastRun: this.scheduler?.getLastRun(schedule.id) ?? null
+      }));
       response.writeHead(200);
       response.end(JSON.stringify(schedules));
       return;
@@ -245,6 +466,8 @@ class RequestHandler {
       try {
         const body = await this.readRequestBody(request);
         const schedule = JSON.parse(body);
+        // lastRun is reported by the scheduler and never stored
+        delete schedule.lastRun;
         const created = createSchedule(schedule);
         response.writeHead(201);
         response.end(JSON.stringify(created));
@@ -271,6 +494,7 @@ class RequestHandler {
       try {
         const body = await this.readRequestBody(request);
         const updates = JSON.parse(body);
+        delete updates.lastRun;
         const updated = updateSchedule(id, updates);
 
         if (!updated) {
@@ -302,6 +526,604 @@ class RequestHandler {
     this.sendJsonError(response, 405, "Method not allowed");
   }
 
+  /**
+   * Handles GET /api/schedules/:id/regions
+   * Compares the schedule's two latest saved renders; with `region=N` the
+   * bitmap of rectangle N of the latest render is returned instead
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {http.ServerResponse} response - HTTP response
+   * @param {URL} requestUrl - Parsed request URL
+   */
+  async handleScheduleRegionsAPI(request, response, requestUrl) {
+    if (request.method !== "GET") {
+      this.sendJsonError(response, 405, "Method not allowed");
+      return;
+    }
+
+    const schedule = getSchedule(requestUrl.pathname.split("/")[3]);
+    if (!schedule) {
+      this.sendJsonError(response, 404, "Schedule not found");
+      return;
+    }
+
+    const [currentFile, previousFile] = listSavedOutputs(schedule);
+    if (!currentFile) {
+      this.sendJsonError(response, 404, "Schedule has no saved renders");
+      return;
+    }
+
+    const format = path.extname(currentFile).slice(1);
+    if (!REGION_FORMATS.includes(format)) {
+      this.sendJsonError(response, 400, `Changed regions need ${REGION_FORMATS.join(", ")} output, not ${format}`);
+      return;
+    }
+
+    let current;
+    let previous;
+    const comparable = previousFile && path.extname(previousFile) === path.extname(currentFile);
+    try {
+      current = await decodeOutput(fs.readFileSync(path.join(OUTPUT_DIR, currentFile)), format);
+      if (comparable) {
+        previous = await decodeOutput(fs.readFileSync(path.join(OUTPUT_DIR, previousFile)), format);
+      }
+    } catch (err) {
+      this.sendJsonError(response, 500, `Cannot read saved render: ${err.message}`);
+      return;
+    }
+    const { regions, changedPixels } = findChangedRegions(previous, current);
+
+    if (requestUrl.searchParams.has("region")) {
+      const region = regions[parseInt(requestUrl.searchParams.get("region"), 10)];
+      if (!region) {
+        this.sendJsonError(response, 404, "Region not found");
+        return;
+      }
+
+      let image;
+      try {
+        image = await encodeRegion(current, region);
+      } catch (err) {
+        this.sendJsonError(response, 500, `Cannot encode region: ${err.message}`);
+        return;
+      }
+      response.writeHead(200, {
+        "Content-Type": CONTENT_TYPES[format],
+        "Content-Length": image.length,
+        "X-Region": formatRegionsHeader([region])
+      });
+      response.end(image);
+      return;
+    }
+
+    response.writeHead(200, {
+      "Content-Type": "application/json",
+      "X-Changed-Regions": formatRegionsHeader(regions)
+    });
+    response.end(JSON.stringify({
+      format,
+      width: current.width,
+      height: current.height,
+      current: currentFile,
+      previous: comparable ? previousFile : null,
+      changedPixels,
+      regions
+    }));
+  }
+
+  // ===========================================================================
+  // PALETTE API HANDLERS
+  // ===========================================================================
+
+  /**
+   * Handles GET/POST requests to /api/palettes
+   * GET lists built-in and custom palettes; POST creates or replaces a custom one
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {http.ServerResponse} response - HTTP response
+   */
+  async handlePalettesAPI(request, response) {
+    response.setHeader("Content-Type", "application/json");
+
+    if (request.method === "GET") {
+      response.writeHead(200);
+      response.end(JSON.stringify(getSupportedPalettes()));
+      return;
+    }
+
+    if (request.method === "POST") {
+      try {
+        const body = await this.readRequestBody(request);
+        const palette = JSON.parse(body);
+        validatePalette(palette);
+
+        if (isBuiltInPalette(palette.name)) {
+          this.sendJsonError(response, 400, `Palette name is reserved: ${palette.name}`);
+          return;
+        }
+
+        const created = savePalette(palette);
+        response.writeHead(201);
+        response.end(JSON.stringify(created));
+      } catch (err) {
+        this.sendJsonError(response, 400, err.message);
+      }
+      return;
+    }
+
+    this.sendJsonError(response, 405, "Method not allowed");
+  }
+
+  /**
+   * Handles DELETE requests to /api/palettes/:name
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {http.ServerResponse} response - HTTP response
+   * @param {URL} requestUrl - Parsed request URL
+   */
+  async handlePaletteAPI(request, response, requestUrl) {
+    response.setHeader("Content-Type", "application/json");
+    const name = this.decodeLastPathSegment(requestUrl);
+    if (name === null) {
+      this.sendJsonError(response, 400, "Invalid palette name");
+      return;
+    }
+
+    if (request.method === "DELETE") {
+      if (!deletePalette(name)) {
+        this.sendJsonError(response, 404, "Palette not found");
+        return;
+      }
+
+      response.writeHead(200);
+      response.end(JSON.stringify({ success: true }));
+      return;
+    }
+
+    this.sendJsonError(response, 405, "Method not allowed");
+  }
+
+  // ===========================================================================
+  // CALIBRATION API HANDLERS
+  // ===========================================================================
+
+  /**
+   * Handles GET/POST requests to /api/calibrations
+   * GET lists saved profiles; POST creates or replaces one
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {http.ServerResponse} response - HTTP response
+   */
+  async handleCalibrationsAPI(request, response) {
+    response.setHeader("Content-Type", "application/json");
+
+    if (request.method === "GET") {
+      response.writeHead(200);
+      response.end(JSON.stringify(getCalibrationProfiles()));
+      return;
+    }
+
+    if (request.method === "POST") {
+      try {
+        const body = await this.readRequestBody(request);
+        const { name, measurements } = JSON.parse(body);
+        validateCalibration({ name, measurements });
+
+        const created = saveCalibration({ name, measurements });
+        response.writeHead(201);
+        response.end(JSON.stringify(created));
+      } catch (err) {
+        this.sendJsonError(response, 400, err.message);
+      }
+      return;
+    }
+
+    this.sendJsonError(response, 405, "Method not allowed");
+  }
+
+  /**
+   * Handles DELETE requests to /api/calibrations/:name
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {http.ServerResponse} response - HTTP response
+   * @param {URL} requestUrl - Parsed request URL
+   */
+  async handleCalibrationAPI(request, response, requestUrl) {
+    response.setHeader("Content-Type", "application/json");
+    const name = this.decodeLastPathSegment(requestUrl);
+    if (name === null) {
+      this.sendJsonError(response, 400, "Invalid calibration name");
+      return;
+    }
+
+    if (request.method === "DELETE") {
+      if (!deleteCalibration(name)) {
+        this.sendJsonError(response, 404, "Calibration not found");
+        return;
+      }
+
+      response.writeHead(200);
+      response.end(JSON.stringify({ success: true }));
+      return;
+    }
+
+    this.sendJsonError(response, 405, "Method not allowed");
+  }
+
+  /**
+   * Serves the gray ramp test pattern at /api/calibration/pattern
+   * Takes viewport, steps and the usual format, rotation, offset, mirror and
+   * dithering parameters so the device shows the ramp the way it shows
+   * dashboards (crop and a calibration profile are never applied to it)
+   * @param {http.ServerResponse} response - HTTP response
+   * @param {URL} requestUrl - Parsed request URL
+   */
+  async handleCalibrationPattern(response, requestUrl) {
+    const { searchParams } = requestUrl;
+
+    const viewport = this.parseViewportParams(searchParams.get("viewport"));
+    if (!viewport || viewport.width < 1 || viewport.height < 1) {
+      response.statusCode = 400;
+      response.end("Invalid or missing viewport parameter. Format: WIDTHxHEIGHT");
+      return;
+    }
+
+    // Parse step count (default: 16)
+    let steps = parseInt(searchParams.get("steps"), 10);
+    if (isNaN(steps) || steps < RAMP_STEPS.min || steps > RAMP_STEPS.max) steps = RAMP_STEPS.default;
+
+    const {
+      format,
+      rotate,
+      fineRotate,
+      offsetX,
+      offsetY,
+      mirror,
+      einkColors,
+      einkThreshold,
+      invert,
+      rowAlign,
+      invertBits
+    } = this.parseScreenshotParams(searchParams);
+    const dithering = this.parseDitheringParams(searchParams);
+    if (dithering) dithering.calibration = undefined;
+
+    try {
+      const pattern = await renderGrayRamp({ ...viewport, steps });
+      const image = await this.browser.processImage(pattern, {
+        format,
+        rotate,
+        fineRotate,
+        offsetX,
+        offsetY,
+        mirror,
+        einkColors,
+        einkThreshold,
+        invert,
+        dithering,
+        rowAlign,
+        invertBits
+      });
+
+      response.writeHead(200, {
+        "Content-Type": CONTENT_TYPES[format] || CONTENT_TYPES.png,
+        "Content-Length": image.length
+      });
+      response.end(image);
+    } catch (err) {
+      console.error("Error rendering calibration pattern:", err);
+      response.statusCode = 500;
+      response.end(`Error rendering calibration pattern: ${err.message}`);
+    }
+  }
+
+  // ===========================================================================
+  // DEVICE API HANDLERS (TRMNL BYOS protocol, see lib/devices.js)
+  // ===========================================================================
+
+  /**
+   * Latest saved render of the schedule a device is assigned to
+   * @param {Object} device - Registered device
+   * @returns {string|null} File name in the output directory
+   */
+  latestDeviceRender(device) {
+    const schedule = device.schedule_id && getSchedule(device.schedule_id);
+    if (!schedule) return null;
+    return listSavedOutputs(schedule)[0] ?? null;
+  }
+
+  /**
+   * Absolute URL of a saved render, as reachable by the requesting device
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {string|null} file - File name in the output directory
+   * @returns {string|null} Image URL or null
+   */
+  renderUrl(request, file) {
+    return file ? `${requestBaseUrl(request.headers)}/api/renders/${encodeURIComponent(file)}` : null;
+  }
+
+  /**
+   * Device without its API key, for the management API
+   * @param {Object} device - Registered device
+   * @returns {Object} Device fields and its latest render
+   */
+  describeDevice(device) {
+    const described = { ...device, render: this.latestDeviceRender(device) };
+    delete described.api_key;
+    return described;
+  }
+
+  /**
+   * Handles GET /api/setup: registers the device named by the `ID` header
+   * (its MAC address) and hands out its API key. The key is only sent once:
+   * a known MAC gets 409 until the device is deleted in the add-on, and a
+   * new one gets 403 once MAX_DEVICES are registered.
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {http.ServerResponse} response - HTTP response
+   */
+  async handleDeviceSetup(request, response) {
+    if (request.method !== "GET") {
+      this.sendJsonError(response, 405, "Method not allowed");
+      return;
+    }
+
+    const { mac } = readDeviceHeaders(request.headers);
+    if (!mac) {
+      this.sendJsonError(response, 400, "Missing ID header");
+      return;
+    }
+    if (!MAC_ADDRESS_PATTERN.test(mac)) {
+      this.sendJsonError(response, 400, "ID header must be a MAC address (AA:BB:CC:DD:EE:FF)");
+      return;
+    }
+
+    // Any client on the network can call setup, so registrations are capped
+    if (!getDeviceByMac(mac) && loadDevices().length >= MAX_DEVICES) {
+      console.log(`[Devices] Setup refused: ${mac}, limit of ${MAX_DEVICES} devices reached`);
+      response.writeHead(403, { "Content-Type": "application/json" });
+      response.end(JSON.stringify({
+        status: 403,
+        message: `Limit of ${MAX_DEVICES} devices reached. Delete a device in the add-on to register another.`
+      }));
+      return;
+    }
+
+    let device;
+    try {
+      device = registerDevice(mac);
+    } catch (err) {
+      this.sendJsonError(response, 500, `Cannot save device: ${err.message}`);
+      return;
+    }
+
+    if (!device) {
+      const { friendly_id } = getDeviceByMac(mac);
+      console.log(`[Devices] Setup refused: ${friendly_id} (${mac}) is already registered`);
+      response.writeHead(409, { "Content-Type": "application/json" });
+      response.end(JSON.stringify({
+        status: 409,
+        friendly_id,
+        message: `Already registered as ${friendly_id}. Delete it in the add-on to register again.`
+      }));
+      return;
+    }
+    console.log(`[Devices] Setup: ${device.friendly_id} (${device.mac})`);
+
+    const file = this.latestDeviceRender(device);
+    response.writeHead(200, { "Content-Type": "application/json" });
+    response.end(JSON.stringify({
+      status: 200,
+      api_key: device.api_key,
+      friendly_id: device.friendly_id,
+      image_url: this.renderUrl(request, file),
+      filename: file,
+      message: device.schedule_id
+        ? `Registered as ${device.friendly_id}`
+        : `Registered as ${device.friendly_id}. Assign a schedule in the add-on.`
+    }));
+  }
+
+  /**
+   * Handles GET /api/display: records the device's telemetry and returns
+   * the latest render of its schedule with the time until the next call
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {http.ServerResponse} response - HTTP response
+   */
+  async handleDeviceDisplay(request, response) {
+    if (request.method !== "GET") {
+      this.sendJsonError(response, 405, "Method not allowed");
+      return;
+    }
+
+    const { accessToken, telemetry } = readDeviceHeaders(request.headers);
+    const device = getDeviceByApiKey(accessToken);
+    if (!device) {
+      this.sendJsonError(response, 401, "Unknown access token");
+      return;
+    }
+    recordDeviceStatus(device.friendly_id, telemetry);
+
+    const file = this.latestDeviceRender(device);
+    response.writeHead(200, { "Content-Type": "application/json" });
+    response.end(JSON.stringify(buildDisplayResponse({
+      imageUrl: this.renderUrl(request, file),
+      filename: file,
+      refreshRate: resolveRefreshRate(device.refresh_rate)
+    })));
+  }
+
+  /**
+   * Handles POST /api/log: keeps the last entries a device reports
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {http.ServerResponse} response - HTTP response
+   */
+  async handleDeviceLog(request, response) {
+    if (request.method !== "POST") {
+      this.sendJsonError(response, 405, "Method not allowed");
+      return;
+    }
+
+    const { accessToken } = readDeviceHeaders(request.headers);
+    const device = getDeviceByApiKey(accessToken);
+    if (!device) {
+      this.sendJsonError(response, 401, "Unknown access token");
+      return;
+    }
+
+    let entries;
+    try {
+      entries = parseDeviceLogs(await this.readRequestBody(request));
+    } catch (err) {
+      this.sendJsonError(response, 400, err.message);
+      return;
+    }
+
+    const receivedAt = new Date().toISOString();
+    const logs = this.deviceLogs.get(device.friendly_id) ?? [];
+    for (const entry of entries) {
+      console.log(`[Devices] ${device.friendly_id} log:`, typeof entry === "string" ? entry : JSON.stringify(entry));
+      logs.push({ receivedAt, entry });
+    }
+    this.deviceLogs.set(device.friendly_id, logs.slice(-MAX_DEVICE_LOGS));
+
+    response.writeHead(204);
+    response.end();
+  }
+
+  /**
+   * Handles GET /api/devices
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {http.ServerResponse} response - HTTP response
+   */
+  async handleDevicesAPI(request, response) {
+    if (request.method !== "GET") {
+      this.sendJsonError(response, 405, "Method not allowed");
+      return;
+    }
+
+    response.writeHead(200, { "Content-Type": "application/json" });
+    response.end(JSON.stringify(loadDevices().map((device) => this.describeDevice(device))));
+  }
+
+  /**
+   * Handles GET/PUT/DELETE requests to /api/devices/:id
+   * PUT accepts `name`, `schedule_id` and `refresh_rate` (seconds, null for the default)
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {http.ServerResponse} response - HTTP response
+   * @param {URL} requestUrl - Parsed request URL
+   */
+  async handleDeviceAPI(request, response, requestUrl) {
+    response.setHeader("Content-Type", "application/json");
+    const id = this.decodeLastPathSegment(requestUrl);
+    if (id === null) {
+      this.sendJsonError(response, 400, "Invalid device ID");
+      return;
+    }
+
+    if (request.method === "GET") {
+      const device = getDevice(id);
+      if (!device) {
+        this.sendJsonError(response, 404, "Device not found");
+        return;
+      }
+
+      response.writeHead(200);
+      response.end(JSON.stringify({ ...this.describeDevice(device), logs: this.deviceLogs.get(id) ?? [] }));
+      return;
+    }
+
+    if (request.method === "PUT") {
+      let updates;
+      try {
+        const { name, schedule_id, refresh_rate } = JSON.parse(await this.readRequestBody(request));
+        updates = { name, schedule_id, refresh_rate };
+      } catch (err) {
+        this.sendJsonError(response, 400, err.message);
+        return;
+      }
+      Object.keys(updates).forEach((key) => updates[key] === undefined && delete updates[key]);
+
+      const { name } = updates;
+      if (name != null && (typeof name !== "string" || name.length > MAX_DEVICE_TEXT_LENGTH)) {
+        this.sendJsonError(response, 400, `name must be text of up to ${MAX_DEVICE_TEXT_LENGTH} characters`);
+        return;
+      }
+      if (updates.schedule_id != null && !getSchedule(updates.schedule_id)) {
+        this.sendJsonError(response, 400, "Schedule not found");
+        return;
+      }
+      const rate = updates.refresh_rate;
+      if (rate != null && (!Number.isInteger(rate) || rate < DEVICE_REFRESH_RATE.min || rate > DEVICE_REFRESH_RATE.max)) {
+        this.sendJsonError(
+          response,
+          400,
+          `refresh_rate must be ${DEVICE_REFRESH_RATE.min}-${DEVICE_REFRESH_RATE.max} seconds`
+        );
+        return;
+      }
+
+      let updated;
+      try {
+        updated = updateDevice(id, updates);
+      } catch (err) {
+        this.sendJsonError(response, 500, `Cannot save device: ${err.message}`);
+        return;
+      }
+      if (!updated) {
+        this.sendJsonError(response, 404, "Device not found");
+        return;
+      }
+
+      response.writeHead(200);
+      response.end(JSON.stringify(this.describeDevice(updated)));
+      return;
+    }
+
+    if (request.method === "DELETE") {
+      if (!deleteDevice(id)) {
+        this.sendJsonError(response, 404, "Device not found");
+        return;
+      }
+      this.deviceLogs.delete(id);
+
+      response.writeHead(200);
+      response.end(JSON.stringify({ success: true }));
+      return;
+    }
+
+    this.sendJsonError(response, 405, "Method not allowed");
+  }
+
+  /**
+   * Serves a saved render at /api/renders/:file (the image URL given to devices)
+   * Saved renders never change, so clients may keep them indefinitely.
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {http.ServerResponse} response - HTTP response
+   * @param {URL} requestUrl - Parsed request URL
+   */
+  async handleRenderFile(request, response, requestUrl) {
+    if (request.method !== "GET" && request.method !== "HEAD") {
+      this.sendJsonError(response, 405, "Method not allowed");
+      return;
+    }
+
+    // Only plain file names inside the output directory; dotfiles hold scheduler state
+    const file = this.decodeLastPathSegment(requestUrl);
+    if (file === null) {
+      this.sendJsonError(response, 400, "Invalid render name");
+      return;
+    }
+    const filePath = path.join(OUTPUT_DIR, file);
+    if (!file || file.startsWith(".") || file !== path.basename(file) || !fs.statSync(filePath, { throwIfNoEntry: false })?.isFile()) {
+      this.sendJsonError(response, 404, "Render not found");
+      return;
+    }
+
+    const image = fs.readFileSync(filePath);
+    const extension = path.extname(file).slice(1);
+    response.writeHead(200, {
+      "Content-Type": Object.hasOwn(CONTENT_TYPES, extension) ? CONTENT_TYPES[extension] : "application/octet-stream",
+      "Content-Length": image.length,
+      "Cache-Control": "public, max-age=31536000, immutable"
+    });
+    response.end(request.method === "HEAD" ? undefined : image);
+  }
+
   // ===========================================================================
   // MAIN REQUEST HANDLER
   // ===========================================================================
@@ -332,11 +1154,71 @@ class RequestHandler {
       return;
     }
 
+    if (/^\/api\/schedules\/[^/]+\/regions$/.test(requestUrl.pathname)) {
+      await this.handleScheduleRegionsAPI(request, response, requestUrl);
+      return;
+    }
+
     if (requestUrl.pathname.startsWith("/api/schedules/")) {
       await this.handleScheduleAPI(request, response, requestUrl);
       return;
     }
 
+    if (requestUrl.pathname === "/api/palettes") {
+      await this.handlePalettesAPI(request, response);
+      return;
+    }
+
+    if (requestUrl.pathname.startsWith("/api/palettes/")) {
+      await this.handlePaletteAPI(request, response, requestUrl);
+      return;
+    }
+
+    if (requestUrl.pathname === "/api/calibrations") {
+      await this.handleCalibrationsAPI(request, response);
+      return;
+    }
+
+    if (requestUrl.pathname.startsWith("/api/calibrations/")) {
+      await this.handleCalibrationAPI(request, response, requestUrl);
+      return;
+    }
+
+    if (requestUrl.pathname === "/api/calibration/pattern") {
+      await this.handleCalibrationPattern(response, requestUrl);
+      return;
+    }
+
+    if (requestUrl.pathname === "/api/setup") {
+      await this.handleDeviceSetup(request, response);
+      return;
+    }
+
+    if (requestUrl.pathname === "/api/display") {
+      await this.handleDeviceDisplay(request, response);
+      return;
+    }
+
+    if (requestUrl.pathname === "/api/log") {
+      await this.handleDeviceLog(request, response);
+      return;
+    }
+
+    if (requestUrl.pathname === "/api/devices") {
+      await this.handleDevicesAPI(request, response);
+      return;
+    }
+
+    if (requestUrl.pathname.startsWith("/api/devices/")) {
+      await this.handleDeviceAPI(request, response, requestUrl);
+      return;
+    }
+
+    if (requestUrl.pathname.startsWith("/api/renders/")) {
+      await this.handleRenderFile(request, response, requestUrl);
+      return;
+    }
+
     // Process screenshot request
     await this.handleScreenshotRequest(request, response, requestUrl);
   }
@@ -353,6 +1235,13 @@ class RequestHandler {
 
     const start = new Date();
 
+    // Recent identical renders are answered without the browser; changed
+    // regions depend on the previous response and are never cached
+    const cacheKey = requestUrl.searchParams.has("regions")
+      ? undefined
+      : normalizeRequestKey(requestUrl, ["next"]);
+    if (this.sendCachedRender(request, response, cacheKey, start)) return;
+
     // Wait in queue if browser is busy
     if (this.busy) {
       console.log(requestId, "Busy, waiting in queue");
@@ -362,6 +1251,9 @@ class RequestHandler {
     this.busy = true;
 
     try {
+      // An identical request may have been rendered while this one waited
+      if (this.sendCachedRender(request, response, cacheKey, start)) return;
+
       // Parse and validate viewport (required parameter)
       const viewport = this.parseViewportParams(requestUrl.searchParams.get("viewport"));
       if (!viewport) {
@@ -370,21 +1262,81 @@ class RequestHandler {
         return;
       }
 
+      // Parse composite layout (the request path is ignored when set)
+      let layout;
+      if (requestUrl.searchParams.has("layout")) {
+        try {
+          layout = parseLayout(requestUrl.searchParams.get("layout"));
+        } catch (err) {
+          response.statusCode = 400;
+          response.end(`Invalid layout: ${err.message}`);
+          return;
+        }
+      }
+
+      // Parse explicit processing pipeline (replaces the flat processing parameters)
+      let pipeline;
+      if (requestUrl.searchParams.has("pipeline")) {
+        try {
+          pipeline = parsePipeline(requestUrl.searchParams.get("pipeline"));
+        } catch (err) {
+          response.statusCode = 400;
+          response.end(`Invalid pipeline: ${err.message}`);
+          return;
+        }
+      }
+
       // Parse all screenshot parameters
       const screenshotParams = this.parseScreenshotParams(requestUrl.searchParams);
+      const { crop } = screenshotParams;
+      if (crop && (crop.left >= viewport.width || crop.top >= viewport.height)) {
+        response.statusCode = 400;
+        response.end(`Crop rectangle is outside the ${viewport.width}x${viewport.height} viewport`);
+        return;
+      }
+      const regionsMode = requestUrl.searchParams.get("regions");
+      if (regionsMode !== null && !REGION_FORMATS.includes(screenshotParams.format)) {
+        response.statusCode = 400;
+        response.end(`Changed regions need ${REGION_FORMATS.join(", ")} output`);
+        return;
+      }
       const dithering = this.parseDitheringParams(requestUrl.searchParams);
+      const overlay = this.parseOverlayParams(requestUrl.searchParams);
 
       const requestParams = {
         pagePath: requestUrl.pathname,
         viewport,
         ...screenshotParams,
-        dithering
+        dithering,
+        overlay,
+        pipeline,
+        layout
       };
 
-      // Navigate to page
-      let navigateResult;
+      // Flat processing options get the same checks as an explicit pipeline,
+      // so they fail here with 400 instead of during the render
       try {
-        navigateResult = await this.browser.navigatePage(requestParams);
+        if (!pipeline) validatePipeline(buildPipeline(requestParams));
+      } catch (err) {
+        response.statusCode = 400;
+        response.end(`Invalid processing options: ${err.message}`);
+        return;
+      }
+
+      // Navigate and capture (every cell for layouts)
+      let screenshotResult;
+      let navigateTime;
+      try {
+        if (layout) {
+          screenshotResult = await this.captureLayout(requestParams);
+        } else {
+          const navigateResult = await this.browser.navigatePage(requestParams);
+          console.debug(requestId, `Navigated in ${navigateResult.time} ms`);
+          this.navigationTime = Math.max(this.navigationTime, navigateResult.time);
+          navigateTime = navigateResult.time;
+
+          screenshotResult = await this.browser.screenshotPage(requestParams);
+        }
       } catch (err) {
         if (err instanceof CannotOpenPageError) {
           console.error(requestId, `Cannot open page: ${err.message}`);
@@ -392,28 +1344,177 @@ class RequestHandler {
           response.end(`Cannot open page: ${err.message}`);
           return;
         }
+        if (err instanceof ElementNotFoundError) {
+          console.error(requestId, err.message);
+          response.statusCode = 404;
+          response.end(err.message);
+          return;
+        }
         throw err; // Re-throw for watchdog recovery
       }
-
-      console.debug(requestId, `Navigated in ${navigateResult.time} ms`);
-      this.navigationTime = Math.max(this.navigationTime, navigateResult.time);
-
-      // Capture screenshot
-      const screenshotResult = await this.browser.screenshotPage(requestParams);
       console.debug(requestId, `Screenshot in ${screenshotResult.time} ms`);
 
       // Send response
       const contentType = CONTENT_TYPES[screenshotParams.format] || CONTENT_TYPES.png;
-      response.writeHead(200, {
-        "Content-Type": contentType,
-        "Content-Length": screenshotResult.image.length
-      });
-      response.write(screenshotResult.image);
+      const headers = { "Content-Type": contentType };
+      if (screenshotResult.budget) {
+        headers["X-Output-Budget"] = screenshotResult.budget;
+      }
+
+      // Rectangles changed since this request's last render; "crop" sends only their bounds
+      let status = 200;
+      let body = screenshotResult.image;
+      if (regionsMode !== null) {
+        try {
+          const { regions, decoded } = await this.diffWithLastRender(requestUrl, screenshotParams.format, body);
+          headers["X-Changed-Regions"] = formatRegionsHeader(regions);
+
+          if (regionsMode === "crop") {
+            const bounds = boundingRegion(regions);
+            if (bounds) {
+              body = await encodeRegion(decoded, bounds);
+              headers["X-Region"] = formatRegionsHeader([bounds]);
+            } else {
+              status = 204;
+              body = Buffer.alloc(0);
+            }
+          }
+        } catch (err) {
+          console.error(requestId, `Cannot compute changed regions: ${err.message}`);
+          response.statusCode = 500;
+          response.end(`Cannot compute changed regions: ${err.message}`);
+          return;
+        }
+      }
+
+      // Stage durations, including the cost of supersampling
+      const { timing = {} } = screenshotResult;
+      const stages = [
+        { name: "navigate", dur: navigateTime ?? timing.navigate },
+        { name: "capture", dur: timing.capture },
+        { name: "downscale", dur: timing.downscale, desc: `${screenshotParams.supersample}x` },
+        { name: "process", dur: timing.process },
+        { name: "total", dur: Date.now() - start.getTime() }
+      ];
+
+      if (cacheKey) {
+        this.sendRender(request, response, this.renderCache.set(cacheKey, body, { headers }), stages);
+      } else {
+        headers["Content-Length"] = body.length;
+        headers["Server-Timing"] = formatServerTiming(stages);
+        response.writeHead(status, headers);
+        response.end(request.method === "HEAD" ? undefined : body);
+      }
+
+      // Schedule next request if requested (layouts have no single page to preload)
+      if (!layout) {
+        this.scheduleNextRequest(requestId, requestParams, requestUrl.searchParams, start);
+      }
+
+    } finally {
+      this.busy = false;
+      const resolve = this.pending.shift();
+      if (resolve) resolve();
+      this._markBrowserAccessed();
+    }
+  }
+
+  /**
+   * Answers a request from the render cache if a fresh render exists
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {http.ServerResponse} response - HTTP response
+   * @param {string|undefined} cacheKey - Normalized request key (undefined: not cacheable)
+   * @param {Date} start - Request start time
+   * @returns {boolean} True if the response was sent
+   */
+  sendCachedRender(request, response, cacheKey, start) {
+    const entry = cacheKey && this.renderCache.get(cacheKey);
+    if (!entry) return false;
+
+    console.debug("Served from render cache:", cacheKey);
+    this.sendRender(request, response, entry, [
+      { name: "cache", dur: 0, desc: "hit" },
+      { name: "total", dur: Date.now() - start.getTime() }
+    ]);
+    return true;
+  }
+
+  /**
+   * Sends a render with its validators: 304 when the client's copy is
+   * current, headers only for HEAD, the image otherwise
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {http.ServerResponse} response - HTTP response
+   * @param {Object} entry - Render cache entry (see lib/renderCache.js)
+   * @param {Object[]} stages - Server-Timing stages
+   */
+  sendRender(request, response, entry, stages) {
+    // no-cache: clients may store the image but must revalidate it
+    const validators = {
+      ETag: entry.etag,
+      "Last-Modified": entry.lastModified.toUTCString(),
+      "Cache-Control": "no-cache",
+      "Server-Timing": formatServerTiming(stages)
+    };
+
+    if (isNotModified(request.headers, entry)) {
+      response.writeHead(304, validators);
       response.end();
+      return;
+    }
+
+    response.writeHead(200, { ...entry.headers, ...validators, "Content-Length": entry.image.length });
+    response.end(request.method === "HEAD" ? undefined : entry.image);
+  }
+
+  /**
+   * Compares a render with the last one of the same request and remembers it
+   * Requests match on path and query, ignoring `regions` and `next`; the
+   * first render of a request counts as changed everywhere
+   * @param {URL} requestUrl - Parsed request URL
+   * @param {string} format - Output format
+   * @param {Buffer} image - Encoded render
+   * @returns {Promise<{regions: Object[], decoded: Object}>} Changed rectangles
+   *   and the decoded render (see lib/regions.js)
+   */
+  async diffWithLastRender(requestUrl, format, image) {
+    const key = normalizeRequestKey(requestUrl, ["regions", "next"]);
+    const decoded = await decodeOutput(image, format);
+    const { regions } = findChangedRegions(this.lastRenders.get(key), decoded);
+
+    // Most recently used last; the oldest is dropped beyond the limit
+    this.lastRenders.delete(key);
+    this.lastRenders.set(key, decoded);
+    if (this.lastRenders.size > MAX_REGION_RENDERS) {
+      this.lastRenders.delete(this.lastRenders.keys().next().value);
+    }
+
+    return { regions, decoded };
+  }
+
+  /**
+   * Captures a screenshot for the scheduler, sharing the request queue
+   * @param {Object} params - Navigation and screenshot parameters
+   * @returns {Promise<Buffer>} Encoded image
+   */
+  async takeScreenshot(params) {
+    if (this.busy) {
+      await new Promise((resolve) => this.pending.push(resolve));
+    }
+    this.busy = true;
 
-      // Schedule next request if requested
-      this.scheduleNextRequest(requestId, requestParams, requestUrl.searchParams, start);
+    try {
+      if (params.pipeline) {
+        validatePipeline(params.pipeline);
+      }
+      if (params.layout) {
+        validateLayout(params.layout);
+        const result = await this.captureLayout(params);
+        return result.image;
+      }
 
+      await this.browser.navigatePage(params);
+      const result = await this.browser.screenshotPage(params);
+      return result.image;
     } finally {
       this.busy = false;
       const resolve = this.pending.shift();
@@ -422,6 +1523,66 @@ class RequestHandler {
     }
   }
 
+  /**
+   * Renders every cell of a composite layout, stitches them and processes
+   * the result like a single screenshot (overlay, rotation, dithering, format, budget)
+   * The caller must hold the browser (this.busy)
+   * @param {Object} params - Screenshot parameters with a validated `layout`
+   * @returns {Promise<{image: Buffer, time: number, timing: Object, budget?: string}>}
+   *   Screenshot result; `timing` sums the stage durations of all cells
+   * @throws {CannotOpenPageError} If a cell's dashboard fails to load
+   * @throws {ElementNotFoundError} If a cell's selector matches nothing
+   */
+  async captureLayout(params) {
+    const start = Date.now();
+    const { layout, viewport, maxBytes } = params;
+
+    const rendered = [];
+    const timing = { navigate: 0, capture: 0 };
+    for (const { cell, left, top, width, height } of computeCellRects(layout, viewport)) {
+      const cellParams = {
+        pagePath: cell.dashboard_path,
+        viewport: { width, height },
+        extraWait: params.extraWait,
+        zoom: cell.zoom || 1,
+        lang: params.lang,
+        theme: params.theme,
+        dark: params.dark,
+        selector: cell.selector,
+        selectorPadding: cell.selector_padding,
+        selectorScale: true,
+        supersample: params.supersample,
+        format: "png"
+      };
+
+      const navigateResult = await this.browser.navigatePage(cellParams);
+      const { image, timing: cellTiming } = await this.browser.screenshotPage(cellParams);
+      rendered.push({ image, left, top });
+
+      timing.navigate += navigateResult.time;
+      timing.capture += cellTiming.capture;
+      if (cellTiming.downscale !== undefined) {
+        timing.downscale = (timing.downscale ?? 0) + cellTiming.downscale;
+      }
+    }
+
+    const stitched = await stitchCells(rendered, viewport.width, viewport.height);
+    const processParams = {
+      ...params,
+      status: { renderedAt: new Date(), connected: await this.browser.isConnected() }
+    };
+    const processStart = Date.now();
+    if (maxBytes) {
+      const result = await this.browser.processWithinBudget(stitched, processParams, maxBytes);
+      timing.process = Date.now() - processStart;
+      return { ...result, time: Date.now() - start, timing };
+    }
+
+    const image = await this.browser.processImage(stitched, processParams);
+    timing.process = Date.now() - processStart;
+    return { image, time: Date.now() - start, timing };
+  }
+
   /**
    * Schedules a preemptive navigation for the next screenshot cycle
    * Adjusts timing to account for request processing time
@@ -493,17 +1654,25 @@ class RequestHandler {
 // SERVER INITIALIZATION
 // =============================================================================
 
-const browser = new Browser(hassUrl, hassToken);
-const requestHandler = new RequestHandler(browser);
+/**
+ * Creates the browser and request handler and starts listening for requests
+ * @returns {RequestHandler} The request handler (shared with the scheduler)
+ */
+export function startServer() {
+  const browser = new Browser(hassUrl, hassToken);
+  const requestHandler = new RequestHandler(browser);
+
+  const server = http.createServer((request, response) =>
+    requestHandler.handleRequest(request, response)
+  );
 
-const server = http.createServer((request, response) =>
-  requestHandler.handleRequest(request, response)
-);
+  server.listen(SERVER_PORT);
 
-server.listen(SERVER_PORT);
+  const serverUrl = isAddOn
+    ? `http://homeassistant.local:${SERVER_PORT}`
+    : `http://localhost:${SERVER_PORT}`;
 
-const serverUrl = isAddOn
-  ? `http://homeassistant.local:${SERVER_PORT}`
-  : `http://localhost:${SERVER_PORT}`;
+  console.log(`[${new Date().toLocaleTimeString()}] Visit server at ${serverUrl}`);
 
-console.log(`[${new Date().toLocaleTimeString()}] Visit server at ${serverUrl}`);
+  return requestHandler;
+}
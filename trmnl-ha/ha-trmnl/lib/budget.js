@@ -0,0 +1,145 @@
+/**
+ * Output Size Budget
+ *
+ * TRMNL firmware and many microcontroller clients refuse images above a fixed
+ * download size. When an encoded screenshot is over `max_bytes`, it is
+ * encoded again with progressively cheaper settings: stronger compression
+ * first, then a lower bit depth, then fewer colors. Each step builds on the
+ * one before, so the first step that fits gives up the least quality.
+ */
+
+import { isBuiltInPalette } from "./palettes.js";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * JPEG/WebP quality steps (sharp's default quality is 80)
+ * @type {number[]}
+ */
+const QUALITY_STEPS = [60, 40, 20];
+
+/**
+ * Grayscale bit depth steps, highest first
+ * @type {number[]}
+ */
+const BIT_DEPTH_STEPS = [8, 4, 2, 1];
+
+/**
+ * Legacy e-ink color count steps, highest first
+ * @type {number[]}
+ */
+const EINK_COLOR_STEPS = [16, 4, 2];
+
+/**
+ * Formats whose size depends on bit depth (raw framebuffers have a fixed size)
+ * @type {string[]}
+ */
+const LOSSLESS_FORMATS = ["png", "bmp"];
+
+/**
+ * Formats with a quality setting
+ * @type {string[]}
+ */
+const LOSSY_FORMATS = ["jpeg", "webp"];
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Build the degradation ladder for a set of processing parameters
+ *
+ * @param {Object} params - processImage parameters
+ * @param {string} [params.format='png'] - Output format
+ * @param {number} [params.einkColors] - Legacy e-ink color count
+ * @param {Object} [params.dithering] - Dithering configuration
+ * @param {number} [params.quality] - JPEG/WebP quality
+ * @returns {{stage: string, params: Object}[]} Steps in order, each with the
+ *   full parameters to try; empty when the format cannot get smaller
+ */
+export function buildDegradationSteps(params) {
+  const steps = [];
+  let current = params;
+  const push = (stage, overrides) => {
+    current = { ...current, ...overrides };
+    steps.push({ stage, params: current });
+  };
+
+  const format = params.format || "png";
+  const lossless = LOSSLESS_FORMATS.includes(format);
+  const lossy = LOSSY_FORMATS.includes(format);
+  if (!lossless && !lossy) return steps;
+
+  const dithering = params.dithering?.enabled ? params.dithering : undefined;
+
+  // 1. Compression
+  if (lossy) {
+    QUALITY_STEPS
+      .filter((quality) => quality < (params.quality ?? 80))
+      .forEach((quality) => push("compression", { quality }));
+  } else if (format === "png" && !dithering) {
+    // Dithered PNGs come from our own encoder, which always compresses fully
+    push("compression", { compressionLevel: 9 });
+  }
+
+  // 2. Bit depth
+  if (lossless && !params.einkColors && !dithering?.palette) {
+    const bitDepth = dithering ? dithering.bitDepth || 2 : Infinity;
+    BIT_DEPTH_STEPS
+      .filter((depth) => depth < bitDepth)
+      .forEach((depth) => push("bit-depth", {
+        dithering: { method: "floyd-steinberg", ...dithering, enabled: true, bitDepth: depth }
+      }));
+  }
+
+  // 3. Colors
+  if (params.einkColors) {
+    EINK_COLOR_STEPS
+      .filter((colors) => colors < params.einkColors)
+      .forEach((einkColors) => push("colors", { einkColors }));
+  } else if (dithering?.palette) {
+    // Built-in palettes all keep black at 0 and white at 1, like bw
+    if (typeof dithering.palette === "string" && isBuiltInPalette(dithering.palette) && dithering.palette !== "bw") {
+      push("colors", { dithering: { ...dithering, palette: "bw" } });
+    }
+  } else if (lossy && !dithering) {
+    // 16 flat gray levels, which JPEG and WebP compress far better than noise
+    push("colors", { dithering: { enabled: true, method: "none", bitDepth: 4 } });
+  }
+
+  return steps;
+}
+
+/**
+ * Describe the settings behind an encoded image for the X-Output-Budget header
+ *
+ * @param {Object} result - Budget result
+ * @param {string} result.stage - Last degradation stage applied ("none" if none)
+ * @param {Object} result.params - Parameters the image was encoded with
+ * @param {number} result.bytes - Encoded size
+ * @param {number} result.maxBytes - Requested budget
+ * @returns {string} Semicolon separated key=value pairs, e.g.
+ *   "stage=bit-depth; format=png; bit_depth=1; bytes=18234; max_bytes=20000; fits=true"
+ */
+export function formatBudgetHeader({ stage, params, bytes, maxBytes }) {
+  const dithering = params.dithering?.enabled ? params.dithering : undefined;
+  const settings = {
+    stage,
+    format: params.format || "png",
+    quality: params.quality,
+    compression_level: params.compressionLevel,
+    eink: params.einkColors,
+    bit_depth: dithering && !dithering.palette ? dithering.bitDepth || 2 : undefined,
+    palette: typeof dithering?.palette === "string" ? dithering.palette : undefined,
+    bytes,
+    max_bytes: maxBytes,
+    fits: bytes <= maxBytes
+  };
+
+  return Object.entries(settings)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${value}`)
+    .join("; ");
+}
@@ -0,0 +1,177 @@
+/**
+ * Panel Gamma Calibration
+ *
+ * E-ink panels (and the waveforms driving them) rarely show a linear gray
+ * response. Calibration shows a gray ramp on the device, takes the perceived
+ * brightness of each step and inverts that response into a lookup table.
+ * applyDithering maps pixels through the table before quantization, so a
+ * value of 50% gray comes out looking 50% gray on that panel.
+ *
+ * Profiles are stored per device in calibrations.json (see calibrationStore.js).
+ */
+
+import sharp from "sharp";
+import { getCalibration, loadCalibrations } from "./calibrationStore.js";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Gray ramp step counts
+ * @type {{min: number, max: number, default: number}}
+ */
+export const RAMP_STEPS = { min: 2, max: 64, default: 16 };
+
+/**
+ * Allowed characters for profile names (usable as `calibration=<name>`)
+ * @type {RegExp}
+ */
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Input gray value shown at a ramp step
+ * @param {number} step - Step index
+ * @param {number} steps - Total number of steps
+ * @returns {number} Gray value (0-255)
+ */
+function stepValue(step, steps) {
+  return Math.round((step / (steps - 1)) * 255);
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Render the gray ramp test pattern
+ *
+ * Steps run left to right from black to white, each labelled with its
+ * number so measurements can be entered in order.
+ *
+ * @param {Object} options - Pattern options
+ * @param {number} options.width - Image width
+ * @param {number} options.height - Image height
+ * @param {number} [options.steps=16] - Number of gray steps
+ * @returns {Promise<Buffer>} 8-bit grayscale PNG
+ */
+export async function renderGrayRamp({ width, height, steps = RAMP_STEPS.default }) {
+  const fontSize = Math.max(10, Math.min(32, Math.floor(width / steps / 2.5)));
+  const bars = Array.from({ length: steps }, (_, step) => {
+    const x = Math.round((step * width) / steps);
+    const barWidth = Math.round(((step + 1) * width) / steps) - x;
+    const value = stepValue(step, steps);
+    const label = value < 128 ? "#ffffff" : "#000000";
+    return `<rect x="${x}" width="${barWidth}" height="${height}" fill="rgb(${value},${value},${value})"/>` +
+      `<text x="${x + barWidth / 2}" y="${height - fontSize}" font-size="${fontSize}" fill="${label}" ` +
+      `font-family="sans-serif" text-anchor="middle">${step + 1}</text>`;
+  });
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${bars.join("")}</svg>`;
+
+  return sharp(Buffer.from(svg)).toColourspace("b-w").png().toBuffer();
+}
+
+/**
+ * Validate a calibration profile
+ *
+ * @param {Object} profile - Calibration profile
+ * @param {string} profile.name - Profile name (usually the device name)
+ * @param {number[]} profile.measurements - Perceived brightness (0-100) of
+ *   each ramp step, darkest step first
+ * @returns {boolean} True if valid
+ * @throws {Error} Describing the first problem
+ */
+export function validateCalibration(profile) {
+  if (!profile || typeof profile !== "object") {
+    throw new Error("Calibration must be an object");
+  }
+  if (!PROFILE_NAME_PATTERN.test(profile.name || "")) {
+    throw new Error("Calibration name must be 1-40 letters, digits, '-' or '_'");
+  }
+
+  const { measurements } = profile;
+  if (
+    !Array.isArray(measurements) ||
+    measurements.length < RAMP_STEPS.min ||
+    measurements.length > RAMP_STEPS.max
+  ) {
+    throw new Error(`Calibration needs between ${RAMP_STEPS.min} and ${RAMP_STEPS.max} measurements`);
+  }
+  if (!measurements.every((value) => typeof value === "number" && value >= 0 && value <= 100)) {
+    throw new Error("Measurements must be numbers between 0 and 100");
+  }
+  if (measurements[measurements.length - 1] <= measurements[0]) {
+    throw new Error("The last step must look brighter than the first");
+  }
+
+  return true;
+}
+
+/**
+ * Invert measured step brightness into a 256-entry lookup table
+ *
+ * The measured response is made non-decreasing (noisy readings never make a
+ * lighter input look darker) and stretched to the panel's own black and white,
+ * then each wanted brightness is mapped to the input value that produces it.
+ *
+ * @param {number[]} measurements - Perceived brightness (0-100) per ramp step
+ * @returns {Float32Array} Input value to send for every wanted brightness
+ */
+export function buildCalibrationTable(measurements) {
+  const steps = measurements.length;
+
+  let highest = 0;
+  const monotone = measurements.map((value) => (highest = Math.max(highest, value)));
+  const black = monotone[0];
+  const range = monotone[steps - 1] - black;
+  const response = monotone.map((value) => ((value - black) / range) * 255);
+
+  const table = new Float32Array(256);
+  let segment = 0;
+  for (let target = 0; target < 256; target++) {
+    while (segment < steps - 2 && response[segment + 1] < target) segment++;
+
+    const low = response[segment];
+    const high = response[segment + 1];
+    const t = high > low ? Math.max(0, Math.min(1, (target - low) / (high - low))) : 0;
+    const inputLow = stepValue(segment, steps);
+    const inputHigh = stepValue(segment + 1, steps);
+    table[target] = inputLow + (inputHigh - inputLow) * t;
+  }
+
+  return table;
+}
+
+/**
+ * Resolve a calibration profile into its lookup table
+ *
+ * @param {string|Object} calibration - Saved profile name, or a profile
+ *   definition (see validateCalibration)
+ * @returns {Float32Array} Lookup table (see buildCalibrationTable)
+ * @throws {Error} If the profile does not exist or is invalid
+ */
+export function resolveCalibration(calibration) {
+  const profile = typeof calibration === "string" ? getCalibration(calibration) : calibration;
+  if (!profile) {
+    throw new Error(`Invalid calibration profile: ${calibration}`);
+  }
+  validateCalibration(profile);
+
+  return buildCalibrationTable(profile.measurements);
+}
+
+/**
+ * Get saved calibration profiles
+ * @returns {Object.<string, {measurements: number[], updatedAt: string}>}
+ *          Profiles keyed by name
+ */
+export function getCalibrationProfiles() {
+  return Object.fromEntries(
+    loadCalibrations().map(({ name, ...profile }) => [name, profile])
+  );
+}
@@ -0,0 +1,45 @@
+/**
+ * Calibration Store Module
+ *
+ * Manages panel calibration profiles persistence to JSON file (next to schedules.json)
+ */
+
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createNamedStore } from "./jsonStore.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const store = createNamedStore(path.join(__dirname, "..", "calibrations.json"), "calibrations");
+
+/**
+ * Load calibration profiles from JSON file
+ * @returns {Array} Array of calibration profiles
+ */
+export const loadCalibrations = store.load;
+
+/**
+ * Save calibration profiles to JSON file
+ * @param {Array} calibrations - Array of calibration profiles
+ */
+export const saveCalibrations = store.saveAll;
+
+/**
+ * Get a calibration profile by name
+ * @param {string} name - Profile name
+ * @returns {Object|null} Calibration profile or null
+ */
+export const getCalibration = store.get;
+
+/**
+ * Create or replace a calibration profile
+ * @param {Object} calibration - Calibration profile (name, measurements)
+ * @returns {Object} Saved profile
+ */
+export const saveCalibration = store.save;
+
+/**
+ * Delete a calibration profile
+ * @param {string} name - Profile name
+ * @returns {boolean} True if deleted, false if not found
+ */
+export const deleteCalibration = store.remove;
@@ -0,0 +1,197 @@
+/**
+ * Change Detection
+ *
+ * Compares a scheduled render with the last image the schedule pushed, so
+ * cron ticks that produce the same picture can skip the save and the
+ * webhook (each push costs the device a full e-ink refresh). A pixel counts
+ * as changed when any channel differs by more than `threshold` (0-1, as in
+ * the visual tests' compareImages); the render counts as unchanged when the
+ * changed pixels stay within `maxDiffPixels` or `maxDiffPercent`.
+ *
+ * PNG, JPEG, WebP and BMP are compared as decoded pixels. Raw framebuffers
+ * have no header, so their pixels are unpacked at the format's bits per
+ * pixel; a pixel of raw-bwr changed when its bit differs in either plane.
+ */
+
+import sharp from "sharp";
+import { decodeOutput } from "./regions.js";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Defaults for a schedule's `change_detection` settings
+ * @type {{threshold: number, maxDiffPixels: number, maxDiffPercent: number}}
+ */
+export const CHANGE_DETECTION_DEFAULTS = {
+  threshold: 0.1,
+  maxDiffPixels: 0,
+  maxDiffPercent: 0
+};
+
+/**
+ * Formats compared as decoded RGB pixels
+ * @type {string[]}
+ */
+const DECODABLE_FORMATS = ["png", "jpeg", "webp", "bmp"];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Decode an image to raw RGB
+ * @param {Buffer} image - Encoded image
+ * @param {string} format - Image format (BMP is read by lib/regions.js)
+ * @returns {Promise<{data: Buffer, info: Object}>} Pixels and dimensions
+ */
+async function decodeRgb(image, format) {
+  if (format === "bmp") {
+    const { width, height, rgb } = await decodeOutput(image, format);
+    return { data: rgb, info: { width, height } };
+  }
+
+  return sharp(image)
+    .removeAlpha()
+    .toColourspace("srgb")
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Count the pixels that differ between two framebuffers of equal length
+ * @param {Buffer} previous - Earlier output
+ * @param {Buffer} current - New output
+ * @param {number} bitsPerPixel - Bits per pixel in each plane
+ * @param {number} planes - Bit planes (2 for raw-bwr)
+ * @returns {number} Differing pixels, row padding included
+ */
+function countChangedFramebufferPixels(previous, current, bitsPerPixel, planes) {
+  const planeBytes = current.length / planes;
+  const pixelsPerByte = 8 / bitsPerPixel;
+  const mask = 2 ** bitsPerPixel - 1;
+  let changed = 0;
+
+  for (let i = 0; i < planeBytes; i++) {
+    let diff = 0;
+    for (let plane = 0; plane < planes; plane++) {
+      diff |= previous[plane * planeBytes + i] ^ current[plane * planeBytes + i];
+    }
+    for (let pixel = 0; diff && pixel < pixelsPerByte; pixel++) {
+      if ((diff >> (pixel * bitsPerPixel)) & mask) changed++;
+    }
+  }
+  return changed;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Compare two renders of the same schedule
+ *
+ * Images of different size (or framebuffers of different length) count as
+ * completely changed.
+ *
+ * @param {Buffer} previous - Last pushed output
+ * @param {Buffer} current - New output
+ * @param {string} format - Output format of both images
+ * @param {Object} [options] - Comparison options
+ * @param {number} [options.threshold=0.1] - Per-channel difference (0-1) a
+ *   pixel may have and still count as unchanged
+ * @param {number} [options.framebufferBits] - Bits per pixel of a raw
+ *   framebuffer format (required for raw formats)
+ * @returns {Promise<{changedPixels: number, totalPixels: number, percentDifference: number}>}
+ *   Comparison result; percentDifference is rounded to two decimals
+ */
+export async function compareOutputs(previous, current, format, options = {}) {
+  const { threshold = CHANGE_DETECTION_DEFAULTS.threshold, framebufferBits } = options;
+  let changedPixels;
+  let totalPixels;
+
+  if (DECODABLE_FORMATS.includes(format)) {
+    const [before, after] = await Promise.all([decodeRgb(previous, format), decodeRgb(current, format)]);
+    totalPixels = after.info.width * after.info.height;
+
+    if (before.info.width !== after.info.width || before.info.height !== after.info.height) {
+      changedPixels = totalPixels;
+    } else {
+      const limit = threshold * 255;
+      changedPixels = 0;
+      for (let i = 0; i < after.data.length; i += 3) {
+        const delta = Math.max(
+          Math.abs(after.data[i] - before.data[i]),
+          Math.abs(after.data[i + 1] - before.data[i + 1]),
+          Math.abs(after.data[i + 2] - before.data[i + 2])
+        );
+        if (delta > limit) changedPixels++;
+      }
+    }
+  } else {
+    if (!framebufferBits) {
+      throw new Error(`Unknown bits per pixel for ${format} output`);
+    }
+    const planes = format === "raw-bwr" ? 2 : 1;
+    totalPixels = (current.length / planes) * (8 / framebufferBits);
+    changedPixels = previous.length === current.length
+      ? countChangedFramebufferPixels(previous, current, framebufferBits, planes)
+      : totalPixels;
+  }
+
+  const percentDifference = totalPixels ? (changedPixels / totalPixels) * 100 : 0;
+  return {
+    changedPixels,
+    totalPixels,
+    percentDifference: parseFloat(percentDifference.toFixed(2))
+  };
+}
+
+/**
+ * Whether a comparison is within a schedule's change limits
+ *
+ * @param {Object} comparison - Result of compareOutputs
+ * @param {Object} [options] - Change detection settings
+ * @param {number} [options.maxDiffPixels=0] - Changed pixels that still count as unchanged
+ * @param {number} [options.maxDiffPercent=0] - Changed percentage that still counts as unchanged
+ * @returns {boolean} True if the render can be skipped
+ */
+export function isUnchanged({ changedPixels, totalPixels }, options = {}) {
+  const {
+    maxDiffPixels = CHANGE_DETECTION_DEFAULTS.maxDiffPixels,
+    maxDiffPercent = CHANGE_DETECTION_DEFAULTS.maxDiffPercent
+  } = options;
+
+  // Unrounded, so a few pixels of a large image never round down to 0%
+  return changedPixels <= maxDiffPixels || (changedPixels / totalPixels) * 100 <= maxDiffPercent;
+}
+
+/**
+ * Validate a schedule's change detection settings
+ *
+ * @param {Object} settings - `{enabled, threshold, maxDiffPixels, maxDiffPercent}`
+ * @returns {boolean} True if valid
+ * @throws {Error} Describing the first problem
+ */
+export function validateChangeDetection(settings) {
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    throw new Error("Change detection must be an object");
+  }
+
+  const { enabled, threshold, maxDiffPixels, maxDiffPercent } = settings;
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    throw new Error("Change detection enabled must be true or false");
+  }
+  if (threshold !== undefined && !(typeof threshold === "number" && threshold >= 0 && threshold <= 1)) {
+    throw new Error("Change detection threshold must be between 0 and 1");
+  }
+  if (maxDiffPixels !== undefined && !(Number.isInteger(maxDiffPixels) && maxDiffPixels >= 0)) {
+    throw new Error("Change detection maxDiffPixels must be a whole number of 0 or more");
+  }
+  if (maxDiffPercent !== undefined && !(typeof maxDiffPercent === "number" && maxDiffPercent >= 0 && maxDiffPercent <= 100)) {
+    throw new Error("Change detection maxDiffPercent must be between 0 and 100");
+  }
+
+  return true;
+}
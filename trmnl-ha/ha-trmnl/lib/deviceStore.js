@@ -0,0 +1,190 @@
+/**
+ * Device Store Module
+ *
+ * Manages TRMNL device registrations persistence to JSON file (next to schedules.json)
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEVICES_FILE = path.join(__dirname, "..", "devices.json");
+
+/**
+ * Longest time an unchanged status goes without being written (updates seenAt)
+ * @type {number}
+ */
+const STATUS_WRITE_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Load devices from JSON file
+ * @returns {Array} Array of device objects
+ */
+export function loadDevices() {
+  try {
+    if (fs.existsSync(DEVICES_FILE)) {
+      const data = fs.readFileSync(DEVICES_FILE, "utf-8");
+      return JSON.parse(data);
+    }
+  } catch (err) {
+    console.error("Error loading devices:", err);
+  }
+  return [];
+}
+
+/**
+ * Save devices to JSON file
+ * @param {Array} devices - Array of device objects
+ */
+export function saveDevices(devices) {
+  try {
+    fs.writeFileSync(DEVICES_FILE, JSON.stringify(devices, null, 2));
+  } catch (err) {
+    console.error("Error saving devices:", err);
+    throw err;
+  }
+}
+
+/**
+ * Get a device by friendly ID
+ * @param {string} id - Friendly ID
+ * @returns {Object|null} Device object or null
+ */
+export function getDevice(id) {
+  const devices = loadDevices();
+  return devices.find((d) => d.friendly_id === id) || null;
+}
+
+/**
+ * Get a device by the API key it authenticates with
+ * @param {string} apiKey - Access token sent by the device
+ * @returns {Object|null} Device object or null
+ */
+export function getDeviceByApiKey(apiKey) {
+  if (!apiKey) return null;
+  const devices = loadDevices();
+  return devices.find((d) => d.api_key === apiKey) || null;
+}
+
+/**
+ * Get a device by MAC address
+ * @param {string} mac - MAC address (any case)
+ * @returns {Object|null} Device object or null
+ */
+export function getDeviceByMac(mac) {
+  const normalized = mac.toUpperCase();
+  const devices = loadDevices();
+  return devices.find((d) => d.mac === normalized) || null;
+}
+
+/**
+ * Register a new device by MAC address
+ * @param {string} mac - MAC address (any case)
+ * @returns {Object|null} Device with api_key and friendly_id, or null if the MAC is already registered
+ */
+export function registerDevice(mac) {
+  const devices = loadDevices();
+  const normalized = mac.toUpperCase();
+  if (devices.some((d) => d.mac === normalized)) return null;
+
+  const device = {
+    mac: normalized,
+    friendly_id: generateFriendlyId(devices),
+    api_key: crypto.randomBytes(24).toString("base64url"),
+    name: null,
+    schedule_id: null,
+    refresh_rate: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+  devices.push(device);
+  saveDevices(devices);
+  return device;
+}
+
+/**
+ * Update an existing device
+ * @param {string} id - Friendly ID
+ * @param {Object} updates - Updated device data
+ * @returns {Object|null} Updated device or null if not found
+ */
+export function updateDevice(id, updates) {
+  const devices = loadDevices();
+  const index = devices.findIndex((d) => d.friendly_id === id);
+  if (index === -1) {
+    return null;
+  }
+  devices[index] = {
+    ...devices[index],
+    ...updates,
+    // Preserve identity and credentials
+    mac: devices[index].mac,
+    friendly_id: id,
+    api_key: devices[index].api_key,
+    updatedAt: new Date().toISOString(),
+  };
+  saveDevices(devices);
+  return devices[index];
+}
+
+/**
+ * Record what a device reported on its last call, without touching updatedAt
+ * Devices call on every wake-up, so the file is only rewritten when the
+ * telemetry changed or the stored status is older than STATUS_WRITE_INTERVAL.
+ * @param {string} id - Friendly ID
+ * @param {Object} status - Telemetry (battery, signal, firmware, panel size)
+ * @returns {Object|null} Device as stored, or null if not found
+ */
+export function recordDeviceStatus(id, status) {
+  const devices = loadDevices();
+  const device = devices.find((d) => d.friendly_id === id);
+  if (!device) {
+    return null;
+  }
+
+  const now = new Date();
+  const recorded = { ...status, seenAt: now.toISOString() };
+  // JSON drops undefined fields, as the stored copy did
+  const unchanged =
+    device.status &&
+    JSON.stringify({ ...device.status, seenAt: undefined }) === JSON.stringify({ ...recorded, seenAt: undefined }) &&
+    now - new Date(device.status.seenAt) < STATUS_WRITE_INTERVAL;
+  if (unchanged) {
+    return device;
+  }
+
+  device.status = recorded;
+  saveDevices(devices);
+  return device;
+}
+
+/**
+ * Delete a device (it registers again with a new key on its next setup)
+ * @param {string} id - Friendly ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+export function deleteDevice(id) {
+  const devices = loadDevices();
+  const index = devices.findIndex((d) => d.friendly_id === id);
+  if (index === -1) {
+    return false;
+  }
+  devices.splice(index, 1);
+  saveDevices(devices);
+  return true;
+}
+
+/**
+ * Generate a short ID that is shown to users, unique among devices
+ * @param {Array} devices - Registered devices
+ * @returns {string} Six uppercase hex characters
+ */
+function generateFriendlyId(devices) {
+  let id;
+  do {
+    id = crypto.randomBytes(3).toString("hex").toUpperCase();
+  } while (devices.some((d) => d.friendly_id === id));
+  return id;
+}
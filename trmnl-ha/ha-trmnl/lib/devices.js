@@ -0,0 +1,167 @@
+/**
+ * TRMNL Device Protocol
+ *
+ * TRMNL devices can be pointed at a self-hosted ("BYOS") server. They call
+ * three endpoints: `/api/setup` with their MAC address in the `ID` header to
+ * obtain an API key, `/api/display` with that key in `Access-Token` to learn
+ * which image to show and when to wake up next, and `/api/log` to report
+ * errors. Telemetry (battery, signal, firmware, panel size) travels in
+ * headers of the display call. This module parses those requests and builds
+ * the JSON the firmware expects; registration and routing live in
+ * lib/deviceStore.js and http.js.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Device sleep time between display calls in seconds
+ * @type {{min: number, max: number, default: number}}
+ */
+export const DEVICE_REFRESH_RATE = { min: 60, max: 86400, default: 900 };
+
+/**
+ * `status` of a display response: an image is available, or the device is
+ * registered but has nothing to show yet (no schedule or no saved render)
+ * @type {{ok: number, pending: number}}
+ */
+export const DISPLAY_STATUS = { ok: 0, pending: 202 };
+
+/**
+ * MAC address in the `ID` header, after upper-casing
+ * @type {RegExp}
+ */
+export const MAC_ADDRESS_PATTERN = /^([0-9A-F]{2}:){5}[0-9A-F]{2}$/;
+
+/**
+ * Longest device name, firmware version or model string kept
+ * @type {number}
+ */
+export const MAX_DEVICE_TEXT_LENGTH = 64;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Parse a numeric header
+ * @param {string|undefined} value - Header value
+ * @returns {number|undefined} Number, or undefined if missing or invalid
+ */
+function numericHeader(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? undefined : number;
+}
+
+/**
+ * Parse a text header
+ * @param {string|undefined} value - Header value
+ * @returns {string|undefined} Trimmed text, or undefined if missing or too long
+ */
+function textHeader(value) {
+  if (typeof value !== "string") return undefined;
+  const text = value.trim();
+  return text && text.length <= MAX_DEVICE_TEXT_LENGTH ? text : undefined;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Identity and telemetry sent by a device
+ *
+ * @param {Object} headers - Request headers (lower-case names, as in Node)
+ * @returns {Object} `{mac, accessToken, telemetry}`; telemetry fields the
+ *   device did not send (or sent as over-long text) are undefined; the MAC
+ *   is upper-cased but not checked against MAC_ADDRESS_PATTERN
+ */
+export function readDeviceHeaders(headers) {
+  return {
+    mac: headers["id"]?.trim().toUpperCase() || undefined,
+    accessToken: headers["access-token"]?.trim() || undefined,
+    telemetry: {
+      batteryVoltage: numericHeader(headers["battery-voltage"]),
+      rssi: numericHeader(headers["rssi"]),
+      firmwareVersion: textHeader(headers["fw-version"]),
+      model: textHeader(headers["model"]),
+      width: numericHeader(headers["width"]),
+      height: numericHeader(headers["height"]),
+      refreshRate: numericHeader(headers["refresh-rate"])
+    }
+  };
+}
+
+/**
+ * Log entries from a `/api/log` body
+ * Accepts current firmware (`{logs: [...]}`), older firmware
+ * (`{log: {logs_array: [...]}}`) and a single entry or message.
+ *
+ * @param {string} body - Request body
+ * @returns {Array} Log entries (objects or strings)
+ * @throws {Error} If the body is not JSON or holds no log entries
+ */
+export function parseDeviceLogs(body) {
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch {
+    throw new Error("Log body must be JSON");
+  }
+
+  const entries = Array.isArray(data)
+    ? data
+    : data?.logs ?? data?.log?.logs_array ?? (data?.log !== undefined ? [data.log] : undefined);
+  if (!Array.isArray(entries)) {
+    throw new Error("Log body must contain logs");
+  }
+  return entries;
+}
+
+/**
+ * Refresh rate for a device: its configured value, clamped to the
+ * supported range, or the default
+ *
+ * @param {number|null|undefined} refreshRate - Configured seconds
+ * @returns {number} Seconds between display calls
+ */
+export function resolveRefreshRate(refreshRate) {
+  if (!Number.isFinite(refreshRate)) return DEVICE_REFRESH_RATE.default;
+  return Math.min(DEVICE_REFRESH_RATE.max, Math.max(DEVICE_REFRESH_RATE.min, Math.round(refreshRate)));
+}
+
+/**
+ * Body of a `/api/display` response
+ * The firmware only downloads the image when `filename` differs from the
+ * one it shows, so each saved render must have its own name.
+ *
+ * @param {Object} options - Display options
+ * @param {string|null} options.imageUrl - Absolute URL of the image, null if none
+ * @param {string|null} options.filename - Name identifying the image
+ * @param {number} options.refreshRate - Seconds until the next call
+ * @returns {Object} Response for the firmware
+ */
+export function buildDisplayResponse({ imageUrl, filename, refreshRate }) {
+  return {
+    status: imageUrl ? DISPLAY_STATUS.ok : DISPLAY_STATUS.pending,
+    image_url: imageUrl,
+    filename,
+    refresh_rate: refreshRate,
+    reset_firmware: false,
+    update_firmware: false,
+    firmware_url: null,
+    special_function: "sleep"
+  };
+}
+
+/**
+ * Base URL under which the device reached this server, for image links
+ *
+ * @param {Object} headers - Request headers
+ * @returns {string} e.g. `http://192.168.1.10:10000`
+ */
+export function requestBaseUrl(headers) {
+  const protocol = headers["x-forwarded-proto"]?.split(",")[0].trim() || "http";
+  return `${protocol}://${headers.host}`;
+}
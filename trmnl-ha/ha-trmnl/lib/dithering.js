@@ -2,118 +2,892 @@
  * Advanced Dithering Module
  *
  * Provides high-quality grayscale conversion with various dithering algorithms
- * optimized for e-ink displays.
+ * optimized for e-ink displays, plus nearest-color quantization to color
+ * e-paper palettes. All processing runs in-process on raw pixel buffers
+ * decoded by Sharp.
  */
 
-import gm from "gm";
+import { readFile } from "fs/promises";
+import sharp from "sharp";
+import { PNGEncoder } from "../png.js";
+import { resolvePalette } from "./palettes.js";
+import { resolveCalibration } from "./calibration.js";
+import {
+  TONE_DEFAULTS,
+  applyAutoLevels,
+  applyLookupTable,
+  applyToneCurve,
+  applyUnsharpMask,
+  validateToneOptions,
+} from "./tone.js";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Supported output bit depths
+ * @type {number[]}
+ */
+const BIT_DEPTHS = [1, 2, 4, 8];
+
+/**
+ * Supported Bayer threshold matrix sizes for ordered dithering
+ * @type {number[]}
+ */
+const MATRIX_SIZES = [2, 4, 8, 16];
+
+/**
+ * Tileable void-and-cluster threshold mask (regenerate with `npm run blue-noise`)
+ * @type {URL}
+ */
+const BLUE_NOISE_MASK = new URL("../assets/blue-noise-64.png", import.meta.url);
+
+/**
+ * Error diffusion kernels
+ *
+ * Each entry lists [dx, dy, weight] offsets relative to the current pixel.
+ * Weights are divided by the divisor; Atkinson intentionally propagates only
+ * 6/8 of the error, which keeps highlights and shadows clean.
+ * @type {Object.<string, {divisor: number, offsets: number[][]}>}
+ */
+const DIFFUSION_KERNELS = {
+  "floyd-steinberg": {
+    divisor: 16,
+    offsets: [
+      [1, 0, 7],
+      [-1, 1, 3], [0, 1, 5], [1, 1, 1],
+    ],
+  },
+  atkinson: {
+    divisor: 8,
+    offsets: [
+      [1, 0, 1], [2, 0, 1],
+      [-1, 1, 1], [0, 1, 1], [1, 1, 1],
+      [0, 2, 1],
+    ],
+  },
+  "jarvis-judice-ninke": {
+    divisor: 48,
+    offsets: [
+      [1, 0, 7], [2, 0, 5],
+      [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+      [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1],
+    ],
+  },
+  stucki: {
+    divisor: 42,
+    offsets: [
+      [1, 0, 8], [2, 0, 4],
+      [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+      [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1],
+    ],
+  },
+  burkes: {
+    divisor: 32,
+    offsets: [
+      [1, 0, 8], [2, 0, 4],
+      [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+    ],
+  },
+  sierra: {
+    divisor: 32,
+    offsets: [
+      [1, 0, 5], [2, 0, 3],
+      [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+      [-1, 2, 2], [0, 2, 3], [1, 2, 2],
+    ],
+  },
+};
+
+/**
+ * Supported dithering methods and their metadata
+ * @type {Object.<string, {description: string, recommended: boolean, bitDepths: number[]}>}
+ */
+const METHODS = {
+  "floyd-steinberg": {
+    description: "Error diffusion dithering - best quality for most images",
+    recommended: true,
+    bitDepths: BIT_DEPTHS,
+  },
+  atkinson: {
+    description: "Partial error diffusion - crisp text and icons on 1-bit panels",
+    recommended: false,
+    bitDepths: BIT_DEPTHS,
+  },
+  "jarvis-judice-ninke": {
+    description: "Wide 12-neighbour error diffusion - smoothest gradients, slower",
+    recommended: false,
+    bitDepths: BIT_DEPTHS,
+  },
+  stucki: {
+    description: "Wide error diffusion - sharper than Jarvis-Judice-Ninke",
+    recommended: false,
+    bitDepths: BIT_DEPTHS,
+  },
+  burkes: {
+    description: "Two-row simplification of Stucki - fast with clean gradients",
+    recommended: false,
+    bitDepths: BIT_DEPTHS,
+  },
+  sierra: {
+    description: "Three-row Sierra error diffusion - close to Jarvis-Judice-Ninke, faster",
+    recommended: false,
+    bitDepths: BIT_DEPTHS,
+  },
+  ordered: {
+    description: "Bayer matrix dithering - fixed pattern, stable between refreshes",
+    recommended: false,
+    bitDepths: BIT_DEPTHS,
+  },
+  hybrid: {
+    description: "Hard threshold for text and line art, Floyd-Steinberg elsewhere - crisp glyphs on 1-bit panels",
+    recommended: false,
+    bitDepths: BIT_DEPTHS,
+  },
+  "blue-noise": {
+    description: "Void-and-cluster blue noise threshold - organic grain, stable between refreshes",
+    recommended: false,
+    bitDepths: BIT_DEPTHS,
+  },
+  none: {
+    description: "No dithering - simple posterization",
+    recommended: false,
+    bitDepths: BIT_DEPTHS,
+  },
+};
+
+/**
+ * Rec. 601 luma weights (same as GraphicsMagick's Gray colorspace)
+ * @type {{r: number, g: number, b: number}}
+ */
+const LUMA = { r: 0.299, g: 0.587, b: 0.114 };
+
+/**
+ * Threshold spread for ordered and blue noise palette dithering
+ *
+ * Color palettes are not evenly spaced, so threshold offsets span the full
+ * black-to-white distance on every channel.
+ * @type {number}
+ */
+const PALETTE_THRESHOLD_SPREAD = 255;
+
+/**
+ * Text detection tuning for the hybrid method
+ *
+ * - contrast: minimum 3x3 gray range (0-255) that counts as a hard edge
+ * - maxThickness: edge components this thin in either direction are glyphs,
+ *   icons or lines; anything larger is treated as an image
+ * @type {{contrast: number, maxThickness: number}}
+ */
+const TEXT_DETECTION = { contrast: 96, maxThickness: 48 };
+
+// =============================================================================
+// PIXEL OPERATIONS
+// =============================================================================
+
+/**
+ * Decode an image buffer into raw sRGB pixels
+ *
+ * @param {Buffer} imageBuffer - Encoded image (PNG, JPEG, WebP, etc.)
+ * @param {boolean} gammaCorrection - Ignore any embedded ICC profile
+ * @returns {Promise<{data: Buffer, info: Object}>} Raw RGB pixels
+ */
+async function decodeToRgb(imageBuffer, gammaCorrection) {
+  return sharp(imageBuffer, { ignoreIcc: gammaCorrection })
+    .flatten({ background: "#ffffff" })
+    .toColourspace("srgb")
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Convert raw RGB pixels to a floating point luminance plane
+ *
+ * @param {Buffer} data - Raw pixel data
+ * @param {number} channels - Channels per pixel in data
+ * @returns {Float32Array} Gray values (0-255)
+ */
+function toGrayscale(data, channels) {
+  const gray = new Float32Array(data.length / channels);
+
+  for (let i = 0, p = 0; i < gray.length; i++, p += channels) {
+    gray[i] = data[p] * LUMA.r + data[p + 1] * LUMA.g + data[p + 2] * LUMA.b;
+  }
+
+  return gray;
+}
+
+/**
+ * Stretch the range between black and white points to full scale (in place)
+ *
+ * @param {Float32Array} gray - Gray values (0-255)
+ * @param {number} blackLevel - Black point (0-100)
+ * @param {number} whiteLevel - White point (0-100)
+ */
+function applyLevels(gray, blackLevel, whiteLevel) {
+  if (blackLevel === 0 && whiteLevel === 100) return;
+
+  const black = (blackLevel / 100) * 255;
+  const scale = 255 / (((whiteLevel - blackLevel) / 100) * 255);
+
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = Math.max(0, Math.min(255, (gray[i] - black) * scale));
+  }
+}
+
+/**
+ * Run the pre-dither tone stage (in place)
+ *
+ * Order: auto-levels, manual black/white levels, tone curve, unsharp mask,
+ * then the panel calibration table, which turns the wanted brightness into
+ * the value the panel needs to show it.
+ *
+ * @param {Float32Array} plane - Pixel values (0-255)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} channels - Interleaved channels per pixel (1 or 3)
+ * @param {Object} options - Resolved dithering options
+ */
+function adjustTone(plane, width, height, channels, options) {
+  if (options.autoLevels) {
+    applyAutoLevels(plane, channels, options.autoLevelsClip);
+  }
+  applyLevels(plane, options.blackLevel, options.whiteLevel);
+  if (options.toneCurve) {
+    applyToneCurve(plane, options.toneCurve);
+  }
+  if (options.sharpenAmount > 0) {
+    applyUnsharpMask(plane, width, height, channels, options.sharpenRadius, options.sharpenAmount);
+  }
+  if (options.calibration) {
+    applyLookupTable(plane, resolveCalibration(options.calibration));
+  }
+}
+
+/**
+ * Round a gray value to the nearest of the evenly spaced output levels
+ *
+ * @param {number} value - Gray value
+ * @param {number} step - Distance between output levels
+ * @returns {number} Quantized gray value (0-255)
+ */
+function quantize(value, step) {
+  return Math.max(0, Math.min(255, Math.round(value / step) * step));
+}
+
+/**
+ * Quantize every pixel independently
+ *
+ * @param {Float32Array} gray - Gray values (0-255)
+ * @param {number} step - Distance between output levels
+ * @returns {Uint8Array} Quantized pixels
+ */
+function posterize(gray, step) {
+  const output = new Uint8Array(gray.length);
+
+  for (let i = 0; i < gray.length; i++) {
+    output[i] = quantize(gray[i], step);
+  }
+
+  return output;
+}
+
+/**
+ * Error diffusion dithering (modifies gray in place)
+ *
+ * Quantizes pixels top to bottom and spreads each pixel's quantization error
+ * to not-yet-visited neighbours according to the kernel. Rows run left to
+ * right, or alternate direction with serpentine scanning (the kernel is
+ * mirrored on right-to-left rows), which breaks up directional "worm"
+ * artifacts. Strength below 100% diffuses only part of the error, so flat
+ * areas near an output level stay clean instead of picking up speckles.
+ *
+ * @param {Float32Array} gray - Gray values (0-255)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} step - Distance between output levels
+ * @param {{divisor: number, offsets: number[][]}} kernel - Diffusion kernel
+ * @param {{serpentine: boolean, strength: number, mask?: Uint8Array}} scan - Scan
+ *   direction, diffused error percentage (0-100) and optional hard-threshold
+ *   mask; masked pixels neither receive nor pass on error
+ * @returns {Uint8Array} Quantized pixels
+ */
+function diffuseError(gray, width, height, step, kernel, scan) {
+  const output = new Uint8Array(gray.length);
+  const { divisor, offsets } = kernel;
+  const scale = scan.strength / 100 / divisor;
+
+  for (let y = 0; y < height; y++) {
+    const reverse = scan.serpentine && y % 2 === 1;
+    const direction = reverse ? -1 : 1;
+
+    for (let k = 0; k < width; k++) {
+      const x = reverse ? width - 1 - k : k;
+      const i = y * width + x;
+      const value = quantize(gray[i], step);
+      const error = (gray[i] - value) * scale;
+      output[i] = value;
+      if (scan.mask?.[i]) continue;
+
+      for (const [dx, dy, weight] of offsets) {
+        const nx = x + dx * direction;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny >= height) continue;
+        const n = ny * width + nx;
+        if (scan.mask?.[n]) continue;
+        gray[n] += error * weight;
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Build a normalized Bayer threshold matrix
+ *
+ * Built recursively: M(2n) = [[4M, 4M+2], [4M+3, 4M+1]]. Entries are mapped
+ * to offsets in (-0.5, 0.5) so the average threshold is neutral.
+ *
+ * @param {number} size - Matrix size (power of 2)
+ * @returns {Float32Array} size*size threshold offsets, row-major
+ */
+function bayerMatrix(size) {
+  let matrix = [0];
+  let n = 1;
+
+  while (n < size) {
+    const next = new Array(4 * n * n);
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        const value = 4 * matrix[y * n + x];
+        next[y * 2 * n + x] = value;
+        next[y * 2 * n + x + n] = value + 2;
+        next[(y + n) * 2 * n + x] = value + 3;
+        next[(y + n) * 2 * n + x + n] = value + 1;
+      }
+    }
+    matrix = next;
+    n *= 2;
+  }
+
+  return Float32Array.from(matrix, (value) => (value + 0.5) / (size * size) - 0.5);
+}
+
+/** @type {Promise<{matrix: Float32Array, size: number}>|null} */
+let blueNoiseMask = null;
+
+/**
+ * Load the blue noise threshold mask (decoded once, then cached)
+ *
+ * Mask values are ranks scaled to 0-255 and are mapped to offsets in
+ * (-0.5, 0.5) like the Bayer matrix.
+ *
+ * @returns {Promise<{matrix: Float32Array, size: number}>} Square threshold mask
+ */
+function loadBlueNoiseMask() {
+  if (!blueNoiseMask) {
+    blueNoiseMask = readFile(BLUE_NOISE_MASK)
+      .then((file) => sharp(file).extractChannel(0).raw().toBuffer({ resolveWithObject: true }))
+      .then(({ data, info }) => ({
+        matrix: Float32Array.from(data, (value) => (value + 0.5) / 256 - 0.5),
+        size: info.width,
+      }))
+      .catch((err) => {
+        blueNoiseMask = null;
+        throw err;
+      });
+  }
+  return blueNoiseMask;
+}
+
+/**
+ * Threshold (ordered) dithering against a tiled matrix
+ *
+ * Each pixel is offset by up to half a quantization step according to its
+ * position in the tiled threshold matrix, then rounded to the nearest level.
+ * The pattern depends only on position, so unchanged areas stay identical
+ * between refreshes.
+ *
+ * @param {Float32Array} gray - Gray values (0-255)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} step - Distance between output levels
+ * @param {Float32Array} matrix - Threshold offsets, row-major
+ * @param {number} size - Matrix size (power of 2)
+ * @returns {Uint8Array} Quantized pixels
+ */
+function thresholdDither(gray, width, height, step, matrix, size) {
+  const output = new Uint8Array(gray.length);
+  const mask = size - 1;
+
+  for (let y = 0; y < height; y++) {
+    const row = (y & mask) * size;
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      output[i] = quantize(gray[i] + matrix[row + (x & mask)] * step, step);
+    }
+  }
+
+  return output;
+}
+
+// =============================================================================
+// TEXT DETECTION
+// =============================================================================
+
+/**
+ * Sliding 3x3 minimum or maximum (separable, edges clamped)
+ *
+ * @param {Float32Array} gray - Gray values
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Function} pick - Math.min or Math.max
+ * @returns {Float32Array} Filtered values
+ */
+function filter3x3(gray, width, height, pick) {
+  const rows = new Float32Array(gray.length);
+  const output = new Float32Array(gray.length);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      rows[i] = pick(gray[i], gray[x > 0 ? i - 1 : i], gray[x < width - 1 ? i + 1 : i]);
+    }
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      output[i] = pick(rows[i], rows[y > 0 ? i - width : i], rows[y < height - 1 ? i + width : i]);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Find text and line-art pixels
+ *
+ * Marks pixels near a hard edge (3x3 range at or above the contrast
+ * threshold), then groups them into 8-connected components. Small or thin
+ * components (glyphs, words, icons, divider lines) are kept; large ones are
+ * photographic texture or image outlines and are left to the ditherer.
+ * Gradients never reach the contrast threshold.
+ *
+ * @param {Float32Array} gray - Gray values (0-255)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8Array} 1 for text/line-art pixels, 0 elsewhere
+ */
+function detectTextMask(gray, width, height) {
+  const min = filter3x3(gray, width, height, Math.min);
+  const max = filter3x3(gray, width, height, Math.max);
+
+  // Edge pixels, grown by one so anti-aliased glyph borders are included
+  const edges = new Float32Array(gray.length);
+  for (let i = 0; i < gray.length; i++) {
+    edges[i] = max[i] - min[i] >= TEXT_DETECTION.contrast ? 1 : 0;
+  }
+  const candidates = filter3x3(edges, width, height, Math.max);
+
+  const mask = new Uint8Array(gray.length);
+  const visited = new Uint8Array(gray.length);
+  const stack = [];
+  const component = [];
+
+  for (let start = 0; start < gray.length; start++) {
+    if (!candidates[start] || visited[start]) continue;
+
+    let minX = width, minY = height, maxX = 0, maxY = 0;
+    component.length = 0;
+    stack.push(start);
+    visited[start] = 1;
+
+    while (stack.length) {
+      const i = stack.pop();
+      const x = i % width;
+      const y = (i - x) / width;
+      component.push(i);
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+          const n = ny * width + nx;
+          if (candidates[n] && !visited[n]) {
+            visited[n] = 1;
+            stack.push(n);
+          }
+        }
+      }
+    }
+
+    const thickness = Math.min(maxX - minX + 1, maxY - minY + 1);
+    if (thickness <= TEXT_DETECTION.maxThickness) {
+      for (const i of component) mask[i] = 1;
+    }
+  }
+
+  return mask;
+}
+
+// =============================================================================
+// COLOR PALETTE QUANTIZATION
+// =============================================================================
+
+/**
+ * Convert raw pixels to a floating point RGB plane
+ *
+ * @param {Buffer} data - Raw pixel data
+ * @param {number} channels - Channels per pixel in data
+ * @returns {Float32Array} Interleaved RGB values (0-255)
+ */
+function toRgbFloat(data, channels) {
+  const rgb = new Float32Array((data.length / channels) * 3);
+
+  for (let i = 0, p = 0; i < rgb.length; i += 3, p += channels) {
+    rgb[i] = data[p];
+    rgb[i + 1] = data[p + 1];
+    rgb[i + 2] = data[p + 2];
+  }
+
+  return rgb;
+}
+
+/**
+ * Find the palette entry closest to a color
+ *
+ * Distance is weighted by luma so brightness errors count more than hue.
+ *
+ * @param {number} r - Red (0-255, may be out of range during diffusion)
+ * @param {number} g - Green
+ * @param {number} b - Blue
+ * @param {number[][]} palette - [r, g, b] per palette entry
+ * @returns {number} Position of the nearest entry in palette
+ */
+function nearestColor(r, g, b, palette) {
+  let best = 0;
+  let bestDistance = Infinity;
+
+  for (let i = 0; i < palette.length; i++) {
+    const [pr, pg, pb] = palette[i];
+    const distance =
+      LUMA.r * (r - pr) ** 2 + LUMA.g * (g - pg) ** 2 + LUMA.b * (b - pb) ** 2;
+    if (distance < bestDistance) {
+      best = i;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Error diffusion to a color palette (modifies rgb in place)
+ *
+ * Same scan as diffuseError, with the error carried per channel.
+ *
+ * @param {Float32Array} rgb - Interleaved RGB values (0-255)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number[][]} palette - [r, g, b] per palette entry
+ * @param {{divisor: number, offsets: number[][]}} kernel - Diffusion kernel
+ * @param {{serpentine: boolean, strength: number, mask?: Uint8Array}} scan - See diffuseError
+ * @returns {Uint8Array} Palette entry position per pixel
+ */
+function diffuseColorError(rgb, width, height, palette, kernel, scan) {
+  const output = new Uint8Array(width * height);
+  const { divisor, offsets } = kernel;
+  const scale = scan.strength / 100 / divisor;
+
+  for (let y = 0; y < height; y++) {
+    const reverse = scan.serpentine && y % 2 === 1;
+    const direction = reverse ? -1 : 1;
+
+    for (let k = 0; k < width; k++) {
+      const x = reverse ? width - 1 - k : k;
+      const i = y * width + x;
+      const p = i * 3;
+      const entry = nearestColor(rgb[p], rgb[p + 1], rgb[p + 2], palette);
+      const [pr, pg, pb] = palette[entry];
+      const errR = (rgb[p] - pr) * scale;
+      const errG = (rgb[p + 1] - pg) * scale;
+      const errB = (rgb[p + 2] - pb) * scale;
+      output[i] = entry;
+      if (scan.mask?.[i]) continue;
+
+      for (const [dx, dy, weight] of offsets) {
+        const nx = x + dx * direction;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny >= height) continue;
+        if (scan.mask?.[ny * width + nx]) continue;
+        const n = (ny * width + nx) * 3;
+        rgb[n] += errR * weight;
+        rgb[n + 1] += errG * weight;
+        rgb[n + 2] += errB * weight;
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Map each pixel to its nearest palette color, optionally offset by a tiled
+ * threshold matrix (ordered / blue noise)
+ *
+ * @param {Float32Array} rgb - Interleaved RGB values (0-255)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number[][]} palette - [r, g, b] per palette entry
+ * @param {Float32Array} [matrix] - Threshold offsets, row-major
+ * @param {number} [size] - Matrix size (power of 2)
+ * @returns {Uint8Array} Palette entry position per pixel
+ */
+function mapToPalette(rgb, width, height, palette, matrix, size) {
+  const output = new Uint8Array(width * height);
+  const mask = size - 1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const p = i * 3;
+      const offset = matrix
+        ? matrix[(y & mask) * size + (x & mask)] * PALETTE_THRESHOLD_SPREAD
+        : 0;
+      output[i] = nearestColor(rgb[p] + offset, rgb[p + 1] + offset, rgb[p + 2] + offset, palette);
+    }
+  }
+
+  return output;
+}
+
+// =============================================================================
+// OPTIONS
+// =============================================================================
+
+/**
+ * Apply defaults to dithering options and reject invalid values
+ *
+ * @param {Object} options - Dithering options (see applyDithering)
+ * @returns {Object} Options with defaults applied
+ * @throws {Error} If an option is invalid
+ */
+function resolveOptions(options) {
+  const resolved = {
+    method: "floyd-steinberg",
+    bitDepth: 2,
+    gammaCorrection: true,
+    blackLevel: 0,
+    whiteLevel: 100,
+    ditherMatrix: 8,
+    serpentine: false,
+    diffusionStrength: 100,
+    palette: undefined,
+    calibration: undefined,
+    ...TONE_DEFAULTS,
+    // An explicit undefined keeps the default
+    ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)),
+  };
+  const { method, bitDepth, blackLevel, whiteLevel, ditherMatrix, diffusionStrength, palette } =
+    resolved;
+
+  if (!Object.hasOwn(METHODS, method)) {
+    throw new Error(`Invalid dithering method: ${method}`);
+  }
+  if (!BIT_DEPTHS.includes(bitDepth)) {
+    throw new Error(`Invalid bit depth: ${bitDepth}`);
+  }
+  if (blackLevel < 0 || blackLevel > 100 || whiteLevel < 0 || whiteLevel > 100) {
+    throw new Error("Black and white levels must be between 0 and 100");
+  }
+  if (blackLevel >= whiteLevel) {
+    throw new Error("Black level must be less than white level");
+  }
+  if (!MATRIX_SIZES.includes(ditherMatrix)) {
+    throw new Error(`Invalid dither matrix size: ${ditherMatrix}`);
+  }
+  if (typeof diffusionStrength !== "number" || diffusionStrength < 0 || diffusionStrength > 100) {
+    throw new Error("Diffusion strength must be between 0 and 100");
+  }
+  if (palette !== undefined) {
+    resolvePalette(palette);
+  }
+  validateToneOptions(resolved);
+  if (resolved.calibration !== undefined) {
+    resolveCalibration(resolved.calibration);
+  }
+
+  return resolved;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
 
 /**
  * Apply advanced dithering to an image buffer
  *
  * @param {Buffer} imageBuffer - PNG image buffer
  * @param {Object} options - Dithering options
- * @param {string} options.method - Dithering method: 'floyd-steinberg', 'ordered', 'none'
+ * @param {string} options.method - Dithering method (see getSupportedMethods)
  * @param {number} options.bitDepth - Output bit depth: 1, 2, 4, or 8
- * @param {boolean} options.gammaCorrection - Apply gamma correction for e-ink displays
+ * @param {boolean} options.gammaCorrection - Ignore embedded color profile (removes gamma curve)
  * @param {number} options.blackLevel - Black level adjustment (0-100)
  * @param {number} options.whiteLevel - White level adjustment (0-100)
- * @returns {Promise<Buffer>} - Processed PNG image buffer
+ * @param {number} options.ditherMatrix - Bayer matrix size for 'ordered': 2, 4, 8 or 16
+ * @param {boolean} options.serpentine - Alternate row direction for error diffusion
+ * @param {number} options.diffusionStrength - Percentage of error diffused (0-100)
+ * @param {string|Object} [options.palette] - Color palette name (see getSupportedPalettes)
+ *   or palette definition; replaces bitDepth and produces an indexed PNG in
+ *   panel index order
+ * @param {boolean} [options.autoLevels] - Stretch the histogram to full range before dithering
+ * @param {number} [options.autoLevelsClip] - Percent of pixels clipped at each end (0-10, default 0.5)
+ * @param {number[][]} [options.toneCurve] - Tone curve [input, output] control points (0-255)
+ * @param {number} [options.sharpenAmount] - Unsharp mask amount in percent (0-500, default 0 = off)
+ * @param {number} [options.sharpenRadius] - Unsharp mask radius in pixels (0.5-10, default 1)
+ * @param {string|Object} [options.calibration] - Panel calibration profile name (see
+ *   getCalibrationProfiles) or profile definition
+ * @returns {Promise<Buffer>} - Processed grayscale (or indexed color) PNG image buffer
+ * @throws {Error} If the buffer or options are invalid
  */
 export async function applyDithering(imageBuffer, options = {}) {
-  const {
-    method = "floyd-steinberg",
-    bitDepth = 2,
-    gammaCorrection = true,
-    blackLevel = 0,
-    whiteLevel = 100,
-  } = options;
+  if (!Buffer.isBuffer(imageBuffer)) {
+    throw new Error("imageBuffer must be a Buffer");
+  }
 
-  // Create GM instance from buffer
-  let image = gm(imageBuffer);
+  const resolved = resolveOptions(options);
+  const {
+    method,
+    bitDepth,
+    gammaCorrection,
+    ditherMatrix,
+    serpentine,
+    diffusionStrength,
+    palette,
+  } = resolved;
 
-  // Remove color profile for e-ink (removes gamma curve)
-  if (gammaCorrection) {
-    image = image.noProfile();
+  if (palette) {
+    const result = await ditherToPalette(imageBuffer, options);
+    return new PNGEncoder(result.width, result.height, result.bitsPerPixel, result.colors)
+      .encode(result.indices);
   }
 
-  // Convert to grayscale
-  image = image.colorspace("Gray");
+  const { data, info } = await decodeToRgb(imageBuffer, gammaCorrection);
+  const gray = toGrayscale(data, info.channels);
 
-  // Apply level adjustments for contrast
-  if (blackLevel > 0 || whiteLevel < 100) {
-    const blackPoint = `${blackLevel}%`;
-    const whitePoint = `${whiteLevel}%`;
-    image = image.level(blackPoint, 1.0, whitePoint);
-  }
+  // Levels, tone curve and sharpening for contrast
+  adjustTone(gray, info.width, info.height, 1, resolved);
 
-  // Calculate number of colors based on bit depth
-  const colors = Math.pow(2, bitDepth);
+  // Distance between the 2^bitDepth evenly spaced output levels
+  const step = 255 / (Math.pow(2, bitDepth) - 1);
 
-  // Apply dithering based on method and bit depth
-  if (bitDepth === 1) {
-    // 1-bit (black & white)
-    if (method === "floyd-steinberg") {
-      image = image.dither(true).monochrome();
-    } else if (method === "ordered") {
-      // Ordered dithering for 1-bit
-      image = image.dither(false).monochrome();
-    } else {
-      // No dithering - just threshold
-      image = image.threshold("50%");
-    }
-  } else if (bitDepth === 2 || bitDepth === 4 || bitDepth === 8) {
-    // 2-bit (4 colors), 4-bit (16 colors), 8-bit (256 colors)
-    if (method === "floyd-steinberg") {
-      image = image.dither(true).colors(colors);
-    } else if (method === "ordered") {
-      // Use dither(false) for ordered/none pattern
-      image = image.dither(false).colors(colors);
-    } else {
-      // No dithering - just posterize
-      image = image.colors(colors);
-    }
+  let pixels;
+  if (Object.hasOwn(DIFFUSION_KERNELS, method)) {
+    pixels = diffuseError(gray, info.width, info.height, step, DIFFUSION_KERNELS[method], {
+      serpentine,
+      strength: diffusionStrength,
+    });
+  } else if (method === "hybrid") {
+    pixels = diffuseError(gray, info.width, info.height, step, DIFFUSION_KERNELS["floyd-steinberg"], {
+      serpentine,
+      strength: diffusionStrength,
+      mask: detectTextMask(gray, info.width, info.height),
+    });
+  } else if (method === "ordered") {
+    pixels = thresholdDither(gray, info.width, info.height, step, bayerMatrix(ditherMatrix), ditherMatrix);
+  } else if (method === "blue-noise") {
+    const { matrix, size } = await loadBlueNoiseMask();
+    pixels = thresholdDither(gray, info.width, info.height, step, matrix, size);
+  } else {
+    pixels = posterize(gray, step);
   }
 
-  // Convert to PNG buffer using stream
-  return new Promise((resolve, reject) => {
-    const chunks = [];
+  return sharp(pixels, {
+    raw: { width: info.width, height: info.height, channels: 1 },
+  })
+    .toColourspace("b-w")
+    .png()
+    .toBuffer();
+}
 
-    image.stream("png", (err, stdout, stderr) => {
-      if (err) {
-        reject(err);
-        return;
-      }
+/**
+ * Quantize an image to a color palette
+ *
+ * Uses the same method, tone and matrix options as applyDithering. Error
+ * diffusion methods carry the error per RGB channel; ordered and blue noise
+ * offset all channels by the threshold; none maps to the nearest color.
+ *
+ * @param {Buffer} imageBuffer - PNG image buffer
+ * @param {Object} options - Dithering options (see applyDithering); palette is required
+ * @returns {Promise<{indices: Uint8Array, width: number, height: number, bitsPerPixel: number, colors: number[][]}>}
+ *          Panel palette index per pixel, plus the index table for encoders
+ * @throws {Error} If the buffer or options are invalid
+ */
+export async function ditherToPalette(imageBuffer, options = {}) {
+  if (!Buffer.isBuffer(imageBuffer)) {
+    throw new Error("imageBuffer must be a Buffer");
+  }
 
-      stdout.on("data", (chunk) => {
-        chunks.push(chunk);
-      });
+  const resolved = resolveOptions(options);
+  const { method, gammaCorrection, ditherMatrix, serpentine, diffusionStrength, palette } = resolved;
+  if (!palette) {
+    throw new Error("A palette is required");
+  }
 
-      stdout.on("end", () => {
-        const buffer = Buffer.concat(chunks);
-        if (buffer.length === 0) {
-          reject(new Error("GraphicsMagick produced empty output"));
-        } else {
-          resolve(buffer);
-        }
-      });
+  const { rgb: paletteRgb, indices: paletteIndices, bitsPerPixel, colors } =
+    resolvePalette(palette);
+  const { data, info } = await decodeToRgb(imageBuffer, gammaCorrection);
+  const rgb = toRgbFloat(data, info.channels);
 
-      stdout.on("error", (err) => {
-        reject(err);
-      });
+  // Tone adjustments treat every channel alike
+  adjustTone(rgb, info.width, info.height, 3, resolved);
 
-      stderr.on("data", (data) => {
-        console.error("GM stderr:", data.toString());
-      });
+  let entries;
+  if (Object.hasOwn(DIFFUSION_KERNELS, method)) {
+    entries = diffuseColorError(rgb, info.width, info.height, paletteRgb, DIFFUSION_KERNELS[method], {
+      serpentine,
+      strength: diffusionStrength,
+    });
+  } else if (method === "hybrid") {
+    entries = diffuseColorError(rgb, info.width, info.height, paletteRgb, DIFFUSION_KERNELS["floyd-steinberg"], {
+      serpentine,
+      strength: diffusionStrength,
+      mask: detectTextMask(toGrayscale(rgb, 3), info.width, info.height),
     });
-  });
+  } else if (method === "ordered") {
+    entries = mapToPalette(rgb, info.width, info.height, paletteRgb, bayerMatrix(ditherMatrix), ditherMatrix);
+  } else if (method === "blue-noise") {
+    const { matrix, size } = await loadBlueNoiseMask();
+    entries = mapToPalette(rgb, info.width, info.height, paletteRgb, matrix, size);
+  } else {
+    entries = mapToPalette(rgb, info.width, info.height, paletteRgb);
+  }
+
+  // Translate palette positions to the indices the panel expects
+  const indices = entries.map((entry) => paletteIndices[entry]);
+
+  return { indices, width: info.width, height: info.height, bitsPerPixel, colors };
 }
 
 /**
  * Get supported dithering methods
- * @returns {string[]} Array of method names
+ * @returns {Object.<string, {description: string, recommended: boolean, bitDepths: number[]}>}
+ *          Method metadata keyed by method name
  */
 export function getSupportedMethods() {
-  return ["floyd-steinberg", "ordered", "none"];
+  return Object.fromEntries(
+    Object.entries(METHODS).map(([name, info]) => [
+      name,
+      { ...info, bitDepths: [...info.bitDepths] },
+    ])
+  );
 }
 
 /**
@@ -121,26 +895,66 @@ export function getSupportedMethods() {
  * @returns {number[]} Array of bit depths
  */
 export function getSupportedBitDepths() {
-  return [1, 2, 4, 8];
+  return [...BIT_DEPTHS];
+}
+
+/**
+ * Get supported Bayer matrix sizes for ordered dithering
+ * @returns {number[]} Array of matrix sizes
+ */
+export function getSupportedMatrixSizes() {
+  return [...MATRIX_SIZES];
 }
 
 /**
  * Validate dithering options
  * @param {Object} options - Options to validate
- * @returns {Object} - Validated options with defaults applied
+ * @returns {boolean} True if all provided options are valid
+ * @throws {Error} Describing the first invalid option
  */
 export function validateOptions(options = {}) {
-  const validMethods = getSupportedMethods();
-  const validBitDepths = getSupportedBitDepths();
-
-  return {
-    method: validMethods.includes(options.method)
-      ? options.method
-      : "floyd-steinberg",
-    bitDepth: validBitDepths.includes(options.bitDepth) ? options.bitDepth : 2,
-    gammaCorrection:
-      options.gammaCorrection !== undefined ? options.gammaCorrection : true,
-    blackLevel: Math.max(0, Math.min(100, options.blackLevel || 0)),
-    whiteLevel: Math.max(0, Math.min(100, options.whiteLevel || 100)),
-  };
+  const {
+    method = "floyd-steinberg",
+    bitDepth = 2,
+    blackLevel = 0,
+    whiteLevel = 100,
+    ditherMatrix = 8,
+    serpentine = false,
+    diffusionStrength = 100,
+    palette,
+  } = options;
+
+  if (!Object.hasOwn(METHODS, method)) {
+    throw new Error(`Invalid method: ${method}. Supported: ${Object.keys(METHODS).join(", ")}`);
+  }
+  if (!BIT_DEPTHS.includes(bitDepth)) {
+    throw new Error(`Invalid bit depth: ${bitDepth}. Supported: ${BIT_DEPTHS.join(", ")}`);
+  }
+  if (blackLevel < 0 || blackLevel > 100) {
+    throw new Error("blackLevel must be between 0 and 100");
+  }
+  if (whiteLevel < 0 || whiteLevel > 100) {
+    throw new Error("whiteLevel must be between 0 and 100");
+  }
+  if (blackLevel >= whiteLevel) {
+    throw new Error("blackLevel must be less than whiteLevel");
+  }
+  if (!MATRIX_SIZES.includes(ditherMatrix)) {
+    throw new Error(`Invalid dither matrix size: ${ditherMatrix}. Supported: ${MATRIX_SIZES.join(", ")}`);
+  }
+  if (typeof serpentine !== "boolean") {
+    throw new Error("serpentine must be a boolean");
+  }
+  if (typeof diffusionStrength !== "number" || diffusionStrength < 0 || diffusionStrength > 100) {
+    throw new Error("diffusionStrength must be between 0 and 100");
+  }
+  if (palette !== undefined) {
+    resolvePalette(palette);
+  }
+  validateToneOptions(options);
+  if (options.calibration !== undefined) {
+    resolveCalibration(options.calibration);
+  }
+
+  return true;
 }
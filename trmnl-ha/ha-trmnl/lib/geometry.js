@@ -0,0 +1,206 @@
+/**
+ * Geometry Post-Processing
+ *
+ * Crop, right-angle and fine rotation, offset and mirroring of the captured
+ * image, for frames that hide pixels behind the bezel, panels mounted
+ * slightly off-axis and panels wired mirrored.
+ *
+ * Sharp reorders operations within one pipeline, so each stage is rendered
+ * to raw pixels before the next one. Stages run in a fixed order:
+ * crop → rotate → fine rotation → offset → mirror. Crop coordinates refer to
+ * the captured dashboard (below the clipped header); offsets and mirroring
+ * refer to the panel as mounted.
+ */
+
+import sharp from "sharp";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Mirror modes: horizontal flips left-right, vertical flips top-bottom
+ * @type {string[]}
+ */
+export const MIRROR_MODES = ["horizontal", "vertical", "both"];
+
+/**
+ * Largest fine rotation in degrees (either direction)
+ * @type {number}
+ */
+export const FINE_ROTATION_LIMIT = 45;
+
+/**
+ * Largest offset in pixels (either direction); applyGeometry further limits
+ * offsets to the image size, which already moves all content out of view
+ * @type {number}
+ */
+export const MAX_OFFSET = 10000;
+
+/**
+ * Fill for areas uncovered by offsets and fine rotation (panel paper)
+ * @type {{r: number, g: number, b: number, alpha: number}}
+ */
+const BACKGROUND = { r: 255, g: 255, b: 255, alpha: 1 };
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Render a pipeline to raw pixels and start a new one from them
+ * @param {import('sharp').Sharp} sharpInstance - Pipeline to render
+ * @returns {Promise<{image: import('sharp').Sharp, width: number, height: number}>}
+ *          New pipeline and its size
+ */
+async function flatten(sharpInstance) {
+  const { data, info } = await sharpInstance.raw().toBuffer({ resolveWithObject: true });
+  const { width, height, channels } = info;
+  return { image: sharp(data, { raw: { width, height, channels } }), width, height };
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Check whether any geometry option changes the image
+ * @param {Object} options - Geometry options (see applyGeometry)
+ * @returns {boolean} True if applyGeometry has work to do
+ */
+export function hasGeometry({ crop, rotate, fineRotate, offsetX, offsetY, mirror } = {}) {
+  return Boolean(crop || rotate || fineRotate || offsetX || offsetY || mirror);
+}
+
+/**
+ * Validate geometry options
+ *
+ * @param {Object} options - Geometry options (see applyGeometry)
+ * @returns {boolean} True if valid
+ * @throws {Error} Describing the first invalid option
+ */
+export function validateGeometry({ crop, fineRotate = 0, offsetX = 0, offsetY = 0, mirror } = {}) {
+  if (crop !== undefined) {
+    const { left, top, width, height } = crop;
+    const valid = [left, top, width, height].every(Number.isInteger) &&
+      left >= 0 && top >= 0 && width > 0 && height > 0;
+    if (!valid) {
+      throw new Error("Crop must have integer left and top >= 0 and width and height > 0");
+    }
+  }
+  if (typeof fineRotate !== "number" || isNaN(fineRotate) || Math.abs(fineRotate) > FINE_ROTATION_LIMIT) {
+    throw new Error(`Fine rotation must be between -${FINE_ROTATION_LIMIT} and ${FINE_ROTATION_LIMIT} degrees`);
+  }
+  if (!Number.isInteger(offsetX) || !Number.isInteger(offsetY)) {
+    throw new Error("Offsets must be whole pixels");
+  }
+  if (Math.abs(offsetX) > MAX_OFFSET || Math.abs(offsetY) > MAX_OFFSET) {
+    throw new Error(`Offsets must be between -${MAX_OFFSET} and ${MAX_OFFSET} pixels`);
+  }
+  if (mirror !== undefined && !MIRROR_MODES.includes(mirror)) {
+    throw new Error(`Invalid mirror mode: ${mirror}. Valid modes: ${MIRROR_MODES.join(", ")}`);
+  }
+
+  return true;
+}
+
+/**
+ * Apply crop, rotation, offset and mirroring
+ *
+ * The image keeps its size through fine rotation and offsets; corners and
+ * edges that move into view are filled white. A crop is clipped to the
+ * image (one that misses it entirely is skipped) and offsets are limited to
+ * the image size.
+ *
+ * @param {import('sharp').Sharp} sharpInstance - Captured image
+ * @param {Object} options - Geometry options
+ * @param {{left: number, top: number, width: number, height: number}} [options.crop] -
+ *   Rectangle to keep, clipped to the image
+ * @param {number} [options.rotate] - Right-angle rotation (90, 180, 270)
+ * @param {number} [options.fineRotate=0] - Clockwise rotation in degrees (-45 to 45)
+ * @param {number} [options.offsetX=0] - Move content right (negative: left) in pixels
+ * @param {number} [options.offsetY=0] - Move content down (negative: up) in pixels
+ * @param {string} [options.mirror] - "horizontal", "vertical" or "both"
+ * @returns {Promise<import('sharp').Sharp>} Transformed image
+ * @throws {Error} If an option is invalid
+ */
+export async function applyGeometry(sharpInstance, options = {}) {
+  validateGeometry(options);
+  const { crop, rotate, fineRotate = 0, offsetX = 0, offsetY = 0, mirror } = options;
+
+  let { image, width, height } = await flatten(sharpInstance);
+
+  if (crop) {
+    const right = Math.min(width, crop.left + crop.width);
+    const bottom = Math.min(height, crop.top + crop.height);
+    if (crop.left < right && crop.top < bottom) {
+      ({ image, width, height } = await flatten(
+        image.extract({ left: crop.left, top: crop.top, width: right - crop.left, height: bottom - crop.top })
+      ));
+    } else {
+      console.warn(`Crop rectangle is outside the ${width}x${height} image, not cropping`);
+    }
+  }
+
+  if (rotate) {
+    ({ image, width, height } = await flatten(image.rotate(rotate)));
+  }
+
+  if (fineRotate) {
+    // Rotation grows the canvas; cut the original size back out of the middle
+    const rotated = await flatten(image.rotate(fineRotate, { background: BACKGROUND }));
+    image = rotated.image.extract({
+      left: Math.floor((rotated.width - width) / 2),
+      top: Math.floor((rotated.height - height) / 2),
+      width,
+      height
+    });
+    ({ image } = await flatten(image));
+  }
+
+  if (offsetX || offsetY) {
+    const dx = Math.max(-width, Math.min(width, offsetX));
+    const dy = Math.max(-height, Math.min(height, offsetY));
+    const padded = await flatten(image.extend({
+      top: Math.max(0, dy),
+      bottom: Math.max(0, -dy),
+      left: Math.max(0, dx),
+      right: Math.max(0, -dx),
+      background: BACKGROUND
+    }));
+    ({ image } = await flatten(padded.image.extract({
+      left: Math.max(0, -dx),
+      top: Math.max(0, -dy),
+      width,
+      height
+    })));
+  }
+
+  if (mirror === "horizontal" || mirror === "both") image = image.flop();
+  if (mirror === "vertical" || mirror === "both") image = image.flip();
+
+  return image;
+}
+
+/**
+ * Parse crop text such as "10,20,800,480" (left, top, width, height)
+ *
+ * @param {string} text - Comma separated left, top, width and height
+ * @returns {{left: number, top: number, width: number, height: number}|undefined}
+ *          Crop rectangle, or undefined if malformed
+ */
+export function parseCrop(text) {
+  if (!text) return undefined;
+
+  const values = text.split(",").map(Number);
+  if (values.length !== 4) return undefined;
+
+  const [left, top, width, height] = values;
+  const crop = { left, top, width, height };
+  try {
+    validateGeometry({ crop });
+    return crop;
+  } catch {
+    return undefined;
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * JSON Store Module
+ *
+ * Named records (palettes, calibration profiles) persisted to a JSON file
+ * next to schedules.json. The parsed file is kept in memory and replaced on
+ * every write, so lookups during a render do not read the disk.
+ */
+
+import fs from "node:fs";
+
+/**
+ * Create a store of records identified by their `name`
+ * @param {string} file - JSON file path
+ * @param {string} label - Plural record noun for error messages
+ * @returns {Object} `{load, saveAll, get, save, remove}`
+ */
+export function createNamedStore(file, label) {
+  /** @type {Array|undefined} Parsed file contents */
+  let cache;
+
+  /**
+   * Load all records
+   * @returns {Array} Copy of the stored records
+   */
+  function load() {
+    if (cache === undefined) {
+      cache = [];
+      try {
+        if (fs.existsSync(file)) {
+          cache = JSON.parse(fs.readFileSync(file, "utf-8"));
+        }
+      } catch (err) {
+        console.error(`Error loading ${label}:`, err);
+      }
+    }
+    return [...cache];
+  }
+
+  /**
+   * Replace all records
+   * @param {Array} records - Records to write
+   */
+  function saveAll(records) {
+    try {
+      fs.writeFileSync(file, JSON.stringify(records, null, 2));
+    } catch (err) {
+      console.error(`Error saving ${label}:`, err);
+      throw err;
+    }
+    cache = [...records];
+  }
+
+  /**
+   * Get a record by name
+   * @param {string} name - Record name
+   * @returns {Object|null} Record or null
+   */
+  function get(name) {
+    return load().find((record) => record.name === name) || null;
+  }
+
+  /**
+   * Create or replace a record
+   * @param {Object} record - Record with a name
+   * @returns {Object} Saved record
+   */
+  function save(record) {
+    const records = load();
+    const index = records.findIndex((r) => r.name === record.name);
+    const saved = { ...record, updatedAt: new Date().toISOString() };
+
+    if (index === -1) {
+      records.push(saved);
+    } else {
+      records[index] = saved;
+    }
+
+    saveAll(records);
+    return saved;
+  }
+
+  /**
+   * Delete a record
+   * @param {string} name - Record name
+   * @returns {boolean} True if deleted, false if not found
+   */
+  function remove(name) {
+    const records = load();
+    const index = records.findIndex((r) => r.name === name);
+    if (index === -1) {
+      return false;
+    }
+    records.splice(index, 1);
+    saveAll(records);
+    return true;
+  }
+
+  return { load, saveAll, get, save, remove };
+}
@@ -0,0 +1,213 @@
+/**
+ * Composite Layouts
+ *
+ * A layout splits the output viewport into a grid whose cells each show a
+ * different dashboard (optionally one card of it, at its own zoom). Cells
+ * are rendered one after another through the normal navigate/screenshot
+ * flow and stitched into one image, which is then dithered and encoded like
+ * any single screenshot.
+ *
+ * Example:
+ *   {
+ *     "columns": 2, "rows": 2, "gap": 4,
+ *     "cells": [
+ *       { "dashboard_path": "/lovelace/weather", "column_span": 2 },
+ *       { "dashboard_path": "/lovelace/home", "selector": "title:Calendar" },
+ *       { "dashboard_path": "/energy", "zoom": 0.8 }
+ *     ]
+ *   }
+ */
+
+import sharp from "sharp";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Grid limits
+ * - tracks: columns or rows per layout
+ * - gap: pixels between cells
+ * @type {{tracks: number, gap: number}}
+ */
+export const LAYOUT_LIMITS = { tracks: 8, gap: 100 };
+
+/**
+ * Fill behind gaps and empty cells (panel paper)
+ * @type {{r: number, g: number, b: number, alpha: number}}
+ */
+const BACKGROUND = { r: 255, g: 255, b: 255, alpha: 1 };
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Check that a value is a whole number in range
+ * @param {*} value - Value to check
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {boolean} True if in range
+ */
+function isWholeNumber(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Place cells on the grid in row-major order, each at the first free
+ * position its span fits
+ *
+ * @param {Object} layout - Layout with columns, rows and cells
+ * @returns {{column: number, row: number, columnSpan: number, rowSpan: number}[]}
+ *          Zero-based position of each cell
+ * @throws {Error} If a cell does not fit
+ */
+function placeCells({ columns, rows, cells }) {
+  const taken = Array.from({ length: rows }, () => new Array(columns).fill(false));
+  const fits = (row, column, rowSpan, columnSpan) => {
+    if (row + rowSpan > rows || column + columnSpan > columns) return false;
+    for (let r = row; r < row + rowSpan; r++) {
+      for (let c = column; c < column + columnSpan; c++) {
+        if (taken[r][c]) return false;
+      }
+    }
+    return true;
+  };
+
+  return cells.map((cell, i) => {
+    const columnSpan = cell.column_span ?? 1;
+    const rowSpan = cell.row_span ?? 1;
+
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        if (!fits(row, column, rowSpan, columnSpan)) continue;
+
+        for (let r = row; r < row + rowSpan; r++) {
+          taken[r].fill(true, column, column + columnSpan);
+        }
+        return { column, row, columnSpan, rowSpan };
+      }
+    }
+
+    throw new Error(`Cell ${i + 1} does not fit in the ${columns}x${rows} grid`);
+  });
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Validate a layout
+ *
+ * @param {Object} layout - Layout definition
+ * @param {number} layout.columns - Grid columns (1-8)
+ * @param {number} layout.rows - Grid rows (1-8)
+ * @param {number} [layout.gap=0] - Pixels between cells (0-100)
+ * @param {Object[]} layout.cells - Cells in placement order
+ * @param {string} layout.cells[].dashboard_path - Dashboard to render
+ * @param {string} [layout.cells[].selector] - Capture one element, scaled to the cell
+ * @param {number} [layout.cells[].selector_padding] - Pixels around the element
+ * @param {number} [layout.cells[].zoom=1] - Zoom level
+ * @param {number} [layout.cells[].column_span=1] - Columns covered
+ * @param {number} [layout.cells[].row_span=1] - Rows covered
+ * @returns {boolean} True if valid
+ * @throws {Error} Describing the first problem
+ */
+export function validateLayout(layout) {
+  if (!layout || typeof layout !== "object") {
+    throw new Error("Layout must be an object");
+  }
+
+  const { columns, rows, gap = 0, cells } = layout;
+  if (!isWholeNumber(columns, 1, LAYOUT_LIMITS.tracks) || !isWholeNumber(rows, 1, LAYOUT_LIMITS.tracks)) {
+    throw new Error(`Layout columns and rows must be whole numbers between 1 and ${LAYOUT_LIMITS.tracks}`);
+  }
+  if (!isWholeNumber(gap, 0, LAYOUT_LIMITS.gap)) {
+    throw new Error(`Layout gap must be between 0 and ${LAYOUT_LIMITS.gap} pixels`);
+  }
+  if (!Array.isArray(cells) || cells.length < 1 || cells.length > columns * rows) {
+    throw new Error(`Layout needs between 1 and ${columns * rows} cells`);
+  }
+
+  cells.forEach((cell, i) => {
+    if (typeof cell?.dashboard_path !== "string" || !cell.dashboard_path.startsWith("/")) {
+      throw new Error(`Cell ${i + 1} needs a dashboard_path starting with /`);
+    }
+    if (cell.zoom !== undefined && !(typeof cell.zoom === "number" && cell.zoom > 0)) {
+      throw new Error(`Cell ${i + 1} zoom must be a positive number`);
+    }
+    if (cell.selector !== undefined && typeof cell.selector !== "string") {
+      throw new Error(`Cell ${i + 1} selector must be a string`);
+    }
+    if (
+      !isWholeNumber(cell.column_span ?? 1, 1, columns) ||
+      !isWholeNumber(cell.row_span ?? 1, 1, rows)
+    ) {
+      throw new Error(`Cell ${i + 1} spans must be whole numbers within the grid`);
+    }
+  });
+
+  placeCells(layout);
+
+  return true;
+}
+
+/**
+ * Compute the pixel rectangle of every cell
+ *
+ * Gaps sit only between cells; rounding is spread so the cells exactly
+ * fill the viewport.
+ *
+ * @param {Object} layout - Validated layout
+ * @param {{width: number, height: number}} viewport - Output size
+ * @returns {{cell: Object, left: number, top: number, width: number, height: number}[]}
+ *          One rectangle per cell, in cell order
+ */
+export function computeCellRects(layout, { width, height }) {
+  const gap = layout.gap ?? 0;
+  const pitchX = (width + gap) / layout.columns;
+  const pitchY = (height + gap) / layout.rows;
+
+  return placeCells(layout).map(({ column, row, columnSpan, rowSpan }, i) => {
+    const left = Math.round(column * pitchX);
+    const top = Math.round(row * pitchY);
+    const right = Math.round((column + columnSpan) * pitchX - gap);
+    const bottom = Math.round((row + rowSpan) * pitchY - gap);
+    return { cell: layout.cells[i], left, top, width: right - left, height: bottom - top };
+  });
+}
+
+/**
+ * Stitch rendered cells into one image
+ *
+ * @param {{image: Buffer, left: number, top: number}[]} cells - Rendered cells
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {Promise<Buffer>} PNG with gaps and empty cells in white
+ */
+export async function stitchCells(cells, width, height) {
+  return sharp({ create: { width, height, channels: 3, background: BACKGROUND } })
+    .composite(cells.map(({ image, left, top }) => ({ input: image, left, top })))
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Parse a layout from JSON text
+ *
+ * @param {string} text - Layout JSON
+ * @returns {Object} Validated layout
+ * @throws {Error} If the JSON is malformed or the layout is invalid
+ */
+export function parseLayout(text) {
+  let layout;
+  try {
+    layout = JSON.parse(text);
+  } catch {
+    throw new Error("Layout must be valid JSON");
+  }
+
+  validateLayout(layout);
+  return layout;
+}
@@ -0,0 +1,218 @@
+/**
+ * Status Overlay
+ *
+ * Draws a status strip onto the captured image before dithering, so a
+ * panel seen from across the room tells whether it shows fresh data: the
+ * render time, whether Home Assistant was connected, and a custom template.
+ * Optional icons (a clock and a connection dot) need no text to read.
+ *
+ * The strip is drawn over the content (the image keeps its size) in the
+ * dashboard's orientation, so rotation and mirroring later turn it with the
+ * rest of the image.
+ */
+
+import sharp from "sharp";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Overlay defaults
+ * @type {{template: string, position: string, fontSize: number, invert: boolean, icons: boolean}}
+ */
+export const OVERLAY_DEFAULTS = {
+  template: "Updated {date} {time} · HA {status}",
+  position: "bottom",
+  fontSize: 14,
+  invert: false,
+  icons: false,
+};
+
+/**
+ * Strip positions
+ * @type {string[]}
+ */
+export const OVERLAY_POSITIONS = ["top", "bottom"];
+
+/**
+ * Font size range in pixels
+ * @type {{min: number, max: number}}
+ */
+export const OVERLAY_FONT_SIZES = { min: 8, max: 64 };
+
+/**
+ * Longest template in characters
+ * @type {number}
+ */
+export const MAX_OVERLAY_TEMPLATE_LENGTH = 200;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Pad a number to two digits
+ * @param {number} value - Number to pad
+ * @returns {string} Two-digit string
+ */
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+/**
+ * Escape text for use in SVG
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return text.replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * Clock icon (circle with hands)
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} size - Icon size
+ * @param {string} color - Stroke color
+ * @returns {string} SVG markup
+ */
+function clockIcon(x, y, size, color) {
+  const r = size / 2;
+  const cx = x + r;
+  const cy = y + r;
+  const stroke = Math.max(1, size / 10);
+  return `<circle cx="${cx}" cy="${cy}" r="${r - stroke}" fill="none" stroke="${color}" stroke-width="${stroke}"/>` +
+    `<path d="M${cx} ${cy - r * 0.55}V${cy}H${cx + r * 0.45}" fill="none" stroke="${color}" stroke-width="${stroke}"/>`;
+}
+
+/**
+ * Connection icon: a filled dot when connected, a struck-through ring when not
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} size - Icon size
+ * @param {string} color - Fill and stroke color
+ * @param {boolean} connected - Home Assistant connection state
+ * @returns {string} SVG markup
+ */
+function connectionIcon(x, y, size, color, connected) {
+  const r = size / 2;
+  const cx = x + r;
+  const cy = y + r;
+  const stroke = Math.max(1, size / 10);
+  if (connected) {
+    return `<circle cx="${cx}" cy="${cy}" r="${r * 0.6}" fill="${color}"/>`;
+  }
+  return `<circle cx="${cx}" cy="${cy}" r="${r - stroke}" fill="none" stroke="${color}" stroke-width="${stroke}"/>` +
+    `<path d="M${x + stroke} ${y + size - stroke}L${x + size - stroke} ${y + stroke}" stroke="${color}" stroke-width="${stroke}"/>`;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Validate overlay options
+ *
+ * @param {Object} options - Overlay options (see drawOverlay)
+ * @returns {boolean} True if valid
+ * @throws {Error} Describing the first invalid option
+ */
+export function validateOverlay({
+  template = OVERLAY_DEFAULTS.template,
+  position = OVERLAY_DEFAULTS.position,
+  fontSize = OVERLAY_DEFAULTS.fontSize,
+} = {}) {
+  if (typeof template !== "string" || template.length > MAX_OVERLAY_TEMPLATE_LENGTH) {
+    throw new Error(`Overlay template must be text of at most ${MAX_OVERLAY_TEMPLATE_LENGTH} characters`);
+  }
+  if (!OVERLAY_POSITIONS.includes(position)) {
+    throw new Error(`Invalid overlay position: ${position}. Valid positions: ${OVERLAY_POSITIONS.join(", ")}`);
+  }
+  if (!Number.isInteger(fontSize) || fontSize < OVERLAY_FONT_SIZES.min || fontSize > OVERLAY_FONT_SIZES.max) {
+    throw new Error(`Overlay font size must be between ${OVERLAY_FONT_SIZES.min} and ${OVERLAY_FONT_SIZES.max}`);
+  }
+
+  return true;
+}
+
+/**
+ * Fill in template placeholders
+ *
+ * Placeholders: {time} (HH:MM), {date} (YYYY-MM-DD), {status} ("online" or
+ * "offline") and {dashboard} (page path). Unknown placeholders are kept.
+ *
+ * @param {string} template - Template text
+ * @param {Object} context - Render context
+ * @param {Date} context.renderedAt - Capture time (server local time)
+ * @param {boolean} context.connected - Home Assistant connection state
+ * @param {string} [context.dashboard] - Dashboard path
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(template, { renderedAt, connected, dashboard = "" }) {
+  const values = {
+    time: `${pad(renderedAt.getHours())}:${pad(renderedAt.getMinutes())}`,
+    date: `${renderedAt.getFullYear()}-${pad(renderedAt.getMonth() + 1)}-${pad(renderedAt.getDate())}`,
+    status: connected ? "online" : "offline",
+    dashboard,
+  };
+
+  return template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+}
+
+/**
+ * Draw the status strip onto an image
+ *
+ * @param {Buffer} image - Captured image (PNG)
+ * @param {Object} options - Overlay options
+ * @param {string} [options.template] - Text with placeholders (see renderTemplate)
+ * @param {string} [options.position='bottom'] - "top" or "bottom"
+ * @param {number} [options.fontSize=14] - Font size in pixels (8-64)
+ * @param {boolean} [options.invert=false] - White text on a black strip
+ * @param {boolean} [options.icons=false] - Draw clock and connection icons
+ * @param {Object} context - Render context (see renderTemplate)
+ * @param {{left: number, top: number, width: number, height: number}} [context.region] -
+ *   Part of the image the strip belongs to (e.g. the crop rectangle); defaults to the whole image
+ * @returns {Promise<Buffer>} PNG with the strip drawn in
+ * @throws {Error} If an option is invalid
+ */
+export async function drawOverlay(image, options, context) {
+  validateOverlay(options);
+  const { template, position, fontSize, invert, icons } = { ...OVERLAY_DEFAULTS, ...options };
+
+  const { width: imageWidth, height: imageHeight } = await sharp(image).metadata();
+  // A region off the image (a crop that will fail later) falls back to the whole image
+  let region = context.region;
+  if (!region || region.left >= imageWidth || region.top >= imageHeight) {
+    region = { left: 0, top: 0, width: imageWidth, height: imageHeight };
+  }
+  const width = Math.min(region.width, imageWidth - region.left);
+  const regionHeight = Math.min(region.height, imageHeight - region.top);
+  const height = Math.min(Math.round(fontSize * 1.6), regionHeight);
+
+  const background = invert ? "#000000" : "#ffffff";
+  const foreground = invert ? "#ffffff" : "#000000";
+  const margin = Math.round(fontSize / 2);
+  const iconSize = fontSize;
+  const iconTop = (height - iconSize) / 2;
+
+  const parts = [`<rect width="${width}" height="${height}" fill="${background}"/>`];
+  let textX = margin;
+  if (icons) {
+    parts.push(clockIcon(margin, iconTop, iconSize, foreground));
+    parts.push(connectionIcon(width - margin - iconSize, iconTop, iconSize, foreground, context.connected));
+    textX += iconSize + margin / 2;
+  }
+  parts.push(
+    `<text x="${textX}" y="${height / 2 + fontSize * 0.35}" font-size="${fontSize}" ` +
+      `font-family="sans-serif" fill="${foreground}">${escapeXml(renderTemplate(template, context))}</text>`
+  );
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${parts.join("")}</svg>`;
+  const top = position === "top" ? region.top : region.top + regionHeight - height;
+
+  return sharp(image)
+    .composite([{ input: Buffer.from(svg), left: region.left, top }])
+    .png()
+    .toBuffer();
+}
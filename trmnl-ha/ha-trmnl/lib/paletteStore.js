@@ -0,0 +1,45 @@
+/**
+ * Palette Store Module
+ *
+ * Manages custom palette persistence to JSON file (next to schedules.json)
+ */
+
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createNamedStore } from "./jsonStore.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const store = createNamedStore(path.join(__dirname, "..", "palettes.json"), "palettes");
+
+/**
+ * Load custom palettes from JSON file
+ * @returns {Array} Array of palette definitions
+ */
+export const loadPalettes = store.load;
+
+/**
+ * Save custom palettes to JSON file
+ * @param {Array} palettes - Array of palette definitions
+ */
+export const savePalettes = store.saveAll;
+
+/**
+ * Get a custom palette by name
+ * @param {string} name - Palette name
+ * @returns {Object|null} Palette definition or null
+ */
+export const getPalette = store.get;
+
+/**
+ * Create or replace a custom palette
+ * @param {Object} palette - Palette definition (name, colors)
+ * @returns {Object} Saved palette
+ */
+export const savePalette = store.save;
+
+/**
+ * Delete a custom palette
+ * @param {string} name - Palette name
+ * @returns {boolean} True if deleted, false if not found
+ */
+export const deletePalette = store.remove;
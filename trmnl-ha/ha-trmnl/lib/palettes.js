@@ -0,0 +1,222 @@
+/**
+ * Color E-Paper Palettes
+ *
+ * Named palettes for color e-paper panels. Each color carries the index the
+ * panel controller expects in its framebuffer, so indexed PNG/BMP output can
+ * be streamed to the panel without remapping.
+ *
+ * User-defined palettes (see paletteStore.js) may also say how each color is
+ * actually displayed, e.g. the measured gray of a 4-gray panel. The quantizer
+ * matches against the displayed color while the encoders still write the
+ * target color and native index.
+ */
+
+import { getPalette as getCustomPalette, loadPalettes } from "./paletteStore.js";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Built-in palettes
+ *
+ * Indices follow the controller conventions:
+ * - bw: 1-bit panels, 0 = black, 1 = white
+ * - bwr / bwy: tri-color panels, third color at index 2
+ * - acep-7: 7-color ACeP (UC8159 / Waveshare "F" panels), index 7 is unused
+ * - spectra-6: E Ink Spectra 6 (Waveshare "E" panels), index 4 is unused
+ * @type {Object.<string, {description: string, colors: {name: string, color: string, index: number}[]}>}
+ */
+const PALETTES = {
+  bw: {
+    description: "Black and white",
+    colors: [
+      { name: "black", color: "#000000", index: 0 },
+      { name: "white", color: "#ffffff", index: 1 },
+    ],
+  },
+  bwr: {
+    description: "Black, white and red tri-color panels",
+    colors: [
+      { name: "black", color: "#000000", index: 0 },
+      { name: "white", color: "#ffffff", index: 1 },
+      { name: "red", color: "#ff0000", index: 2 },
+    ],
+  },
+  bwy: {
+    description: "Black, white and yellow tri-color panels",
+    colors: [
+      { name: "black", color: "#000000", index: 0 },
+      { name: "white", color: "#ffffff", index: 1 },
+      { name: "yellow", color: "#ffff00", index: 2 },
+    ],
+  },
+  "acep-7": {
+    description: "7-color ACeP panels",
+    colors: [
+      { name: "black", color: "#000000", index: 0 },
+      { name: "white", color: "#ffffff", index: 1 },
+      { name: "green", color: "#00ff00", index: 2 },
+      { name: "blue", color: "#0000ff", index: 3 },
+      { name: "red", color: "#ff0000", index: 4 },
+      { name: "yellow", color: "#ffff00", index: 5 },
+      { name: "orange", color: "#ff8000", index: 6 },
+    ],
+  },
+  "spectra-6": {
+    description: "E Ink Spectra 6 panels",
+    colors: [
+      { name: "black", color: "#000000", index: 0 },
+      { name: "white", color: "#ffffff", index: 1 },
+      { name: "yellow", color: "#ffff00", index: 2 },
+      { name: "red", color: "#ff0000", index: 3 },
+      { name: "blue", color: "#0000ff", index: 5 },
+      { name: "green", color: "#00ff00", index: 6 },
+    ],
+  },
+};
+
+/**
+ * Index bit widths that PNG and BMP can store
+ * @type {number[]}
+ */
+const INDEX_BIT_DEPTHS = [1, 2, 4, 8];
+
+/**
+ * Allowed characters for custom palette names (usable as `palette=<name>`)
+ * @type {RegExp}
+ */
+const PALETTE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Parse a #rrggbb hex color
+ *
+ * @param {string} hex - Hex color
+ * @returns {number[]} [r, g, b]
+ * @throws {Error} If the color is not a 6-digit hex value
+ */
+export function parseHexColor(hex) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || "");
+  if (!match) {
+    throw new Error(`Invalid color: ${hex}`);
+  }
+
+  const value = parseInt(match[1], 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Validate a palette definition
+ *
+ * Entries need a target `color`; `displayedAs` (how the panel really shows
+ * it) and `index` (native panel index, defaults to the entry position) are
+ * optional.
+ *
+ * @param {Object} palette - Palette definition
+ * @param {string} palette.name - Palette name
+ * @param {{color: string, displayedAs?: string, index?: number}[]} palette.colors - Entries
+ * @returns {boolean} True if valid
+ * @throws {Error} Describing the first problem
+ */
+export function validatePalette(palette) {
+  if (!palette || typeof palette !== "object") {
+    throw new Error("Palette must be an object");
+  }
+  if (!PALETTE_NAME_PATTERN.test(palette.name || "")) {
+    throw new Error("Palette name must be 1-40 letters, digits, '-' or '_'");
+  }
+  if (!Array.isArray(palette.colors) || palette.colors.length < 2 || palette.colors.length > 256) {
+    throw new Error("Palette must have between 2 and 256 colors");
+  }
+
+  const seen = new Set();
+  palette.colors.forEach((entry, position) => {
+    parseHexColor(entry?.color);
+    if (entry.displayedAs !== undefined) parseHexColor(entry.displayedAs);
+
+    const index = entry.index ?? position;
+    if (!Number.isInteger(index) || index < 0 || index > 255) {
+      throw new Error(`Invalid palette index: ${entry.index}`);
+    }
+    if (seen.has(index)) {
+      throw new Error(`Duplicate palette index: ${index}`);
+    }
+    seen.add(index);
+  });
+
+  return true;
+}
+
+/**
+ * Resolve a palette into the form used by the quantizer and encoders
+ *
+ * @param {string|Object} palette - Built-in or saved palette name, or a
+ *   palette definition (see validatePalette)
+ * @returns {{name: string, rgb: number[][], indices: number[], bitsPerPixel: number, colors: number[][]}}
+ *          rgb (perceived color) and indices per palette entry; colors is the
+ *          full index table of target colors for encoders (unused slots are black)
+ * @throws {Error} If the palette does not exist or is invalid
+ */
+export function resolvePalette(palette) {
+  let definition = palette;
+  if (typeof palette === "string") {
+    definition = Object.hasOwn(PALETTES, palette)
+      ? { name: palette, ...PALETTES[palette] }
+      : getCustomPalette(palette);
+    if (!definition) {
+      throw new Error(`Invalid palette: ${palette}. Supported: ${Object.keys(getSupportedPalettes()).join(", ")}`);
+    }
+  }
+  validatePalette(definition);
+
+  const rgb = definition.colors.map((entry) => parseHexColor(entry.displayedAs || entry.color));
+  const indices = definition.colors.map((entry, position) => entry.index ?? position);
+  const maxIndex = Math.max(...indices);
+  const bitsPerPixel = INDEX_BIT_DEPTHS.find((bits) => 2 ** bits > maxIndex);
+
+  const colors = Array.from({ length: maxIndex + 1 }, () => [0, 0, 0]);
+  indices.forEach((index, i) => {
+    colors[index] = parseHexColor(definition.colors[i].color);
+  });
+
+  return { name: definition.name, rgb, indices, bitsPerPixel, colors };
+}
+
+/**
+ * Check whether a palette name is built in
+ * @param {string} name - Palette name
+ * @returns {boolean} True for built-in palettes
+ */
+export function isBuiltInPalette(name) {
+  return Object.hasOwn(PALETTES, name);
+}
+
+/**
+ * Get built-in and saved custom palettes
+ * @returns {Object.<string, {description: string, custom: boolean, colors: Object[]}>}
+ *          Palette definitions keyed by palette name (built-ins win name clashes)
+ */
+export function getSupportedPalettes() {
+  const custom = loadPalettes().map((palette) => [
+    palette.name,
+    {
+      description: palette.description || "Custom palette",
+      custom: true,
+      colors: (palette.colors || []).map((entry) => ({ ...entry })),
+    },
+  ]);
+  const builtIn = Object.entries(PALETTES).map(([name, palette]) => [
+    name,
+    { ...palette, custom: false, colors: palette.colors.map((entry) => ({ ...entry })) },
+  ]);
+
+  return Object.fromEntries([...custom, ...builtIn]);
+}
@@ -0,0 +1,494 @@
+/**
+ * Processing Pipeline
+ *
+ * Image processing as an ordered list of steps, so every option combines
+ * with every other. The flat screenshot parameters (crop, rotate, dithering,
+ * eink, invert, overlay...) are turned into a pipeline by buildPipeline; a
+ * schedule or request can also give one explicitly:
+ *
+ *   [
+ *     { "step": "crop", "left": 0, "top": 40, "width": 800, "height": 480 },
+ *     { "step": "levels", "black": 5, "white": 90 },
+ *     { "step": "dither", "method": "atkinson", "bitDepth": 1 },
+ *     { "step": "invert" },
+ *     { "step": "overlay", "template": "{time}", "position": "top" },
+ *     { "step": "encode" }
+ *   ]
+ *
+ * Steps pass a state from one to the next:
+ *   { image, bitDepth?, indexed? }
+ * - image: current pixels (PNG; the captured image before the first step)
+ * - bitDepth: grayscale levels already quantized (encoded at that depth)
+ * - indexed: panel palette indices from ditherToPalette (native-index PNG,
+ *   BMP and framebuffers); dropped by any later step that changes pixels
+ *
+ * `encode` always runs last (it is added when missing) and hands the state to
+ * the caller's encoder, which picks the output format.
+ *
+ * Custom steps are plugins: modules in the plugin directory (`/data/plugins`
+ * in the add-on, see const.js) whose default export is
+ * `{ name, validate?, apply }`, or anything passed to registerStep.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import sharp from "sharp";
+import { SUPPORTED_ROW_ALIGNMENTS } from "../framebuffer.js";
+import { applyDithering, ditherToPalette, validateOptions } from "./dithering.js";
+import { FINE_ROTATION_LIMIT, applyGeometry, validateGeometry } from "./geometry.js";
+import { drawOverlay, validateOverlay } from "./overlay.js";
+import { resolvePalette } from "./palettes.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Plugin directory for local development (the add-on uses /data/plugins)
+ * @type {string}
+ */
+export const PLUGINS_DIR = path.join(__dirname, "..", "plugins");
+
+/**
+ * Longest pipeline, including the final encode
+ * @type {number}
+ */
+export const MAX_PIPELINE_STEPS = 32;
+
+/**
+ * Gray bit depth for each legacy e-ink color count (7 is the ACeP palette)
+ * @type {Object.<number, number>}
+ */
+const EINK_GRAY_DEPTHS = { 2: 1, 4: 2, 16: 4, 256: 8 };
+
+/**
+ * Gray level (0-255) at or above which 2-color e-ink output is white
+ * @type {number}
+ */
+export const DEFAULT_EINK_THRESHOLD = 220;
+
+/**
+ * Registered steps by name
+ * @type {Map<string, {validate?: Function, apply: Function}>}
+ */
+const steps = new Map();
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Copy an object without one key
+ * @param {Object} object - Source object
+ * @param {string} key - Key to leave out
+ * @returns {Object} Shallow copy
+ */
+function omit(object, key) {
+  const copy = { ...object };
+  delete copy[key];
+  return copy;
+}
+
+/**
+ * Replace the pixels of a state; palette indices no longer match them
+ * @param {Object} state - Pipeline state
+ * @param {Buffer} image - New pixels (PNG)
+ * @returns {Object} New state
+ */
+export function withImage(state, image) {
+  return { ...state, image, indexed: undefined };
+}
+
+/**
+ * State for a palette-quantized image
+ * @param {Object} state - Pipeline state
+ * @param {Object} result - Output of ditherToPalette
+ * @returns {Promise<Object>} New state with the indices and their RGB image
+ */
+async function withIndices(state, result) {
+  const { indices, width, height, colors } = result;
+  const rgb = Buffer.alloc(indices.length * 3);
+  indices.forEach((index, i) => rgb.set(colors[index], i * 3));
+  const image = await sharp(rgb, { raw: { width, height, channels: 3 } }).png().toBuffer();
+
+  return { ...state, image, indexed: result, bitDepth: undefined };
+}
+
+/**
+ * Run geometry options through applyGeometry
+ * @param {Object} state - Pipeline state
+ * @param {Object} geometry - applyGeometry options
+ * @returns {Promise<Object>} New state
+ */
+async function geometryStep(state, geometry) {
+  const image = await applyGeometry(sharp(state.image), geometry);
+  return withImage(state, await image.png().toBuffer());
+}
+
+/**
+ * Map a dithering configuration (schedule, query or dither step) to
+ * applyDithering options
+ * @param {Object} dithering - Dithering configuration
+ * @returns {Object} Options for applyDithering, without the palette
+ */
+export function buildDitheringOptions(dithering) {
+  return {
+    method: dithering.method || "floyd-steinberg",
+    bitDepth: dithering.bitDepth || 2,
+    gammaCorrection: dithering.gammaCorrection !== false,
+    blackLevel: dithering.blackLevel || 0,
+    whiteLevel: dithering.whiteLevel || 100,
+    ditherMatrix: dithering.ditherMatrix || 8,
+    serpentine: dithering.serpentine === true,
+    diffusionStrength: dithering.diffusionStrength ?? 100,
+    autoLevels: dithering.autoLevels === true,
+    autoLevelsClip: dithering.autoLevelsClip ?? 0.5,
+    toneCurve: dithering.toneCurve || undefined,
+    sharpenAmount: dithering.sharpenAmount || 0,
+    sharpenRadius: dithering.sharpenRadius || 1,
+    calibration: dithering.calibration || undefined
+  };
+}
+
+// =============================================================================
+// BUILT-IN STEPS
+// =============================================================================
+
+const BUILT_IN_STEPS = {
+  crop: {
+    validate: ({ left, top, width, height }) => validateGeometry({ crop: { left, top, width, height } }),
+    apply: (state, { left, top, width, height }) => geometryStep(state, { crop: { left, top, width, height } })
+  },
+
+  // Right angles turn the image; smaller angles are fine rotation at the same size
+  rotate: {
+    validate: ({ angle }) => {
+      const rightAngle = Number.isInteger(angle) && angle % 90 === 0;
+      if (!rightAngle && !(typeof angle === "number" && Math.abs(angle) <= FINE_ROTATION_LIMIT)) {
+        throw new Error(`Rotation angle must be a multiple of 90 or between -${FINE_ROTATION_LIMIT} and ${FINE_ROTATION_LIMIT} degrees`);
+      }
+    },
+    apply: (state, { angle }) => {
+      if (angle % 90 !== 0) return geometryStep(state, { fineRotate: angle });
+      const rotate = ((angle % 360) + 360) % 360;
+      return rotate ? geometryStep(state, { rotate }) : state;
+    }
+  },
+
+  offset: {
+    validate: ({ x = 0, y = 0 }) => validateGeometry({ offsetX: x, offsetY: y }),
+    apply: (state, { x = 0, y = 0 }) => geometryStep(state, { offsetX: x, offsetY: y })
+  },
+
+  mirror: {
+    validate: ({ mode }) => validateGeometry({ mirror: mode ?? "" }),
+    apply: (state, { mode }) => geometryStep(state, { mirror: mode })
+  },
+
+  // Stretch black..white (percent) to the full range
+  levels: {
+    validate: ({ black = 0, white = 100 }) => {
+      const valid = [black, white].every((v) => typeof v === "number" && v >= 0 && v <= 100);
+      if (!valid || black >= white) {
+        throw new Error("Levels need 0 <= black < white <= 100");
+      }
+    },
+    apply: async (state, { black = 0, white = 100 }) => {
+      const scale = 100 / (white - black);
+      const image = await sharp(state.image)
+        .removeAlpha()
+        .linear(scale, -black * 2.55 * scale)
+        .png()
+        .toBuffer();
+      return withImage(state, image);
+    }
+  },
+
+  invert: {
+    apply: async (state) => withImage(state, await sharp(state.image).negate({ alpha: false }).png().toBuffer())
+  },
+
+  // Options are a dithering configuration (method, bitDepth, palette, ...).
+  // Framebuffer formats dither at their own depth; raw-bwr takes a three-color
+  // palette (bwr, bwy or a custom one) and falls back to bwr.
+  dither: {
+    validate: (dithering) => validateOptions({ ...buildDitheringOptions(dithering), palette: dithering.palette }),
+    apply: async (state, dithering, { format, framebufferBits }) => {
+      const options = buildDitheringOptions(dithering);
+
+      if (format === "raw-bwr") {
+        const tricolor = dithering.palette && resolvePalette(dithering.palette).colors.length === 3;
+        const palette = tricolor ? dithering.palette : "bwr";
+        return withIndices(state, await ditherToPalette(state.image, { ...options, palette }));
+      }
+
+      // Color palettes keep panel indices unless a framebuffer cannot hold them
+      if (dithering.palette) {
+        const result = await ditherToPalette(state.image, { ...options, palette: dithering.palette });
+        if (!framebufferBits || result.bitsPerPixel <= framebufferBits) {
+          return withIndices(state, result);
+        }
+      }
+
+      const bitDepth = framebufferBits || options.bitDepth;
+      const image = await applyDithering(state.image, { ...options, bitDepth });
+      return { ...withImage(state, image), bitDepth };
+    }
+  },
+
+  // Legacy color reduction: 2 colors threshold, 4, 16 and 256 round to evenly
+  // spaced grays (encoded at 2, 4 or 8 bits), 7 maps to the ACeP palette
+  eink: {
+    validate: ({ colors, threshold = DEFAULT_EINK_THRESHOLD }) => {
+      if (colors !== 7 && !EINK_GRAY_DEPTHS[colors]) {
+        throw new Error("E-ink colors must be 2, 4, 7, 16 or 256");
+      }
+      if (!Number.isInteger(threshold) || threshold < 0 || threshold > 255) {
+        throw new Error("E-ink threshold must be a whole number between 0 and 255");
+      }
+    },
+    apply: async (state, { colors, threshold = DEFAULT_EINK_THRESHOLD }) => {
+      if (colors === 7) {
+        return withIndices(state, await ditherToPalette(state.image, { palette: "acep-7" }));
+      }
+
+      const bitDepth = EINK_GRAY_DEPTHS[colors];
+      let gray = sharp(state.image).removeAlpha().greyscale();
+      if (bitDepth === 1) {
+        gray = gray.threshold(threshold, { greyscale: true });
+      }
+      let image = await gray.toColourspace("b-w").png().toBuffer();
+      if (bitDepth > 1) {
+        image = await applyDithering(image, { method: "none", bitDepth, gammaCorrection: false });
+      }
+      return { ...withImage(state, image), bitDepth };
+    }
+  },
+
+  overlay: {
+    validate: (options) => validateOverlay(options),
+    apply: async (state, options, { status = {} }) => withImage(state, await drawOverlay(state.image, options, {
+      renderedAt: status.renderedAt ?? new Date(),
+      connected: status.connected ?? false,
+      dashboard: status.dashboard
+    }))
+  },
+
+  // Options: quality, compressionLevel, rowAlign, invertBits
+  encode: {
+    validate: ({ quality, compressionLevel, rowAlign = 1, invertBits = false }) => {
+      if (quality !== undefined && !(Number.isInteger(quality) && quality >= 1 && quality <= 100)) {
+        throw new Error("Quality must be a whole number between 1 and 100");
+      }
+      if (compressionLevel !== undefined && !(Number.isInteger(compressionLevel) && compressionLevel >= 0 && compressionLevel <= 9)) {
+        throw new Error("Compression level must be a whole number between 0 and 9");
+      }
+      if (!SUPPORTED_ROW_ALIGNMENTS.includes(rowAlign)) {
+        throw new Error(`Row alignment must be ${SUPPORTED_ROW_ALIGNMENTS.join(", ")} bytes`);
+      }
+      if (typeof invertBits !== "boolean") {
+        throw new Error("invertBits must be a boolean");
+      }
+    },
+    apply: (state, options, { encode }) => encode(state, options)
+  }
+};
+
+for (const [name, step] of Object.entries(BUILT_IN_STEPS)) {
+  steps.set(name, step);
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Register a custom step
+ *
+ * @param {string} name - Step name used in pipelines
+ * @param {Object} step - Step implementation
+ * @param {Function} [step.validate] - (options) => void; throws on invalid options
+ * @param {Function} step.apply - async (state, options, context) => state
+ * @throws {Error} If the name is taken or apply is missing
+ */
+export function registerStep(name, step) {
+  if (typeof name !== "string" || !/^[a-z][a-z0-9-]*$/.test(name)) {
+    throw new Error(`Invalid step name: ${name}`);
+  }
+  if (steps.has(name)) {
+    throw new Error(`Step ${name} is already registered`);
+  }
+  if (typeof step?.apply !== "function") {
+    throw new Error(`Step ${name} needs an apply function`);
+  }
+
+  steps.set(name, step);
+}
+
+/**
+ * Names of all registered steps
+ * @returns {string[]} Step names, built-in first
+ */
+export function getRegisteredSteps() {
+  return [...steps.keys()];
+}
+
+/**
+ * Validate a pipeline
+ *
+ * @param {Object[]} pipeline - Steps, each `{ step: name, ...options }`
+ * @returns {boolean} True if valid
+ * @throws {Error} Describing the first problem
+ */
+export function validatePipeline(pipeline) {
+  if (!Array.isArray(pipeline) || pipeline.length < 1 || pipeline.length > MAX_PIPELINE_STEPS) {
+    throw new Error(`Pipeline must be a list of 1 to ${MAX_PIPELINE_STEPS} steps`);
+  }
+
+  pipeline.forEach((entry, i) => {
+    const definition = steps.get(entry?.step);
+    if (!definition) {
+      throw new Error(`Step ${i + 1}: unknown step ${entry?.step}. Known steps: ${getRegisteredSteps().join(", ")}`);
+    }
+    if (entry.step === "encode" && i !== pipeline.length - 1) {
+      throw new Error(`Step ${i + 1}: encode must be the last step`);
+    }
+
+    try {
+      definition.validate?.(omit(entry, "step"));
+    } catch (err) {
+      throw new Error(`Step ${i + 1} (${entry.step}): ${err.message}`);
+    }
+  });
+
+  return true;
+}
+
+/**
+ * Turn flat screenshot parameters into a pipeline
+ *
+ * Order: crop, overlay, rotate, fine rotation, offset, mirror, then either
+ * invert + dither, eink + invert (inverting the reduced grays, as the 2-color
+ * mode always did; the 7-color palette is inverted first so it stays on the
+ * panel colors) or invert alone, and finally encode.
+ *
+ * @param {Object} params - processImage parameters
+ * @returns {Object[]} Pipeline
+ */
+export function buildPipeline({
+  crop,
+  overlay,
+  rotate,
+  fineRotate,
+  offsetX,
+  offsetY,
+  mirror,
+  dithering,
+  einkColors,
+  einkThreshold,
+  invert,
+  rowAlign,
+  invertBits
+}) {
+  const pipeline = [];
+
+  if (crop) pipeline.push({ step: "crop", ...crop });
+  if (overlay?.enabled) pipeline.push({ step: "overlay", ...omit(overlay, "enabled") });
+  if (rotate) pipeline.push({ step: "rotate", angle: rotate });
+  if (fineRotate) pipeline.push({ step: "rotate", angle: fineRotate });
+  if (offsetX || offsetY) pipeline.push({ step: "offset", x: offsetX || 0, y: offsetY || 0 });
+  if (mirror) pipeline.push({ step: "mirror", mode: mirror });
+
+  if (dithering?.enabled) {
+    if (invert) pipeline.push({ step: "invert" });
+    pipeline.push({ step: "dither", ...omit(dithering, "enabled") });
+  } else if (einkColors) {
+    const eink = { step: "eink", colors: einkColors };
+    if (einkThreshold !== undefined) eink.threshold = einkThreshold;
+    if (invert && einkColors === 7) pipeline.push({ step: "invert" });
+    pipeline.push(eink);
+    if (invert && einkColors !== 7) pipeline.push({ step: "invert" });
+  } else if (invert) {
+    pipeline.push({ step: "invert" });
+  }
+
+  const encode = { step: "encode" };
+  if (rowAlign) encode.rowAlign = rowAlign;
+  if (invertBits) encode.invertBits = invertBits;
+  pipeline.push(encode);
+
+  return pipeline;
+}
+
+/**
+ * Run a pipeline
+ *
+ * @param {Buffer} image - Input image (PNG)
+ * @param {Object[]} pipeline - Validated steps; encode is added when missing
+ * @param {Object} context - Passed to every step
+ * @param {string} context.format - Output format
+ * @param {number} [context.framebufferBits] - Bits per pixel of a raw framebuffer format
+ * @param {Object} [context.status] - Overlay status {renderedAt, connected, dashboard}
+ * @param {Function} context.encode - async (state, encodeOptions) => Buffer
+ * @returns {Promise<Buffer>} Encoded image
+ */
+export async function runPipeline(image, pipeline, context) {
+  const all = pipeline.at(-1)?.step === "encode" ? pipeline : [...pipeline, { step: "encode" }];
+
+  let state = { image };
+  for (const { step, ...options } of all) {
+    const result = await steps.get(step).apply(state, options, context);
+    if (step === "encode") return result;
+
+    state = result;
+  }
+}
+
+/**
+ * Parse a pipeline from JSON text
+ *
+ * @param {string} text - Pipeline JSON
+ * @returns {Object[]} Validated pipeline
+ * @throws {Error} If the JSON is malformed or the pipeline is invalid
+ */
+export function parsePipeline(text) {
+  let pipeline;
+  try {
+    pipeline = JSON.parse(text);
+  } catch {
+    throw new Error("Pipeline must be valid JSON");
+  }
+
+  validatePipeline(pipeline);
+  return pipeline;
+}
+
+/**
+ * Register every plugin step found in a directory
+ *
+ * Each `.js` or `.mjs` file must default-export `{ name, validate?, apply }`.
+ * A broken plugin is logged and skipped.
+ *
+ * @param {string} [dir=PLUGINS_DIR] - Plugin directory (missing is fine)
+ * @returns {Promise<string[]>} Names of the registered steps
+ */
+export async function loadPlugins(dir = PLUGINS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  const loaded = [];
+  const files = fs.readdirSync(dir).filter((file) => /\.m?js$/.test(file)).sort();
+  for (const file of files) {
+    try {
+      const { default: plugin } = await import(pathToFileURL(path.join(dir, file)).href);
+      registerStep(plugin?.name, plugin);
+      loaded.push(plugin.name);
+      console.log(`Loaded pipeline step ${plugin.name} from ${file}`);
+    } catch (err) {
+      console.error(`Error loading pipeline plugin ${file}:`, err.message);
+    }
+  }
+  return loaded;
+}
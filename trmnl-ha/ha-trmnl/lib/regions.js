@@ -0,0 +1,352 @@
+/**
+ * Changed Regions
+ *
+ * Finds the rectangles in which a render differs from the previous one, so
+ * displays with partial refresh can redraw a clock or a sensor value without
+ * a full-screen flash. Works on final encoded output: PNG, JPEG and WebP are
+ * decoded with sharp, BMP (as written by bmp.js) is read directly. Raw
+ * framebuffers carry no dimensions and are not supported.
+ *
+ * Changed pixels are grouped on an 8x8 grid, so every rectangle starts at a
+ * multiple of 8 (the window alignment 1-bit panel controllers need). Touching
+ * cells form one rectangle; overlapping rectangles are merged, and more than
+ * `maxRegions` collapse into their bounding box.
+ */
+
+import sharp from "sharp";
+import { BMPEncoder } from "../bmp.js";
+import { PNGEncoder } from "../png.js";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Output formats whose regions can be computed
+ * @type {string[]}
+ */
+export const REGION_FORMATS = ["png", "jpeg", "webp", "bmp"];
+
+/**
+ * Grid cell size and rectangle alignment in pixels
+ * @type {number}
+ */
+export const REGION_CELL_SIZE = 8;
+
+/**
+ * Defaults for findChangedRegions
+ * @type {{threshold: number, maxRegions: number}}
+ */
+export const REGION_DEFAULTS = {
+  threshold: 0.1,
+  maxRegions: 16
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Read bit depth, color type and palette from PNG chunks
+ * @param {Buffer} image - PNG file
+ * @returns {{bitDepth: number, colorType: number, palette?: number[][]}} Header fields
+ */
+function readPngInfo(image) {
+  const info = { bitDepth: image[24], colorType: image[25] };
+
+  // Chunks after the 8-byte signature: length, type, data, CRC
+  for (let offset = 8; offset + 8 <= image.length;) {
+    const length = image.readUInt32BE(offset);
+    const type = image.toString("ascii", offset + 4, offset + 8);
+    if (type === "PLTE") {
+      const data = image.subarray(offset + 8, offset + 8 + length);
+      info.palette = Array.from({ length: length / 3 }, (_, i) => [...data.subarray(i * 3, i * 3 + 3)]);
+    }
+    if (type === "IDAT") break;
+    offset += length + 12;
+  }
+  return info;
+}
+
+/**
+ * Read an uncompressed BMP (1, 2, 4, 8 or 24 bits per pixel)
+ * @param {Buffer} image - BMP file
+ * @returns {{width: number, height: number, bitsPerPixel: number, rgb: Buffer,
+ *   indices?: Uint8Array, palette?: number[][]}} Pixels, plus palette indices
+ *   for indexed BMPs
+ * @throws {Error} If the BMP is compressed or has another depth
+ */
+function decodeBmp(image) {
+  const dataOffset = image.readUInt32LE(10);
+  const width = image.readInt32LE(18);
+  const rawHeight = image.readInt32LE(22);
+  const height = Math.abs(rawHeight);
+  const bitsPerPixel = image.readUInt16LE(28);
+  if (image.readUInt32LE(30) !== 0 || ![1, 2, 4, 8, 24].includes(bitsPerPixel)) {
+    throw new Error("Only uncompressed 1, 2, 4, 8 and 24-bit BMPs are supported");
+  }
+
+  const rowBytes = Math.ceil((width * bitsPerPixel) / 8);
+  const stride = rowBytes + ((4 - (rowBytes % 4)) % 4);
+  const rgb = Buffer.alloc(width * height * 3);
+  const rowStart = (y) => dataOffset + (rawHeight > 0 ? height - 1 - y : y) * stride;
+
+  if (bitsPerPixel === 24) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const source = rowStart(y) + x * 3;
+        const target = (y * width + x) * 3;
+        rgb[target] = image[source + 2];
+        rgb[target + 1] = image[source + 1];
+        rgb[target + 2] = image[source];
+      }
+    }
+    return { width, height, bitsPerPixel, rgb };
+  }
+
+  const paletteSize = image.readUInt32LE(46) || 2 ** bitsPerPixel;
+  const paletteOffset = 14 + image.readUInt32LE(14);
+  const palette = Array.from({ length: paletteSize }, (_, i) => {
+    const offset = paletteOffset + i * 4;
+    return [image[offset + 2], image[offset + 1], image[offset]];
+  });
+
+  const indices = new Uint8Array(width * height);
+  const pixelsPerByte = 8 / bitsPerPixel;
+  const mask = 2 ** bitsPerPixel - 1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const byte = image[rowStart(y) + Math.floor(x / pixelsPerByte)];
+      const shift = 8 - bitsPerPixel * ((x % pixelsPerByte) + 1);
+      const index = (byte >> shift) & mask;
+      indices[y * width + x] = index;
+      rgb.set(palette[index] ?? [0, 0, 0], (y * width + x) * 3);
+    }
+  }
+  return { width, height, bitsPerPixel, rgb, indices, palette };
+}
+
+/**
+ * Copy a rectangle out of row-major samples
+ * @param {Uint8Array|Buffer} samples - Source samples
+ * @param {number} width - Source width in pixels
+ * @param {number} channels - Samples per pixel
+ * @param {Object} region - Rectangle {left, top, width, height}
+ * @returns {Buffer} Samples of the rectangle
+ */
+function cropSamples(samples, width, channels, region) {
+  const rowLength = region.width * channels;
+  const cropped = Buffer.alloc(rowLength * region.height);
+  for (let y = 0; y < region.height; y++) {
+    const start = ((region.top + y) * width + region.left) * channels;
+    cropped.set(samples.subarray(start, start + rowLength), y * rowLength);
+  }
+  return cropped;
+}
+
+/**
+ * Whether two rectangles overlap or touch
+ * @param {Object} a - Rectangle {left, top, width, height}
+ * @param {Object} b - Rectangle {left, top, width, height}
+ * @returns {boolean} True if they share at least an edge
+ */
+function touches(a, b) {
+  return a.left <= b.left + b.width && b.left <= a.left + a.width &&
+    a.top <= b.top + b.height && b.top <= a.top + a.height;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Decode an encoded render for comparison and region extraction
+ *
+ * @param {Buffer} image - Encoded output
+ * @param {string} format - Its format (see REGION_FORMATS)
+ * @returns {Promise<Object>} `{format, image, width, height, rgb}`, plus the
+ *   palette indices or PNG header needed to re-encode a region losslessly
+ * @throws {Error} For raw framebuffers and other unsupported formats
+ */
+export async function decodeOutput(image, format) {
+  if (!REGION_FORMATS.includes(format)) {
+    throw new Error(`Changed regions need ${REGION_FORMATS.join(", ")} output, not ${format}`);
+  }
+
+  if (format === "bmp") {
+    return { format, image, ...decodeBmp(image) };
+  }
+
+  const { data, info } = await sharp(image)
+    .removeAlpha()
+    .toColourspace("srgb")
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const decoded = { format, image, width: info.width, height: info.height, rgb: data };
+  return format === "png" ? { ...decoded, png: readPngInfo(image) } : decoded;
+}
+
+/**
+ * Find the rectangles in which two decoded renders differ
+ *
+ * @param {Object} [previous] - decodeOutput result of the earlier render
+ * @param {Object} current - decodeOutput result of the new render
+ * @param {Object} [options] - Detection options
+ * @param {number} [options.threshold=0.1] - Per-channel difference (0-1) a
+ *   pixel may have and still count as unchanged
+ * @param {number} [options.maxRegions=16] - More rectangles collapse into one
+ * @returns {{regions: Object[], changedPixels: number}} Rectangles
+ *   {left, top, width, height} sorted top to bottom; without a previous
+ *   render, or after a size change, the whole frame
+ */
+export function findChangedRegions(previous, current, options = {}) {
+  const { threshold = REGION_DEFAULTS.threshold, maxRegions = REGION_DEFAULTS.maxRegions } = options;
+  const { width, height } = current;
+
+  if (!previous || previous.width !== width || previous.height !== height) {
+    return { regions: [{ left: 0, top: 0, width, height }], changedPixels: width * height };
+  }
+
+  // Mark grid cells holding at least one changed pixel
+  const columns = Math.ceil(width / REGION_CELL_SIZE);
+  const rows = Math.ceil(height / REGION_CELL_SIZE);
+  const cells = new Uint8Array(columns * rows);
+  const limit = threshold * 255;
+  let changedPixels = 0;
+  for (let i = 0, pixel = 0; i < current.rgb.length; i += 3, pixel++) {
+    const delta = Math.max(
+      Math.abs(current.rgb[i] - previous.rgb[i]),
+      Math.abs(current.rgb[i + 1] - previous.rgb[i + 1]),
+      Math.abs(current.rgb[i + 2] - previous.rgb[i + 2])
+    );
+    if (delta > limit) {
+      changedPixels++;
+      const x = pixel % width;
+      const y = Math.floor(pixel / width);
+      cells[Math.floor(y / REGION_CELL_SIZE) * columns + Math.floor(x / REGION_CELL_SIZE)] = 1;
+    }
+  }
+
+  // Touching cells (including diagonally) form one rectangle
+  let regions = [];
+  for (let start = 0; start < cells.length; start++) {
+    if (cells[start] !== 1) continue;
+
+    let [minX, minY, maxX, maxY] = [columns, rows, 0, 0];
+    const stack = [start];
+    cells[start] = 2;
+    while (stack.length) {
+      const cell = stack.pop();
+      const cx = cell % columns;
+      const cy = Math.floor(cell / columns);
+      [minX, minY, maxX, maxY] = [Math.min(minX, cx), Math.min(minY, cy), Math.max(maxX, cx), Math.max(maxY, cy)];
+
+      for (let ny = Math.max(0, cy - 1); ny <= Math.min(rows - 1, cy + 1); ny++) {
+        for (let nx = Math.max(0, cx - 1); nx <= Math.min(columns - 1, cx + 1); nx++) {
+          if (cells[ny * columns + nx] === 1) {
+            cells[ny * columns + nx] = 2;
+            stack.push(ny * columns + nx);
+          }
+        }
+      }
+    }
+
+    const left = minX * REGION_CELL_SIZE;
+    const top = minY * REGION_CELL_SIZE;
+    regions.push({
+      left,
+      top,
+      width: Math.min(width, (maxX + 1) * REGION_CELL_SIZE) - left,
+      height: Math.min(height, (maxY + 1) * REGION_CELL_SIZE) - top
+    });
+  }
+
+  // Bounding boxes of separate groups can still overlap
+  for (let merged = true; merged;) {
+    merged = false;
+    for (let i = 0; i < regions.length && !merged; i++) {
+      for (let j = i + 1; j < regions.length && !merged; j++) {
+        if (touches(regions[i], regions[j])) {
+          regions[i] = boundingRegion([regions[i], regions[j]]);
+          regions.splice(j, 1);
+          merged = true;
+        }
+      }
+    }
+  }
+
+  if (regions.length > maxRegions) {
+    regions = [boundingRegion(regions)];
+  }
+  regions.sort((a, b) => a.top - b.top || a.left - b.left);
+
+  return { regions, changedPixels };
+}
+
+/**
+ * Encode one rectangle of a decoded render in its own format
+ *
+ * Indexed PNGs and BMPs keep their palette indices and bit depth, and
+ * low bit depth grayscale PNGs keep their depth.
+ *
+ * @param {Object} decoded - decodeOutput result
+ * @param {Object} region - Rectangle {left, top, width, height} inside the image
+ * @returns {Promise<Buffer>} Encoded region
+ */
+export async function encodeRegion(decoded, region) {
+  const { format, image, width, rgb, indices, palette, png } = decoded;
+
+  if (format === "bmp") {
+    if (indices) {
+      return new BMPEncoder(region.width, region.height, decoded.bitsPerPixel, palette)
+        .encode(cropSamples(indices, width, 1, region));
+    }
+    return new BMPEncoder(region.width, region.height, 24).encode(cropSamples(rgb, width, 3, region));
+  }
+
+  if (png?.colorType === 3 && png.palette) {
+    // First index of each color, as written by PNGEncoder
+    const lookup = new Map();
+    png.palette.forEach((color, index) => {
+      if (!lookup.has(color.join())) lookup.set(color.join(), index);
+    });
+    const pixels = cropSamples(rgb, width, 3, region);
+    const regionIndices = new Uint8Array(region.width * region.height);
+    for (let i = 0; i < regionIndices.length; i++) {
+      regionIndices[i] = lookup.get(`${pixels[i * 3]},${pixels[i * 3 + 1]},${pixels[i * 3 + 2]}`) ?? 0;
+    }
+    return new PNGEncoder(region.width, region.height, png.bitDepth, png.palette).encode(regionIndices);
+  }
+
+  if (png?.colorType === 0 && png.bitDepth < 8) {
+    const gray = cropSamples(rgb, width, 3, region).filter((_, i) => i % 3 === 0);
+    return new PNGEncoder(region.width, region.height, png.bitDepth).encodeGray(gray);
+  }
+
+  return sharp(image).extract(region).toFormat(format).toBuffer();
+}
+
+/**
+ * Smallest rectangle containing all given rectangles
+ * @param {Object[]} regions - Rectangles {left, top, width, height}
+ * @returns {Object|undefined} Bounding rectangle, undefined for none
+ */
+export function boundingRegion(regions) {
+  if (!regions.length) return undefined;
+
+  const left = Math.min(...regions.map((r) => r.left));
+  const top = Math.min(...regions.map((r) => r.top));
+  const right = Math.max(...regions.map((r) => r.left + r.width));
+  const bottom = Math.max(...regions.map((r) => r.top + r.height));
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Format rectangles for the X-Changed-Regions header
+ *
+ * @param {Object[]} regions - Rectangles {left, top, width, height}
+ * @returns {string} e.g. `0,40,128,24; 600,0,200,32` (empty when unchanged)
+ */
+export function formatRegionsHeader(regions) {
+  return regions.map(({ left, top, width, height }) => `${left},${top},${width},${height}`).join("; ");
+}
@@ -0,0 +1,146 @@
+/**
+ * Render Cache and Conditional Requests
+ *
+ * Devices poll the same URL every minute. Renders are kept for a short,
+ * configurable time under a key built from the normalized request, so a
+ * repeated request (or a HEAD followed by a GET) is answered without
+ * Chromium. Every render carries a content-hash ETag and a Last-Modified
+ * time that only moves when the bytes change, so clients that send
+ * `If-None-Match` or `If-Modified-Since` get `304 Not Modified` instead of
+ * the image.
+ */
+
+import crypto from "node:crypto";
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Parse an If-None-Match header into entity tags (weakness ignored)
+ * @param {string} header - Header value
+ * @returns {string[]} Opaque tags with quotes, or ["*"]
+ */
+function parseEntityTags(header) {
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .filter(Boolean);
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Key for a request: path and query with parameters sorted and the
+ * given ones left out, so equivalent URLs share renders
+ *
+ * @param {URL} requestUrl - Parsed request URL
+ * @param {string[]} [ignore=[]] - Parameters that do not affect the image
+ * @returns {string} e.g. `/lovelace/0?dithering=&viewport=800x480`
+ */
+export function normalizeRequestKey(requestUrl, ignore = []) {
+  const params = new URLSearchParams(requestUrl.searchParams);
+  ignore.forEach((name) => params.delete(name));
+  params.sort();
+  return `${requestUrl.pathname}?${params}`;
+}
+
+/**
+ * Strong entity tag from the content hash of an image
+ *
+ * @param {Buffer} image - Response body
+ * @returns {string} Quoted base64url SHA-256, e.g. `"n4bQgYhMfWWaL-qg..."`
+ */
+export function computeEtag(image) {
+  return `"${crypto.createHash("sha256").update(image).digest("base64url")}"`;
+}
+
+/**
+ * Whether a client's cached copy is still current (RFC 9110 section 13.2.2):
+ * If-None-Match wins when present, otherwise If-Modified-Since is compared
+ * at one-second precision
+ *
+ * @param {Object} headers - Request headers (lower-case names, as in Node)
+ * @param {Object} validators - The current representation
+ * @param {string} validators.etag - Entity tag
+ * @param {Date} validators.lastModified - Last change
+ * @returns {boolean} True if a 304 response is enough
+ */
+export function isNotModified(headers, { etag, lastModified }) {
+  const ifNoneMatch = headers["if-none-match"];
+  if (ifNoneMatch) {
+    const tags = parseEntityTags(ifNoneMatch);
+    return tags.includes("*") || tags.includes(etag);
+  }
+
+  const since = Date.parse(headers["if-modified-since"] ?? "");
+  if (isNaN(since)) return false;
+  return Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+}
+
+// =============================================================================
+// RENDER CACHE CLASS
+// =============================================================================
+
+/**
+ * Recent renders by request key
+ * Expired entries are not served but keep their Last-Modified time, so an
+ * identical re-render still reports the time the content first appeared
+ * @class
+ */
+export class RenderCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.ttl - Milliseconds a render is served (0 = never)
+   * @param {number} options.maxEntries - Renders kept; the least recently used go first
+   */
+  constructor({ ttl, maxEntries }) {
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+
+    /** @type {Map<string, Object>} Entries, least recently used first */
+    this.entries = new Map();
+  }
+
+  /**
+   * Fresh entry for a key
+   * @param {string} key - Request key
+   * @returns {Object|undefined} `{image, etag, lastModified, expires, ...metadata}`
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expires <= Date.now()) return undefined;
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Store a render
+   * @param {string} key - Request key
+   * @param {Buffer} image - Encoded render
+   * @param {Object} [metadata] - Extra fields to keep (content type, headers)
+   * @returns {Object} The new entry with its validators
+   */
+  set(key, image, metadata = {}) {
+    const etag = computeEtag(image);
+    const previous = this.entries.get(key);
+    const entry = {
+      ...metadata,
+      image,
+      etag,
+      lastModified: previous?.etag === etag ? previous.lastModified : new Date(),
+      expires: Date.now() + this.ttl
+    };
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return entry;
+  }
+}
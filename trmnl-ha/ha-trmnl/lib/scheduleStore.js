@@ -1,12 +1,18 @@
 /**
  * Schedule Store Module
  *
- * Manages schedule persistence to JSON file
+ * Manages schedule persistence to JSON file. Render settings are validated
+ * before every write.
  */
 
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { validateChangeDetection } from "./changeDetection.js";
+import { validateLayout } from "./layout.js";
+import { buildPipeline, validatePipeline } from "./pipeline.js";
+import { MAX_SELECTOR_PADDING } from "./selector.js";
+import { SUPERSAMPLE_FACTORS } from "./supersample.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const SCHEDULES_FILE = path.join(__dirname, "..", "schedules.json");
@@ -56,6 +62,7 @@ export function getSchedule(id) {
  * @returns {Object} Created schedule with ID
  */
 export function createSchedule(schedule) {
+  validateSchedule(schedule);
   const schedules = loadSchedules();
   const newSchedule = {
     ...schedule,
@@ -80,12 +87,14 @@ export function updateSchedule(id, updates) {
   if (index === -1) {
     return null;
   }
-  schedules[index] = {
+  const updated = {
     ...schedules[index],
     ...updates,
     id, // Preserve ID
     updatedAt: new Date().toISOString(),
   };
+  validateSchedule(updated);
+  schedules[index] = updated;
   saveSchedules(schedules);
   return schedules[index];
 }
@@ -106,6 +115,62 @@ export function deleteSchedule(id) {
   return true;
 }
 
+/**
+ * Validate a schedule's render settings
+ *
+ * Uses the checks of the screenshot endpoint, so a bad value is refused
+ * when saved instead of failing every scheduled run.
+ *
+ * @param {Object} schedule - Schedule data
+ * @throws {Error} Describing the first problem
+ */
+function validateSchedule(schedule) {
+  if (schedule.change_detection !== undefined) {
+    validateChangeDetection(schedule.change_detection);
+  }
+  if (schedule.layout) {
+    validateLayout(schedule.layout);
+  }
+
+  // An explicit pipeline replaces the flat processing fields
+  if (schedule.pipeline) {
+    validatePipeline(schedule.pipeline);
+  } else {
+    validatePipeline(
+      buildPipeline({
+        crop: schedule.crop,
+        overlay: schedule.overlay,
+        rotate: schedule.rotate,
+        fineRotate: schedule.fine_rotate,
+        offsetX: schedule.offset_x,
+        offsetY: schedule.offset_y,
+        mirror: schedule.mirror,
+        dithering: schedule.dithering,
+        einkColors: schedule.eink,
+        einkThreshold: schedule.eink_threshold,
+        invert: schedule.invert,
+        rowAlign: schedule.row_align,
+        invertBits: schedule.invert_bits,
+      })
+    );
+  }
+
+  if (schedule.supersample !== undefined && !SUPERSAMPLE_FACTORS.includes(schedule.supersample)) {
+    throw new Error(`Supersample must be one of ${SUPERSAMPLE_FACTORS.join(", ")}`);
+  }
+  if (schedule.max_bytes != null && !(Number.isInteger(schedule.max_bytes) && schedule.max_bytes > 0)) {
+    throw new Error("max_bytes must be a positive whole number");
+  }
+  if (
+    schedule.selector_padding !== undefined &&
+    !(Number.isInteger(schedule.selector_padding) &&
+      schedule.selector_padding >= 0 &&
+      schedule.selector_padding <= MAX_SELECTOR_PADDING)
+  ) {
+    throw new Error(`selector_padding must be between 0 and ${MAX_SELECTOR_PADDING} pixels`);
+  }
+}
+
 /**
  * Generate a unique ID
  * @returns {string} Unique ID
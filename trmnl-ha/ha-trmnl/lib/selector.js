@@ -0,0 +1,105 @@
+/**
+ * Element Capture
+ *
+ * Helpers for capturing a single card or element instead of the whole
+ * dashboard, so one dashboard can feed several small displays. Home
+ * Assistant renders everything inside nested shadow roots, so plain CSS
+ * selectors go through Puppeteer's `pierce/` query handler, which searches
+ * every shadow root. A `title:` prefix finds a card by its text instead.
+ */
+
+import sharp from "sharp";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Prefix that selects a card by its title (or other visible text)
+ * @type {string}
+ */
+export const CARD_TITLE_PREFIX = "title:";
+
+/**
+ * Largest padding around the element in pixels
+ * @type {number}
+ */
+export const MAX_SELECTOR_PADDING = 200;
+
+/**
+ * Fill for letterboxing when the element is scaled to the viewport
+ * @type {{r: number, g: number, b: number, alpha: number}}
+ */
+const BACKGROUND = { r: 255, g: 255, b: 255, alpha: 1 };
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Turn a user selector into a Puppeteer query
+ *
+ * - `title:Living Room` matches the smallest element containing that text;
+ *   the caller climbs to its `ha-card`
+ * - Selectors already using Puppeteer syntax (`>>>`, `::-p-`, `pierce/`)
+ *   are used as-is
+ * - Anything else is a CSS selector run in every shadow root
+ *
+ * @param {string} selector - CSS selector or `title:<text>`
+ * @returns {{query: string, card: boolean}} Puppeteer query, and whether
+ *   the match must be widened to its enclosing card
+ */
+export function buildElementQuery(selector) {
+  if (selector.startsWith(CARD_TITLE_PREFIX)) {
+    const title = selector.slice(CARD_TITLE_PREFIX.length).trim();
+    return { query: `::-p-text(${JSON.stringify(title)})`, card: true };
+  }
+
+  if (selector.includes(">>>") || selector.includes("::-p-") || selector.startsWith("pierce/")) {
+    return { query: selector, card: false };
+  }
+
+  return { query: `pierce/${selector}`, card: false };
+}
+
+/**
+ * Compute the screenshot clip for an element's bounding box
+ *
+ * The box is padded on every side and rounded outwards to whole pixels.
+ * The clip never starts above the header (which is never captured) or left
+ * of the page, and never runs past the right edge of the viewport.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} box -
+ *   Element bounding box in page pixels
+ * @param {Object} options - Clip options
+ * @param {number} [options.padding=0] - Extra pixels on every side
+ * @param {number} options.viewportWidth - Viewport width
+ * @param {number} options.top - Header height (first capturable row)
+ * @returns {{x: number, y: number, width: number, height: number}} Clip rectangle
+ */
+export function computeElementClip(box, { padding = 0, viewportWidth, top }) {
+  const x = Math.max(0, Math.floor(box.x - padding));
+  const y = Math.max(top, Math.floor(box.y - padding));
+  const right = Math.min(viewportWidth, Math.ceil(box.x + box.width + padding));
+  const bottom = Math.ceil(box.y + box.height + padding);
+
+  return { x, y, width: Math.max(1, right - x), height: Math.max(1, bottom - y) };
+}
+
+/**
+ * Scale a captured element to fill the target viewport
+ *
+ * Keeps the aspect ratio and centers the element; the remaining space is
+ * filled white.
+ *
+ * @param {Buffer} image - Captured element (PNG)
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {Promise<Buffer>} PNG of exactly width x height
+ */
+export async function fitToViewport(image, width, height) {
+  return sharp(image)
+    .resize(width, height, { fit: "contain", background: BACKGROUND })
+    .png()
+    .toBuffer();
+}
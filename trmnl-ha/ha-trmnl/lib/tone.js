@@ -0,0 +1,359 @@
+/**
+ * Pre-Dither Tone Adjustments
+ *
+ * Optional tone stage run on the floating point planes before quantization:
+ * auto-levels from the image histogram, a tone curve through control points
+ * and an unsharp mask. Light-gray Home Assistant themes sit in a narrow band
+ * near white that 2-bit panels round away; stretching and bending that band
+ * first keeps card edges and secondary text visible.
+ *
+ * Planes hold 0-255 floats with one or more interleaved channels, so the same
+ * code serves the grayscale and the color palette paths.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Tone defaults (all adjustments off)
+ * @type {{autoLevels: boolean, autoLevelsClip: number, toneCurve: undefined, sharpenAmount: number, sharpenRadius: number}}
+ */
+export const TONE_DEFAULTS = {
+  autoLevels: false,
+  autoLevelsClip: 0.5,
+  toneCurve: undefined,
+  sharpenAmount: 0,
+  sharpenRadius: 1,
+};
+
+/**
+ * Accepted ranges
+ * - autoLevelsClip: percent of pixels clipped at each end of the histogram
+ * - sharpenAmount: percent of the high-pass detail added back
+ * - sharpenRadius: Gaussian sigma in pixels
+ * @type {Object.<string, {min: number, max: number}>}
+ */
+const LIMITS = {
+  autoLevelsClip: { min: 0, max: 10 },
+  sharpenAmount: { min: 0, max: 500 },
+  sharpenRadius: { min: 0.5, max: 10 },
+};
+
+/**
+ * Luminance weights used to build the auto-levels histogram
+ * @type {{r: number, g: number, b: number}}
+ */
+const LUMA = { r: 0.299, g: 0.587, b: 0.114 };
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Clamp a value to the 0-255 range
+ * @param {number} value - Value to clamp
+ * @returns {number} Clamped value
+ */
+function clamp(value) {
+  return Math.max(0, Math.min(255, value));
+}
+
+/**
+ * Check a numeric option against its range
+ * @param {string} name - Option name (key of LIMITS)
+ * @param {*} value - Option value
+ * @throws {Error} If the value is not a number in range
+ */
+function checkRange(name, value) {
+  const { min, max } = LIMITS[name];
+  if (typeof value !== "number" || isNaN(value) || value < min || value > max) {
+    throw new Error(`${name} must be between ${min} and ${max}`);
+  }
+}
+
+/**
+ * Build a 256-entry lookup table from tone curve control points
+ *
+ * Uses monotone cubic (Fritsch-Carlson) interpolation so the curve passes
+ * through every point without overshooting between them. Inputs outside the
+ * first and last point hold the end values.
+ *
+ * @param {number[][]} points - [input, output] pairs with increasing inputs
+ * @returns {Float32Array} Output value for every integer input
+ */
+function buildCurveTable(points) {
+  const n = points.length;
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+
+  const slopes = [];
+  for (let i = 0; i < n - 1; i++) {
+    slopes.push((ys[i + 1] - ys[i]) / (xs[i + 1] - xs[i]));
+  }
+
+  // Tangents: average of neighbouring secants, flattened at extrema
+  const tangents = [slopes[0]];
+  for (let i = 1; i < n - 1; i++) {
+    tangents.push(slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2);
+  }
+  tangents.push(slopes[n - 2]);
+
+  // Limit tangents so each segment stays monotone
+  for (let i = 0; i < n - 1; i++) {
+    if (slopes[i] === 0) {
+      tangents[i] = 0;
+      tangents[i + 1] = 0;
+      continue;
+    }
+    const a = tangents[i] / slopes[i];
+    const b = tangents[i + 1] / slopes[i];
+    const length = Math.hypot(a, b);
+    if (length > 3) {
+      tangents[i] = (3 / length) * a * slopes[i];
+      tangents[i + 1] = (3 / length) * b * slopes[i];
+    }
+  }
+
+  const table = new Float32Array(256);
+  let segment = 0;
+  for (let x = 0; x < 256; x++) {
+    if (x <= xs[0]) {
+      table[x] = ys[0];
+      continue;
+    }
+    if (x >= xs[n - 1]) {
+      table[x] = ys[n - 1];
+      continue;
+    }
+    while (x > xs[segment + 1]) segment++;
+
+    const h = xs[segment + 1] - xs[segment];
+    const t = (x - xs[segment]) / h;
+    const t2 = t * t;
+    const t3 = t2 * t;
+    table[x] = clamp(
+      (2 * t3 - 3 * t2 + 1) * ys[segment] +
+        (t3 - 2 * t2 + t) * h * tangents[segment] +
+        (-2 * t3 + 3 * t2) * ys[segment + 1] +
+        (t3 - t2) * h * tangents[segment + 1]
+    );
+  }
+
+  return table;
+}
+
+/**
+ * Blur one pass of a plane along rows or columns (separable Gaussian)
+ *
+ * @param {Float32Array} source - Input plane
+ * @param {Float32Array} target - Output plane
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} channels - Interleaved channels per pixel
+ * @param {Float32Array} kernel - Normalized kernel (odd length)
+ * @param {boolean} vertical - Blur along columns instead of rows
+ */
+function blurPass(source, target, width, height, channels, kernel, vertical) {
+  const radius = (kernel.length - 1) / 2;
+  const limit = vertical ? height - 1 : width - 1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const along = vertical ? y : x;
+      for (let c = 0; c < channels; c++) {
+        let sum = 0;
+        for (let k = -radius; k <= radius; k++) {
+          // Clamp at the border so edges are not darkened
+          const pos = Math.max(0, Math.min(limit, along + k));
+          const index = vertical ? pos * width + x : y * width + pos;
+          sum += source[index * channels + c] * kernel[k + radius];
+        }
+        target[(y * width + x) * channels + c] = sum;
+      }
+    }
+  }
+}
+
+// =============================================================================
+// ADJUSTMENTS
+// =============================================================================
+
+/**
+ * Stretch the histogram so the clipped darkest and lightest pixels reach
+ * black and white (in place)
+ *
+ * Black and white points come from the luminance histogram and the same
+ * linear stretch is applied to every channel, so colors keep their hue.
+ *
+ * @param {Float32Array} plane - Pixel values (0-255)
+ * @param {number} channels - Interleaved channels per pixel (1 or 3)
+ * @param {number} clip - Percent of pixels clipped at each end
+ */
+export function applyAutoLevels(plane, channels, clip) {
+  const pixels = plane.length / channels;
+  const histogram = new Uint32Array(256);
+
+  for (let p = 0; p < plane.length; p += channels) {
+    const luma = channels === 1
+      ? plane[p]
+      : plane[p] * LUMA.r + plane[p + 1] * LUMA.g + plane[p + 2] * LUMA.b;
+    histogram[Math.round(clamp(luma))]++;
+  }
+
+  const cutoff = (pixels * clip) / 100;
+  let low = 0;
+  let seen = histogram[0];
+  while (low < 255 && seen <= cutoff) seen += histogram[++low];
+
+  let high = 255;
+  seen = histogram[255];
+  while (high > 0 && seen <= cutoff) seen += histogram[--high];
+
+  // Flat images have no range to stretch
+  if (high <= low) return;
+
+  const scale = 255 / (high - low);
+  for (let i = 0; i < plane.length; i++) {
+    plane[i] = clamp((plane[i] - low) * scale);
+  }
+}
+
+/**
+ * Map every value through a tone curve (in place)
+ *
+ * @param {Float32Array} plane - Pixel values (0-255)
+ * @param {number[][]} points - [input, output] control points
+ */
+export function applyToneCurve(plane, points) {
+  applyLookupTable(plane, buildCurveTable(points));
+}
+
+/**
+ * Map every value through a 256-entry lookup table (in place)
+ *
+ * @param {Float32Array} plane - Pixel values (0-255)
+ * @param {ArrayLike<number>} table - Output value for every integer input
+ */
+export function applyLookupTable(plane, table) {
+  for (let i = 0; i < plane.length; i++) {
+    // Interpolate between table entries to keep fractional input
+    const value = clamp(plane[i]);
+    const lower = Math.floor(value);
+    const upper = Math.min(255, lower + 1);
+    plane[i] = table[lower] + (table[upper] - table[lower]) * (value - lower);
+  }
+}
+
+/**
+ * Sharpen with an unsharp mask (in place)
+ *
+ * Adds `amount` percent of the difference between the image and its
+ * Gaussian blur, which steepens the soft anti-aliased edges browsers render
+ * so they survive quantization.
+ *
+ * @param {Float32Array} plane - Pixel values (0-255)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} channels - Interleaved channels per pixel
+ * @param {number} radius - Gaussian sigma in pixels
+ * @param {number} amount - Percent of detail added back
+ */
+export function applyUnsharpMask(plane, width, height, channels, radius, amount) {
+  const size = Math.ceil(radius * 3);
+  const kernel = new Float32Array(size * 2 + 1);
+  let total = 0;
+  for (let k = -size; k <= size; k++) {
+    kernel[k + size] = Math.exp(-(k * k) / (2 * radius * radius));
+    total += kernel[k + size];
+  }
+  for (let k = 0; k < kernel.length; k++) kernel[k] /= total;
+
+  const horizontal = new Float32Array(plane.length);
+  const blurred = new Float32Array(plane.length);
+  blurPass(plane, horizontal, width, height, channels, kernel, false);
+  blurPass(horizontal, blurred, width, height, channels, kernel, true);
+
+  const factor = amount / 100;
+  for (let i = 0; i < plane.length; i++) {
+    plane[i] = clamp(plane[i] + (plane[i] - blurred[i]) * factor);
+  }
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Validate tone options
+ *
+ * @param {Object} options - Dithering options
+ * @param {boolean} [options.autoLevels] - Stretch the histogram before dithering
+ * @param {number} [options.autoLevelsClip] - Percent clipped at each end (0-10)
+ * @param {number[][]} [options.toneCurve] - [input, output] control points (0-255)
+ * @param {number} [options.sharpenAmount] - Unsharp mask amount in percent (0-500)
+ * @param {number} [options.sharpenRadius] - Unsharp mask radius in pixels (0.5-10)
+ * @returns {boolean} True if valid
+ * @throws {Error} Describing the first invalid option
+ */
+export function validateToneOptions(options = {}) {
+  const {
+    autoLevels = TONE_DEFAULTS.autoLevels,
+    autoLevelsClip = TONE_DEFAULTS.autoLevelsClip,
+    toneCurve,
+    sharpenAmount = TONE_DEFAULTS.sharpenAmount,
+    sharpenRadius = TONE_DEFAULTS.sharpenRadius,
+  } = options;
+
+  if (typeof autoLevels !== "boolean") {
+    throw new Error("autoLevels must be a boolean");
+  }
+  checkRange("autoLevelsClip", autoLevelsClip);
+  checkRange("sharpenAmount", sharpenAmount);
+  checkRange("sharpenRadius", sharpenRadius);
+
+  if (toneCurve !== undefined) {
+    if (!Array.isArray(toneCurve) || toneCurve.length < 2) {
+      throw new Error("Tone curve must have at least 2 points");
+    }
+    toneCurve.forEach((point, i) => {
+      const valid = Array.isArray(point) && point.length === 2 &&
+        point.every((v) => typeof v === "number" && v >= 0 && v <= 255);
+      if (!valid) {
+        throw new Error("Tone curve points must be [input, output] pairs between 0 and 255");
+      }
+      if (i > 0 && point[0] <= toneCurve[i - 1][0]) {
+        throw new Error("Tone curve inputs must be strictly increasing");
+      }
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Check whether any tone adjustment is enabled
+ * @param {Object} options - Dithering options
+ * @returns {boolean} True if the tone stage changes pixels
+ */
+export function hasToneAdjustments(options = {}) {
+  return options.autoLevels === true || options.toneCurve !== undefined || options.sharpenAmount > 0;
+}
+
+/**
+ * Parse tone curve text such as "0:0,128:96,255:255"
+ *
+ * @param {string} text - Comma separated input:output pairs
+ * @returns {number[][]|undefined} Control points, or undefined if malformed
+ */
+export function parseToneCurve(text) {
+  if (!text) return undefined;
+
+  const points = text.split(",").map((pair) => pair.split(":").map(Number));
+  try {
+    validateToneOptions({ toneCurve: points });
+    return points;
+  } catch {
+    return undefined;
+  }
+}
@@ -0,0 +1,194 @@
+/**
+ * Low bit depth PNG encoder for e-ink displays
+ * Writes palette (color type 3) images whose indices are chosen by the caller,
+ * so the stored index matches what the panel controller expects, and true
+ * 1/2/4/8-bit grayscale (color type 0) images for firmware that wants them.
+ * Output carries no timestamps or metadata, so equal pixels give equal bytes.
+ * @module png
+ */
+
+import { deflateSync } from "zlib";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Supported index bit depths
+ * @type {number[]}
+ */
+const SUPPORTED_BIT_DEPTHS = [1, 2, 4, 8];
+
+/**
+ * IHDR color types
+ * @type {{GRAYSCALE: number, INDEXED: number}}
+ */
+const COLOR_TYPES = { GRAYSCALE: 0, INDEXED: 3 };
+
+/**
+ * PNG file signature
+ * @type {Buffer}
+ */
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * CRC-32 lookup table for chunk checksums
+ * @type {Uint32Array}
+ */
+const CRC_TABLE = Uint32Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Compute the CRC-32 of a buffer
+ * @param {Buffer} buffer - Chunk type and data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk (length, type, data, CRC)
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Encoded chunk
+ */
+function createChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body), 0);
+
+  return Buffer.concat([length, body, crc]);
+}
+
+// =============================================================================
+// PNG ENCODER CLASS
+// =============================================================================
+
+/**
+ * Encodes palette indices into an indexed PNG, or gray levels into a
+ * grayscale PNG when no palette is given
+ * @class
+ */
+export class PNGEncoder {
+  /**
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {number} bitDepth - Bits per sample (1, 2, 4 or 8)
+   * @param {number[][]} [palette] - [r, g, b] for each index; omit for grayscale
+   * @throws {Error} If the bit depth is unsupported or the palette does not fit
+   */
+  constructor(width, height, bitDepth, palette) {
+    if (!SUPPORTED_BIT_DEPTHS.includes(bitDepth)) {
+      throw new Error(`Unsupported bit depth. Supported: ${SUPPORTED_BIT_DEPTHS.join(", ")}`);
+    }
+    if (palette !== undefined && (!palette.length || palette.length > 2 ** bitDepth)) {
+      throw new Error(`Palette must have between 1 and ${2 ** bitDepth} colors`);
+    }
+
+    this.width = width;
+    this.height = height;
+    this.bitDepth = bitDepth;
+    this.palette = palette;
+    this.colorType = palette ? COLOR_TYPES.INDEXED : COLOR_TYPES.GRAYSCALE;
+    this.rowBytes = Math.ceil((width * bitDepth) / 8);
+  }
+
+  /**
+   * Encodes samples to PNG
+   * @param {Uint8Array|Buffer} samples - One palette index (indexed) or gray
+   *   level 0 to 2^bitDepth - 1 (grayscale) per pixel, row-major
+   * @returns {Buffer} Complete PNG file buffer
+   */
+  encode(samples) {
+    const chunks = [PNG_SIGNATURE, createChunk("IHDR", this.createHeader())];
+    if (this.palette) {
+      chunks.push(createChunk("PLTE", Buffer.from(this.palette.flat())));
+    }
+    chunks.push(
+      createChunk("IDAT", deflateSync(this.createScanlines(samples), { level: 9 })),
+      createChunk("IEND", Buffer.alloc(0))
+    );
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Encodes 8-bit gray pixels (0-255) as a grayscale PNG at this bit depth
+   * Each value is rounded to the nearest of the 2^bitDepth evenly spaced
+   * levels, so already quantized dithering output maps exactly
+   * @param {Uint8Array|Buffer} gray - One gray value per pixel, row-major
+   * @returns {Buffer} Complete PNG file buffer
+   * @throws {Error} If the encoder was created with a palette
+   */
+  encodeGray(gray) {
+    if (this.palette) {
+      throw new Error("encodeGray needs a grayscale encoder (no palette)");
+    }
+
+    const maxLevel = 2 ** this.bitDepth - 1;
+    const levels = new Uint8Array(gray.length);
+    for (let i = 0; i < gray.length; i++) {
+      levels[i] = Math.round((gray[i] * maxLevel) / 255);
+    }
+    return this.encode(levels);
+  }
+
+  /**
+   * Creates the IHDR chunk data
+   * @returns {Buffer} 13-byte header
+   * @private
+   */
+  createHeader() {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(this.width, 0);
+    header.writeUInt32BE(this.height, 4);
+    header.writeUInt8(this.bitDepth, 8);
+    header.writeUInt8(this.colorType, 9); // Color type: grayscale or indexed
+    header.writeUInt8(0, 10); // Compression: deflate
+    header.writeUInt8(0, 11); // Filter method: adaptive
+    header.writeUInt8(0, 12); // Interlace: none
+    return header;
+  }
+
+  /**
+   * Packs samples MSB-first into filtered scanlines (filter type 0)
+   * @param {Uint8Array|Buffer} indices - One sample per pixel
+   * @returns {Buffer} Raw scanline data ready for deflate
+   * @private
+   */
+  createScanlines(indices) {
+    const stride = this.rowBytes + 1;
+    const scanlines = Buffer.alloc(this.height * stride);
+    const pixelsPerByte = 8 / this.bitDepth;
+
+    for (let y = 0; y < this.height; y++) {
+      // First byte of each scanline is the filter type (0 = none, zero-filled)
+      const rowOffset = y * stride + 1;
+
+      for (let x = 0; x < this.width; x++) {
+        const index = indices[y * this.width + x];
+        const byteIndex = rowOffset + Math.floor(x / pixelsPerByte);
+        const shift = 8 - this.bitDepth * ((x % pixelsPerByte) + 1);
+        scanlines[byteIndex] |= index << shift;
+      }
+    }
+
+    return scanlines;
+  }
+}
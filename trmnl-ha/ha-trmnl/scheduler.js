@@ -9,14 +9,73 @@ import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { loadSchedules } from "./lib/scheduleStore.js";
+import { compareOutputs, isUnchanged } from "./lib/changeDetection.js";
+import { CONTENT_TYPES, FRAMEBUFFER_FORMATS } from "./const.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+/**
+ * Directory scheduled renders are saved to
+ * @type {string}
+ */
+export const OUTPUT_DIR = path.join(__dirname, "output");
+
+/**
+ * File in the output directory naming each schedule's last pushed render
+ * (a dotfile, so it is never listed or served as a render)
+ * @type {string}
+ */
+const PUSHED_FILE = ".pushed.json";
+
+/**
+ * Last pushed render per schedule ID, as recorded in PUSHED_FILE
+ * @param {string} dir - Output directory
+ * @returns {Object.<string, string>} File names keyed by schedule ID
+ */
+function readPushedRenders(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, PUSHED_FILE), "utf-8"));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * File name prefix of a schedule's saved renders
+ * @param {Object} schedule - Schedule
+ * @returns {string} Sanitized name followed by an underscore
+ */
+function outputPrefix(schedule) {
+  return `${schedule.name.replace(/[^a-zA-Z0-9]/g, "_")}_`;
+}
+
+/**
+ * Saved renders of a schedule, newest first
+ * @param {Object} schedule - Schedule
+ * @param {string} [dir=OUTPUT_DIR] - Output directory
+ * @returns {string[]} File names inside dir
+ */
+export function listSavedOutputs(schedule, dir = OUTPUT_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  // The timestamp keeps "Kitchen" from matching "Kitchen_2" files
+  const prefix = outputPrefix(schedule);
+  return fs.readdirSync(dir)
+    .filter((file) => file.startsWith(prefix) && /^\d{4}-\d{2}-\d{2}T[\d-]+Z\.[\w-]+$/.test(file.slice(prefix.length)))
+    .sort()
+    .reverse();
+}
+
 class Scheduler {
   constructor(screenshotFn) {
     this.screenshotFn = screenshotFn;
     this.jobs = new Map();
-    this.outputDir = path.join(__dirname, "output");
+    // Last pushed image per schedule (compared by change detection); after a
+    // restart it is read back from the render named in PUSHED_FILE
+    this.lastOutputs = new Map();
+    // Outcome of the last run per schedule
+    this.lastRuns = new Map();
+    this.outputDir = OUTPUT_DIR;
 
     // Ensure output directory exists
     if (!fs.existsSync(this.outputDir)) {
@@ -108,45 +167,136 @@ class Scheduler {
         viewport: schedule.viewport || { width: 758, height: 1024 },
         extraWait: schedule.wait || 0,
         einkColors: schedule.eink,
+        einkThreshold: schedule.eink_threshold,
         invert: schedule.invert || false,
         zoom: schedule.zoom || 1,
         format: schedule.format || "png",
         rotate: schedule.rotate,
+        selector: schedule.selector,
+        selectorPadding: schedule.selector_padding,
+        selectorScale: schedule.selector_scale || false,
+        layout: schedule.layout,
+        crop: schedule.crop,
+        fineRotate: schedule.fine_rotate,
+        offsetX: schedule.offset_x,
+        offsetY: schedule.offset_y,
+        mirror: schedule.mirror,
         lang: schedule.lang,
         theme: schedule.theme,
         dark: schedule.dark || false,
         dithering: schedule.dithering?.enabled ? schedule.dithering : undefined,
+        overlay: schedule.overlay?.enabled ? schedule.overlay : undefined,
+        pipeline: schedule.pipeline,
+        rowAlign: schedule.row_align,
+        invertBits: schedule.invert_bits || false,
+        maxBytes: schedule.max_bytes,
+        supersample: schedule.supersample,
       };
 
       // Take screenshot
       const imageBuffer = await this.screenshotFn(params);
 
+      // Skip the save and upload when the picture matches the last push
+      const previous = schedule.change_detection?.enabled ? this.getLastOutput(schedule) : undefined;
+      if (previous?.format === params.format) {
+        const comparison = await compareOutputs(previous.image, imageBuffer, params.format, {
+          ...schedule.change_detection,
+          framebufferBits: FRAMEBUFFER_FORMATS[params.format]
+        });
+        if (isUnchanged(comparison, schedule.change_detection)) {
+          this.lastRuns.set(schedule.id, {
+            status: "skipped",
+            at: new Date().toISOString(),
+            changedPixels: comparison.changedPixels,
+            percentDifference: comparison.percentDifference,
+          });
+          console.log(
+            `[Scheduler] Skipped: ${schedule.name} unchanged ` +
+            `(${comparison.changedPixels} pixels, ${comparison.percentDifference}%) in ${Date.now() - startTime}ms`
+          );
+          return;
+        }
+      }
+
       // Save to output directory
       const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-      const filename = `${schedule.name.replace(/[^a-zA-Z0-9]/g, "_")}_${timestamp}.${params.format}`;
+      const filename = `${outputPrefix(schedule)}${timestamp}.${params.format}`;
       const outputPath = path.join(this.outputDir, filename);
 
       fs.writeFileSync(outputPath, imageBuffer);
       console.log(`[Scheduler] Saved: ${outputPath}`);
 
       // Upload via webhook if configured
+      let uploaded = true;
       if (schedule.webhook_url) {
-        await this.uploadToWebhook(schedule, imageBuffer, params.format);
+        uploaded = await this.uploadToWebhook(schedule, imageBuffer, params.format);
+      }
+
+      // A failed upload never reached the device, so it is not compared against
+      if (uploaded) {
+        this.recordPush(schedule, filename, imageBuffer, params.format);
       }
+      this.lastRuns.set(schedule.id, {
+        status: uploaded ? "pushed" : "failed",
+        at: new Date().toISOString(),
+        file: filename,
+        ...(uploaded ? {} : { error: "Webhook upload failed" }),
+      });
 
       const duration = Date.now() - startTime;
       console.log(`[Scheduler] Completed: ${schedule.name} in ${duration}ms`);
     } catch (err) {
+      this.lastRuns.set(schedule.id, { status: "failed", at: new Date().toISOString(), error: err.message });
       console.error(`[Scheduler] Error running ${schedule.name}:`, err.message);
     }
   }
 
+  /**
+   * Outcome of a schedule's last run
+   * @param {string} id - Schedule ID
+   * @returns {Object|undefined} `{status: "pushed" | "skipped" | "failed", at, ...}`
+   */
+  getLastRun(id) {
+    return this.lastRuns.get(id);
+  }
+
+  /**
+   * Last image a schedule pushed, read back from disk after a restart
+   * @param {Object} schedule - Schedule
+   * @returns {{image: Buffer, format: string}|undefined} Image and its format
+   */
+  getLastOutput(schedule) {
+    if (!this.lastOutputs.has(schedule.id)) {
+      const file = readPushedRenders(this.outputDir)[schedule.id];
+      const filePath = file && path.join(this.outputDir, path.basename(file));
+      if (filePath && fs.existsSync(filePath)) {
+        this.lastOutputs.set(schedule.id, { image: fs.readFileSync(filePath), format: path.extname(file).slice(1) });
+      }
+    }
+    return this.lastOutputs.get(schedule.id);
+  }
+
+  /**
+   * Remember a pushed render for change detection, in memory and on disk
+   * @param {Object} schedule - Schedule
+   * @param {string} filename - Saved render in the output directory
+   * @param {Buffer} imageBuffer - Pushed image
+   * @param {string} format - Output format
+   */
+  recordPush(schedule, filename, imageBuffer, format) {
+    this.lastOutputs.set(schedule.id, { image: imageBuffer, format });
+
+    const pushed = { ...readPushedRenders(this.outputDir), [schedule.id]: filename };
+    try {
+      fs.writeFileSync(path.join(this.outputDir, PUSHED_FILE), JSON.stringify(pushed, null, 2));
+    } catch (err) {
+      console.error("[Scheduler] Cannot record pushed render:", err.message);
+    }
+  }
+
   async uploadToWebhook(schedule, imageBuffer, format) {
     try {
-      const contentType = format === "jpeg" ? "image/jpeg"
-        : format === "webp" ? "image/webp"
-        : format === "bmp" ? "image/bmp"
-        : "image/png";
+      const contentType = CONTENT_TYPES[format] || CONTENT_TYPES.png;
 
       const response = await fetch(schedule.webhook_url, {
         method: "POST",
@@ -162,8 +312,10 @@ class Scheduler {
       }
 
       console.log(`[Scheduler] Uploaded to webhook: ${schedule.webhook_url}`);
+      return true;
     } catch (err) {
       console.error(`[Scheduler] Webhook upload failed:`, err.message);
+      return false;
     }
   }
 }
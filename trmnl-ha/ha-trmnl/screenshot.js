@@ -6,16 +6,24 @@
 import puppeteer from "puppeteer";
 import sharp from "sharp";
 import { BMPEncoder } from "./bmp.js";
+import { PNGEncoder } from "./png.js";
+import { FramebufferEncoder, tricolorInkIndices } from "./framebuffer.js";
+import { buildDegradationSteps, formatBudgetHeader } from "./lib/budget.js";
+import { buildElementQuery, computeElementClip, fitToViewport } from "./lib/selector.js";
+import { buildPipeline, runPipeline } from "./lib/pipeline.js";
+import { downscaleCapture } from "./lib/supersample.js";
 import {
   debug,
   isAddOn,
   chromiumExecutable,
   HEADER_HEIGHT,
   DEFAULT_WAIT_TIME,
-  COLD_START_EXTRA_WAIT
+  COLD_START_EXTRA_WAIT,
+  SELECTOR_TIMEOUT,
+  FRAMEBUFFER_FORMATS
 } from "./const.js";
-import { CannotOpenPageError } from "./error.js";
-import { applyDithering } from "./lib/dithering.js";
+import { CannotOpenPageError, ElementNotFoundError } from "./error.js";
+import { applyDithering, ditherToPalette } from "./lib/dithering.js";
 
 // =============================================================================
 // BROWSER CONFIGURATION
@@ -326,6 +334,55 @@ export class Browser {
     );
   }
 
+  /**
+   * Finds an element through HA's shadow roots and returns its bounding box
+   * @param {import('puppeteer').Page} page - Puppeteer page instance
+   * @param {string} selector - CSS selector or `title:<text>` (see lib/selector.js)
+   * @returns {Promise<{x: number, y: number, width: number, height: number}>} Bounding box
+   * @throws {ElementNotFoundError} If nothing matches or the element is not rendered
+   * @private
+   */
+  async locateElement(page, selector) {
+    const { query, card } = buildElementQuery(selector);
+
+    let handle;
+    try {
+      handle = await page.waitForSelector(query, { timeout: SELECTOR_TIMEOUT });
+    } catch {
+      throw new ElementNotFoundError(selector);
+    }
+
+    // Text matches sit deep inside a card; climb out of shadow roots to the ha-card
+    if (card) {
+      const cardHandle = await handle.evaluateHandle((node) => {
+        let el = node;
+        while (el && el.localName !== "ha-card") {
+          el = el.parentElement || el.getRootNode().host;
+        }
+        return el;
+      });
+      handle = cardHandle.asElement();
+    }
+
+    const box = await handle?.boundingBox();
+    if (!box || box.width === 0 || box.height === 0) {
+      throw new ElementNotFoundError(selector);
+    }
+    return box;
+  }
+
+  /**
+   * Reports whether the Home Assistant frontend is connected to its backend
+   * @returns {Promise<boolean>} True if the websocket connection is up
+   */
+  async isConnected() {
+    const page = await this.getPage();
+    const handle = await page.$("home-assistant");
+    if (!handle) return false;
+
+    return (await handle.evaluate((el) => el.hass?.connected)) === true;
+  }
+
   // ===========================================================================
   // IMAGE PROCESSING HELPERS
   // ===========================================================================
@@ -335,48 +392,80 @@ export class Browser {
    * @param {import('sharp').Sharp} sharpInstance - Sharp image instance
    * @param {string} format - Output format (png, jpeg, webp, bmp)
    * @param {Object} options - Additional options
-   * @param {number} [options.bitsPerPixel] - Bits per pixel for BMP
+   * @param {number} [options.bitsPerPixel] - Bits per pixel for BMP; for PNG,
+   *   1/2/4/8 writes a native grayscale PNG at exactly that bit depth
    * @param {number} [options.width] - Image width for BMP
    * @param {number} [options.height] - Image height for BMP
-   * @param {number} [options.einkColors] - E-ink color count for PNG
+   * @param {number} [options.quality] - JPEG/WebP quality (sharp default: 80)
+   * @param {number} [options.compressionLevel] - zlib level for sharp-encoded PNG
    * @returns {Promise<Buffer>} Encoded image buffer
    * @private
    */
   async convertToFormat(sharpInstance, format, options = {}) {
+    const { quality, compressionLevel } = options;
+
     if (format === "jpeg") {
-      return sharpInstance.jpeg().toBuffer();
+      return sharpInstance.jpeg({ quality }).toBuffer();
     }
 
     if (format === "webp") {
-      return sharpInstance.webp().toBuffer();
+      return sharpInstance.webp({ quality }).toBuffer();
     }
 
     if (format === "bmp") {
-      const { data, info } = await sharpInstance.raw().toBuffer({ resolveWithObject: true });
       const bitsPerPixel = options.bitsPerPixel || 24;
+
+      // Indexed BMPs are encoded from single-channel gray, 24-bit from RGB
+      sharpInstance = sharpInstance.removeAlpha();
+      if (bitsPerPixel <= 8) {
+        sharpInstance = sharpInstance.greyscale();
+      }
+
+      const { data, info } = await sharpInstance.raw().toBuffer({ resolveWithObject: true });
       const bmpEncoder = new BMPEncoder(info.width, info.height, bitsPerPixel);
       return bmpEncoder.encode(data);
     }
 
-    // PNG with optional color reduction
-    if (options.einkColors) {
-      return sharpInstance.png({ colours: options.einkColors }).toBuffer();
+    // Grayscale PNG at the dithered bit depth (byte-identical for equal pixels)
+    if (options.bitsPerPixel <= 8) {
+      const { data, info } = await sharpInstance
+        .removeAlpha()
+        .greyscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      return new PNGEncoder(info.width, info.height, options.bitsPerPixel).encodeGray(data);
     }
 
-    return sharpInstance.png().toBuffer();
+    return sharpInstance.png({ compressionLevel }).toBuffer();
   }
 
   /**
-   * Maps e-ink color count to bits per pixel for BMP encoding
-   * @param {number} einkColors - Number of colors
-   * @returns {number} Bits per pixel
+   * Encodes palette-quantized pixels in the requested format
+   * PNG and BMP keep the panel's native palette indices; JPEG and WebP
+   * are expanded to RGB
+   * @param {Object} result - Output of ditherToPalette
+   * @param {Uint8Array} result.indices - Panel palette index per pixel
+   * @param {number} result.width - Image width
+   * @param {number} result.height - Image height
+   * @param {number} result.bitsPerPixel - Bits needed per index
+   * @param {number[][]} result.colors - [r, g, b] for each index
+   * @param {string} format - Output format (png, jpeg, webp, bmp)
+   * @param {Object} [encoding] - JPEG/WebP quality (see convertToFormat)
+   * @returns {Promise<Buffer>} Encoded image buffer
    * @private
    */
-  einkColorsToBpp(einkColors) {
-    if (einkColors === 2) return 1;
-    if (einkColors === 4) return 2;
-    if (einkColors === 16) return 4;
-    return 8;
+  async encodePaletteImage({ indices, width, height, bitsPerPixel, colors }, format, encoding = {}) {
+    if (format === "bmp") {
+      return new BMPEncoder(width, height, bitsPerPixel, colors).encode(indices);
+    }
+
+    if (format === "jpeg" || format === "webp") {
+      const rgb = Buffer.alloc(indices.length * 3);
+      indices.forEach((index, i) => rgb.set(colors[index], i * 3));
+      return this.convertToFormat(sharp(rgb, { raw: { width, height, channels: 3 } }), format, encoding);
+    }
+
+    return new PNGEncoder(width, height, bitsPerPixel, colors).encode(indices);
   }
 
   // ===========================================================================
@@ -393,11 +482,12 @@ export class Browser {
    * @param {string} [params.lang] - Language code
    * @param {string} [params.theme] - Theme name
    * @param {boolean} [params.dark=false] - Enable dark mode
+   * @param {number} [params.supersample=1] - Device scale factor (1, 2 or 3)
    * @returns {Promise<{time: number}>} Navigation timing result
    * @throws {Error} If browser is busy
    * @throws {CannotOpenPageError} If page fails to load
    */
-  async navigatePage({ pagePath, viewport, extraWait, zoom = 1, lang, theme, dark }) {
+  async navigatePage({ pagePath, viewport, extraWait, zoom = 1, lang, theme, dark, supersample = 1 }) {
     if (this.busy) throw new Error("Browser is busy");
 
     const start = Date.now();
@@ -410,10 +500,15 @@ export class Browser {
       // Add header height to viewport (will be clipped in screenshot)
       viewport.height += headerHeight;
 
-      // Update viewport if changed
+      // Update viewport if changed (supersampling renders at a higher device scale factor)
       const curViewport = page.viewport();
-      if (!curViewport || curViewport.width !== viewport.width || curViewport.height !== viewport.height) {
-        await page.setViewport(viewport);
+      if (
+        !curViewport ||
+        curViewport.width !== viewport.width ||
+        curViewport.height !== viewport.height ||
+        (curViewport.deviceScaleFactor || 1) !== supersample
+      ) {
+        await page.setViewport({ ...viewport, deviceScaleFactor: supersample });
       }
 
       let waitTime = DEFAULT_WAIT_TIME;
@@ -511,16 +606,62 @@ export class Browser {
    * Captures a screenshot of the current page with optional processing
    * @param {Object} params - Screenshot parameters
    * @param {Object} params.viewport - Viewport dimensions {width, height}
-   * @param {number} [params.einkColors] - E-ink color reduction (2, 4, 7, 16)
+   * @param {number} [params.einkColors] - E-ink color reduction (2, 4, 7, 16, 256)
+   * @param {number} [params.einkThreshold=220] - Gray level (0-255) from which
+   *   2-color e-ink output is white
    * @param {boolean} [params.invert=false] - Invert colors
    * @param {number} [params.zoom=1] - Zoom level
    * @param {string} [params.format='png'] - Output format
    * @param {number} [params.rotate] - Rotation angle (90, 180, 270)
+   * @param {string} [params.selector] - Capture only this element (CSS selector
+   *   searched through shadow roots, or `title:<card text>`)
+   * @param {number} [params.selectorPadding=0] - Pixels of page around the element
+   * @param {boolean} [params.selectorScale=false] - Scale the element to fill the viewport
+   * @param {Object} [params.crop] - Rectangle {left, top, width, height} to keep
+   * @param {number} [params.fineRotate] - Extra clockwise rotation in degrees (-45 to 45)
+   * @param {number} [params.offsetX] - Move content right (negative: left) in pixels
+   * @param {number} [params.offsetY] - Move content down (negative: up) in pixels
+   * @param {string} [params.mirror] - Mirror "horizontal", "vertical" or "both"
    * @param {Object} [params.dithering] - Dithering configuration
-   * @returns {Promise<{image: Buffer, time: number}>} Screenshot result
+   * @param {number} [params.rowAlign=1] - Framebuffer row alignment in bytes (raw formats)
+   * @param {boolean} [params.invertBits=false] - Invert framebuffer pixels (raw formats)
+   * @param {number} [params.maxBytes] - Byte budget; larger output is re-encoded
+   *   with cheaper settings (see processWithinBudget)
+   * @param {Object} [params.overlay] - Status strip drawn before dithering
+   *   (see lib/overlay.js)
+   * @param {Object[]} [params.pipeline] - Explicit processing steps (see processImage)
+   * @param {number} [params.supersample=1] - Device scale factor the page was
+   *   rendered at (see navigatePage); the capture is downscaled before processing
+   * @returns {Promise<{image: Buffer, time: number, timing: Object, budget?: string}>}
+   *   Screenshot result; `timing` has the capture, downscale and process
+   *   durations in ms, `budget` describes the chosen settings when maxBytes is set
    * @throws {Error} If browser is busy
+   * @throws {ElementNotFoundError} If `selector` matches nothing
    */
-  async screenshotPage({ viewport, einkColors, invert, zoom = 1, format = "png", rotate, dithering }) {
+  async screenshotPage({
+    viewport,
+    einkColors,
+    einkThreshold,
+    invert,
+    zoom = 1,
+    format = "png",
+    rotate,
+    selector,
+    selectorPadding = 0,
+    selectorScale = false,
+    crop,
+    fineRotate,
+    offsetX,
+    offsetY,
+    mirror,
+    dithering,
+    rowAlign,
+    invertBits,
+    maxBytes,
+    overlay,
+    pipeline,
+    supersample = 1
+  }) {
     if (this.busy) throw new Error("Browser is busy");
 
     const start = Date.now();
@@ -531,46 +672,84 @@ export class Browser {
       const page = await this.getPage();
 
       // Determine if we need PNG for processing
-      const needsProcessing = einkColors || dithering?.enabled || format === "bmp";
+      const needsProcessing = einkColors || dithering?.enabled || format === "bmp" ||
+        FRAMEBUFFER_FORMATS[format] || maxBytes || (selector && selectorScale) || overlay?.enabled || pipeline ||
+        supersample > 1;
       const screenshotType = needsProcessing ? "png" : format;
 
-      // Capture screenshot (clipping header)
-      let image = await page.screenshot({
-        type: screenshotType,
-        clip: {
-          x: 0,
-          y: headerHeight,
-          width: viewport.width,
-          height: viewport.height - headerHeight
-        }
-      });
+      // Clip the header, or everything but the selected element
+      let clip = {
+        x: 0,
+        y: headerHeight,
+        width: viewport.width,
+        height: viewport.height - headerHeight
+      };
+      if (selector) {
+        const box = await this.locateElement(page, selector);
+        clip = computeElementClip(box, {
+          padding: selectorPadding,
+          viewportWidth: viewport.width,
+          top: headerHeight
+        });
+      }
 
-      let sharpInstance = sharp(image);
+      let image = await page.screenshot({ type: screenshotType, clip });
+      const timing = { capture: Date.now() - start };
 
-      // Apply rotation
-      if (rotate) {
-        sharpInstance = sharpInstance.rotate(rotate);
+      // Scale straight from the supersampled capture when fitting to the viewport
+      const downscaleStart = Date.now();
+      if (selector && selectorScale) {
+        image = await fitToViewport(image, viewport.width, viewport.height - headerHeight);
+      } else if (supersample > 1) {
+        image = await downscaleCapture(image, clip.width, clip.height);
       }
-
-      // Process with advanced dithering
-      if (dithering?.enabled) {
-        image = await this.applyAdvancedDithering(sharpInstance, format, dithering);
-        return { image, time: Date.now() - start };
+      if (supersample > 1) timing.downscale = Date.now() - downscaleStart;
+
+      // Status for the overlay strip, drawn by the pipeline before dithering
+      let status;
+      if (overlay?.enabled || pipeline?.some(({ step }) => step === "overlay")) {
+        status = {
+          renderedAt: new Date(),
+          connected: await this.isConnected(),
+          dashboard: this.lastRequestedPath
+        };
       }
 
-      // Process with legacy e-ink mode
-      if (einkColors) {
-        image = await this.applyLegacyEink(sharpInstance, format, einkColors, invert);
-        return { image, time: Date.now() - start };
+      const processParams = {
+        format,
+        pipeline,
+        overlay,
+        status,
+        rotate,
+        crop,
+        fineRotate,
+        offsetX,
+        offsetY,
+        mirror,
+        einkColors,
+        einkThreshold,
+        invert,
+        dithering,
+        rowAlign,
+        invertBits
+      };
+      const processStart = Date.now();
+      if (maxBytes) {
+        const result = await this.processWithinBudget(image, processParams, maxBytes);
+        timing.process = Date.now() - processStart;
+        return { image: result.image, time: Date.now() - start, timing, budget: result.budget };
       }
 
-      // Standard format conversion
-      image = await this.convertToFormat(sharpInstance, format);
-      return { image, time: Date.now() - start };
+      image = await this.processImage(image, processParams);
+      timing.process = Date.now() - processStart;
+      return { image, time: Date.now() - start, timing };
 
     } catch (err) {
-      // Reset navigation state on error to force fresh load
-      this.lastRequestedPath = undefined;
+      // Reset navigation state on error to force fresh load (a missing
+      // element says nothing about the page itself)
+      if (!(err instanceof ElementNotFoundError)) {
+        this.lastRequestedPath = undefined;
+      }
       throw err;
 
     } finally {
@@ -579,58 +758,160 @@ export class Browser {
   }
 
   /**
-   * Applies advanced dithering processing to image
-   * @param {import('sharp').Sharp} sharpInstance - Sharp image instance
-   * @param {string} format - Output format
-   * @param {Object} dithering - Dithering configuration
+   * Runs a captured image through the processing pipeline and encodes it
+   * Also used for images that do not come from the browser (test patterns)
+   * Without `pipeline`, one is built from the flat parameters (see
+   * buildPipeline in lib/pipeline.js)
+   * @param {Buffer} image - Captured image (PNG unless no processing is needed)
+   * @param {Object} params - Processing parameters (see screenshotPage)
+   * @param {string} [params.format='png'] - Output format
+   * @param {Object[]} [params.pipeline] - Explicit processing steps; the flat
+   *   geometry, overlay, eink, invert and dithering parameters are then ignored
+   * @param {number} [params.rotate] - Rotation angle (90, 180, 270)
+   * @param {Object} [params.crop] - Crop rectangle (see lib/geometry.js)
+   * @param {number} [params.fineRotate] - Fine rotation in degrees
+   * @param {number} [params.offsetX] - Horizontal offset in pixels
+   * @param {number} [params.offsetY] - Vertical offset in pixels
+   * @param {string} [params.mirror] - Mirror mode
+   * @param {Object} [params.overlay] - Status strip (see lib/overlay.js)
+   * @param {Object} [params.status] - Overlay status {renderedAt, connected, dashboard}
+   * @param {number} [params.einkColors] - E-ink color reduction (2, 4, 7, 16, 256)
+   * @param {number} [params.einkThreshold=220] - Gray level (0-255) from which
+   *   2-color e-ink output is white
+   * @param {boolean} [params.invert=false] - Invert colors
+   * @param {Object} [params.dithering] - Dithering configuration
+   * @param {number} [params.rowAlign=1] - Framebuffer row alignment in bytes
+   * @param {boolean} [params.invertBits=false] - Invert framebuffer pixels
+   * @param {number} [params.quality] - JPEG/WebP quality
+   * @param {number} [params.compressionLevel] - zlib level for sharp-encoded PNG
    * @returns {Promise<Buffer>} Processed image buffer
-   * @private
    */
-  async applyAdvancedDithering(sharpInstance, format, dithering) {
-    // Convert to PNG for dithering
-    let image = await sharpInstance.png().toBuffer();
-
-    const startDither = Date.now();
-    image = await applyDithering(image, {
-      method: dithering.method || "floyd-steinberg",
-      bitDepth: dithering.bitDepth || 2,
-      gammaCorrection: dithering.gammaCorrection !== false,
-      blackLevel: dithering.blackLevel || 0,
-      whiteLevel: dithering.whiteLevel || 100
+  async processImage(image, params) {
+    const { format = "png", pipeline, status, quality, compressionLevel } = params;
+
+    // Budget retries override the quality and compression of the encode step
+    const encode = (state, options) => this.encodeState(state, format, {
+      ...options,
+      quality: quality ?? options.quality,
+      compressionLevel: compressionLevel ?? options.compressionLevel
+    });
+
+    return runPipeline(image, pipeline ?? buildPipeline(params), {
+      format,
+      framebufferBits: FRAMEBUFFER_FORMATS[format],
+      status,
+      encode
     });
-    console.debug(`Advanced dithering took ${Date.now() - startDither}ms`);
+  }
 
-    // Convert to final format
-    const newSharp = sharp(image);
-    const bitsPerPixel = dithering.bitDepth || 2;
+  /**
+   * Processes a captured image and keeps it within a byte budget
+   * Steps down the ladder from lib/budget.js (compression, then bit depth,
+   * then colors) until the output fits; if nothing fits, the smallest
+   * output is returned
+   * @param {Buffer} image - Captured image
+   * @param {Object} params - Processing parameters (see processImage)
+   * @param {number} maxBytes - Byte budget
+   * @returns {Promise<{image: Buffer, budget: string}>} Image and its
+   *   X-Output-Budget description
+   */
+  async processWithinBudget(image, params, maxBytes) {
+    let best = { stage: "none", params, output: await this.processImage(image, params) };
+
+    // An explicit pipeline fixes bit depth and colors; only compression can change
+    const steps = buildDegradationSteps(params)
+      .filter(({ stage }) => !params.pipeline || stage === "compression");
+    for (const step of steps) {
+      if (best.output.length <= maxBytes) break;
+
+      const output = await this.processImage(image, step.params);
+      if (output.length < best.output.length) {
+        best = { ...step, output };
+      }
+    }
+
+    const budget = formatBudgetHeader({
+      stage: best.stage,
+      params: best.params,
+      bytes: best.output.length,
+      maxBytes
+    });
+    if (best.stage !== "none") {
+      console.log(`Output over budget, re-encoded: ${budget}`);
+    }
 
-    return this.convertToFormat(newSharp, format, { bitsPerPixel });
+    return { image: best.output, budget };
   }
 
   /**
-   * Applies legacy e-ink color reduction processing
-   * @param {import('sharp').Sharp} sharpInstance - Sharp image instance
+   * Encodes the final pipeline state in the requested format
+   * @param {Object} state - Pipeline state (see lib/pipeline.js)
+   * @param {Buffer} state.image - Pixels (PNG)
+   * @param {number} [state.bitDepth] - Quantized grayscale depth
+   * @param {Object} [state.indexed] - Panel palette indices (ditherToPalette output)
    * @param {string} format - Output format
-   * @param {number} einkColors - Number of colors (2, 4, 7, 16)
-   * @param {boolean} invert - Whether to invert colors
-   * @returns {Promise<Buffer>} Processed image buffer
+   * @param {Object} options - Encode step options
+   * @param {number} [options.quality] - JPEG/WebP quality
+   * @param {number} [options.compressionLevel] - zlib level for sharp-encoded PNG
+   * @param {number} [options.rowAlign=1] - Framebuffer row alignment in bytes
+   * @param {boolean} [options.invertBits=false] - Invert framebuffer pixels
+   * @returns {Promise<Buffer>} Encoded image buffer
    * @private
    */
-  async applyLegacyEink(sharpInstance, format, einkColors, invert) {
-    // Apply threshold for 2-color e-ink
-    if (einkColors === 2) {
-      sharpInstance = sharpInstance.threshold(220, { greyscale: true });
-      if (invert) {
-        sharpInstance = sharpInstance.negate({ alpha: false });
-      }
-      sharpInstance = sharpInstance.toColourspace("b-w");
+  async encodeState(state, format, { quality, compressionLevel, rowAlign, invertBits }) {
+    const encoding = { quality, compressionLevel };
+
+    // Raw framebuffers do their own quantization and packing
+    if (FRAMEBUFFER_FORMATS[format]) {
+      return this.encodeFramebuffer(state, format, { rowAlign, invertBits });
     }
 
-    const bitsPerPixel = this.einkColorsToBpp(einkColors);
+    // Color palettes keep panel indices, so they bypass the grayscale encoders
+    if (state.indexed) {
+      return this.encodePaletteImage(state.indexed, format, encoding);
+    }
 
-    return this.convertToFormat(sharpInstance, format, {
-      bitsPerPixel,
-      einkColors
-    });
+    const sharpInstance = sharp(state.image);
+    if (state.bitDepth) {
+      return this.convertToFormat(sharpInstance, format, { bitsPerPixel: state.bitDepth, ...encoding });
+    }
+
+    return this.convertToFormat(sharpInstance, format, encoding);
+  }
+
+  /**
+   * Encodes a headerless framebuffer (raw1, raw2, raw4 or raw-bwr)
+   * Pixels that no dither step quantized are rounded to the nearest level
+   * @param {Object} state - Pipeline state (see encodeState)
+   * @param {string} format - Framebuffer format (see FRAMEBUFFER_FORMATS)
+   * @param {Object} packing - Packing options
+   * @param {number} [packing.rowAlign=1] - Row alignment in bytes
+   * @param {boolean} [packing.invertBits=false] - Invert every pixel
+   * @returns {Promise<Buffer>} Framebuffer bytes
+   * @private
+   */
+  async encodeFramebuffer(state, format, { rowAlign = 1, invertBits = false }) {
+    const bitsPerPixel = FRAMEBUFFER_FORMATS[format];
+    const packing = { rowAlign, invert: invertBits };
+
+    // Tri-color panels take a black plane, then a red (or yellow) plane
+    if (format === "raw-bwr") {
+      const { indices, width, height, colors } = state.indexed?.colors.length === 3
+        ? state.indexed
+        : await ditherToPalette(state.image, { method: "none", palette: "bwr" });
+      return new FramebufferEncoder(width, height, 1, packing).encodePlanes(indices, tricolorInkIndices(colors));
+    }
+
+    // Color palettes write panel indices directly when they fit (e.g. acep-7 as raw4)
+    if (state.indexed && state.indexed.bitsPerPixel <= bitsPerPixel) {
+      const { indices, width, height } = state.indexed;
+      return new FramebufferEncoder(width, height, bitsPerPixel, packing).encode(indices);
+    }
+
+    const gray = state.bitDepth === bitsPerPixel
+      ? state.image
+      : await applyDithering(state.image, { method: "none", bitDepth: bitsPerPixel });
+    const { data, info } = await sharp(gray).extractChannel(0).raw().toBuffer({ resolveWithObject: true });
+    return new FramebufferEncoder(info.width, info.height, bitsPerPixel, packing).encodeGray(data);
   }
 }
@@ -0,0 +1,47 @@
+/**
+ * Fixed settings standing in for const.js in unit tests
+ *
+ * const.js reads options-dev.json or /data/options.json and exits when
+ * neither exists, so modules that import it are tested with
+ * `jest.unstable_mockModule('../../const.js', () => CONST_MOCK)`.
+ *
+ * @module tests/helpers/constMock
+ */
+
+export const CONST_MOCK = {
+  debug: false,
+  isAddOn: false,
+  hassUrl: 'http://localhost:8123',
+  hassToken: 'token',
+  chromiumExecutable: undefined,
+  keepBrowserOpen: false,
+  renderCacheSeconds: 60,
+  pluginsDir: undefined,
+  SERVER_PORT: 10000,
+  BROWSER_TIMEOUT: 30_000,
+  MAX_NEXT_REQUESTS: 100,
+  MAX_REGION_RENDERS: 16,
+  MAX_RENDER_CACHE_ENTRIES: 32,
+  MAX_DEVICE_LOGS: 50,
+  MAX_DEVICES: 32,
+  HEADER_HEIGHT: 56,
+  FRAMEBUFFER_FORMATS: { raw1: 1, raw2: 2, raw4: 4, 'raw-bwr': 1 },
+  VALID_FORMATS: ['png', 'jpeg', 'webp', 'bmp', 'raw1', 'raw2', 'raw4', 'raw-bwr'],
+  VALID_ROW_ALIGNMENTS: [1, 2, 4],
+  VALID_ROTATIONS: [90, 180, 270],
+  VALID_BIT_DEPTHS: [1, 2, 4, 8],
+  VALID_EINK_COLORS: [2, 4, 7, 16, 256],
+  DEFAULT_WAIT_TIME: 500,
+  COLD_START_EXTRA_WAIT: 2500,
+  SELECTOR_TIMEOUT: 5000,
+  CONTENT_TYPES: {
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    bmp: 'image/bmp',
+    png: 'image/png',
+    raw1: 'application/x-epaper-1bpp',
+    raw2: 'application/x-epaper-2bpp',
+    raw4: 'application/x-epaper-4bpp',
+    'raw-bwr': 'application/x-epaper-bwr',
+  },
+};
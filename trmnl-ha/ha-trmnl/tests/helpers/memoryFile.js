@@ -0,0 +1,37 @@
+import { jest } from '@jest/globals';
+import fs from 'node:fs';
+
+/**
+ * In-Memory JSON Store Files
+ *
+ * The stores write their JSON files next to schedules.json in the add-on
+ * directory. Tests keep those files in memory, so the add-on's own
+ * schedules and registrations stay untouched. Call from `beforeEach` and
+ * undo with `jest.restoreAllMocks()`.
+ *
+ * @module tests/helpers/memoryFile
+ */
+
+/**
+ * Route fs reads and writes of one file name to memory
+ *
+ * @param {string} name - File name, e.g. 'devices.json'
+ * @param {string} [contents] - Initial contents (the file is missing when omitted)
+ * @returns {{read: Function}} `read()` returns the current contents
+ */
+export function keepFileInMemory(name, contents) {
+  let stored = contents;
+  const { existsSync, readFileSync, writeFileSync } = fs;
+  const isStoreFile = (file) => String(file).endsWith(name);
+
+  jest.spyOn(fs, 'existsSync').mockImplementation((file) =>
+    (isStoreFile(file) ? stored !== undefined : existsSync(file)));
+  jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...args) =>
+    (isStoreFile(file) ? stored : readFileSync(file, ...args)));
+  jest.spyOn(fs, 'writeFileSync').mockImplementation((file, data, ...args) => {
+    if (isStoreFile(file)) stored = data;
+    else writeFileSync(file, data, ...args);
+  });
+
+  return { read: () => stored };
+}
@@ -0,0 +1,127 @@
+import { describe, it, expect } from '@jest/globals';
+import { BMPEncoder } from '../../bmp.js';
+
+/**
+ * Builds a single-row grayscale buffer from gray values
+ */
+function grayRow(values) {
+  return Buffer.from(values);
+}
+
+describe('BMPEncoder', () => {
+  describe('constructor', () => {
+    it('should accept all supported bit depths', () => {
+      for (const bpp of [1, 2, 4, 8, 24]) {
+        expect(() => new BMPEncoder(10, 10, bpp)).not.toThrow();
+      }
+    });
+
+    it('should reject unsupported bit depths', () => {
+      expect(() => new BMPEncoder(10, 10, 3)).toThrow('Unsupported bits per pixel');
+      expect(() => new BMPEncoder(10, 10, 16)).toThrow('Unsupported bits per pixel');
+    });
+
+    it('should pad rows to 4-byte boundaries', () => {
+      expect(new BMPEncoder(758, 1, 1).paddedWidthBytes).toBe(96);
+      expect(new BMPEncoder(758, 1, 2).paddedWidthBytes).toBe(192);
+      expect(new BMPEncoder(758, 1, 4).paddedWidthBytes).toBe(380);
+      expect(new BMPEncoder(758, 1, 8).paddedWidthBytes).toBe(760);
+      expect(new BMPEncoder(758, 1, 24).paddedWidthBytes).toBe(2276);
+    });
+  });
+
+  describe('header', () => {
+    it.each([
+      [1, 2],
+      [2, 4],
+      [4, 16],
+      [8, 256],
+    ])('should write a %i-bit header with %i palette entries', (bpp, colors) => {
+      const bmp = new BMPEncoder(16, 4, bpp).encode(Buffer.alloc(16 * 4));
+
+      expect(bmp.toString('ascii', 0, 2)).toBe('BM');
+      expect(bmp.readUInt32LE(2)).toBe(bmp.length);
+      expect(bmp.readUInt32LE(10)).toBe(54 + colors * 4);
+      expect(bmp.readUInt16LE(28)).toBe(bpp);
+      expect(bmp.readUInt32LE(46)).toBe(colors);
+    });
+
+    it('should write an evenly spaced gray palette for 2-bit', () => {
+      const bmp = new BMPEncoder(4, 1, 2).encode(Buffer.alloc(4));
+      const palette = [0, 1, 2, 3].map((i) => bmp.readUInt8(54 + i * 4));
+
+      expect(palette).toEqual([0, 85, 170, 255]);
+    });
+
+    it('should write a custom color palette in BGR order', () => {
+      const colors = [[0, 0, 0], [255, 255, 255], [255, 0, 0]];
+      const bmp = new BMPEncoder(4, 1, 2, colors).encode(Buffer.alloc(4));
+
+      expect([...bmp.subarray(54 + 2 * 4, 54 + 3 * 4)]).toEqual([0, 0, 255, 0]);
+      // Unused entries stay black
+      expect([...bmp.subarray(54 + 3 * 4, 54 + 4 * 4)]).toEqual([0, 0, 0, 0]);
+    });
+
+    it('should reject custom palettes that do not fit the bit depth', () => {
+      expect(() => new BMPEncoder(4, 1, 1, [[0, 0, 0], [255, 255, 255], [255, 0, 0]]))
+        .toThrow('Palette must have at most 2 colors');
+      expect(() => new BMPEncoder(4, 1, 24, [[0, 0, 0]])).toThrow('Palette');
+    });
+
+    it('should not write a palette for 24-bit', () => {
+      const bmp = new BMPEncoder(4, 1, 24).encode(Buffer.alloc(12));
+
+      expect(bmp.readUInt32LE(10)).toBe(54);
+      expect(bmp.readUInt32LE(46)).toBe(0);
+    });
+  });
+
+  describe('pixel data', () => {
+    it('should pack 1-bit pixels MSB first', () => {
+      const bmp = new BMPEncoder(8, 1, 1).encode(grayRow([255, 0, 0, 0, 0, 0, 0, 255]));
+
+      expect(bmp.readUInt8(62)).toBe(0b10000001);
+    });
+
+    it('should pack 2-bit quantized gray levels to palette indices', () => {
+      const bmp = new BMPEncoder(4, 1, 2).encode(grayRow([0, 85, 170, 255]));
+
+      expect(bmp.readUInt8(70)).toBe(0b00011011);
+    });
+
+    it('should pack 4-bit pixels two per byte', () => {
+      const bmp = new BMPEncoder(2, 1, 4).encode(grayRow([17, 238]));
+
+      expect(bmp.readUInt8(54 + 16 * 4)).toBe(0x1e);
+    });
+
+    it('should map 8-bit gray values directly to palette indices', () => {
+      const bmp = new BMPEncoder(3, 1, 8).encode(grayRow([0, 128, 255]));
+      const offset = 54 + 256 * 4;
+
+      expect([...bmp.subarray(offset, offset + 3)]).toEqual([0, 128, 255]);
+    });
+
+    it('should store rows bottom-to-top', () => {
+      const bmp = new BMPEncoder(1, 2, 8).encode(grayRow([0, 255]));
+      const offset = 54 + 256 * 4;
+
+      // Bottom row (255) comes first, each row padded to 4 bytes
+      expect(bmp.readUInt8(offset)).toBe(255);
+      expect(bmp.readUInt8(offset + 4)).toBe(0);
+    });
+
+    it('should pack custom palette indices as given', () => {
+      const colors = Array.from({ length: 7 }, () => [0, 0, 0]);
+      const bmp = new BMPEncoder(2, 1, 4, colors).encode(Buffer.from([6, 3]));
+
+      expect(bmp.readUInt8(54 + 16 * 4)).toBe(0x63);
+    });
+
+    it('should convert 24-bit RGB to BGR', () => {
+      const bmp = new BMPEncoder(1, 1, 24).encode(Buffer.from([10, 20, 30]));
+
+      expect([...bmp.subarray(54, 57)]).toEqual([30, 20, 10]);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from '@jest/globals';
+import { buildDegradationSteps, formatBudgetHeader } from '../../lib/budget.js';
+
+/**
+ * Summarizes steps as "stage:setting" strings
+ */
+function summarize(steps) {
+  return steps.map(({ stage, params }) => {
+    if (stage === 'compression') return `${stage}:${params.quality ?? params.compressionLevel}`;
+    if (stage === 'bit-depth') return `${stage}:${params.dithering.bitDepth}`;
+    return `${stage}:${params.einkColors ?? params.dithering.palette ?? params.dithering.bitDepth}`;
+  });
+}
+
+describe('Budget Module', () => {
+  describe('buildDegradationSteps', () => {
+    it('should compress, then reduce bit depth for plain PNG', () => {
+      expect(summarize(buildDegradationSteps({ format: 'png' }))).toEqual([
+        'compression:9', 'bit-depth:8', 'bit-depth:4', 'bit-depth:2', 'bit-depth:1',
+      ]);
+    });
+
+    it('should only step below the dithered bit depth and keep the method', () => {
+      const steps = buildDegradationSteps({
+        format: 'png',
+        dithering: { enabled: true, method: 'atkinson', bitDepth: 4 },
+      });
+
+      expect(summarize(steps)).toEqual(['bit-depth:2', 'bit-depth:1']);
+      expect(steps[1].params.dithering.method).toBe('atkinson');
+    });
+
+    it('should lower quality, then drop to gray levels for JPEG', () => {
+      expect(summarize(buildDegradationSteps({ format: 'jpeg' }))).toEqual([
+        'compression:60', 'compression:40', 'compression:20', 'colors:4',
+      ]);
+    });
+
+    it('should build each step on the previous one', () => {
+      const steps = buildDegradationSteps({ format: 'webp' });
+
+      expect(steps[3].params.quality).toBe(20);
+    });
+
+    it('should fall back to fewer colors for palettes and e-ink modes', () => {
+      expect(summarize(buildDegradationSteps({
+        format: 'bmp',
+        dithering: { enabled: true, palette: 'spectra-6' },
+      }))).toEqual(['colors:bw']);
+      expect(summarize(buildDegradationSteps({ format: 'bmp', einkColors: 16 })))
+        .toEqual(['colors:4', 'colors:2']);
+    });
+
+    it('should leave custom palettes and raw framebuffers alone', () => {
+      expect(buildDegradationSteps({ format: 'png', dithering: { enabled: true, palette: 'my-panel' } }))
+        .toEqual([]);
+      expect(buildDegradationSteps({ format: 'raw2' })).toEqual([]);
+    });
+  });
+
+  describe('formatBudgetHeader', () => {
+    it('should list the chosen settings', () => {
+      const header = formatBudgetHeader({
+        stage: 'bit-depth',
+        params: { format: 'png', compressionLevel: 9, dithering: { enabled: true, bitDepth: 1 } },
+        bytes: 1200,
+        maxBytes: 2000,
+      });
+
+      expect(header).toBe('stage=bit-depth; format=png; compression_level=9; bit_depth=1; bytes=1200; max_bytes=2000; fits=true');
+    });
+
+    it('should report when nothing fits', () => {
+      const header = formatBudgetHeader({ stage: 'none', params: { format: 'raw1' }, bytes: 12000, maxBytes: 10 });
+
+      expect(header).toBe('stage=none; format=raw1; bytes=12000; max_bytes=10; fits=false');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect } from '@jest/globals';
+import sharp from 'sharp';
+import {
+  buildCalibrationTable,
+  renderGrayRamp,
+  resolveCalibration,
+  validateCalibration,
+} from '../../lib/calibration.js';
+import { applyDithering, validateOptions } from '../../lib/dithering.js';
+
+// Panel whose dark steps look darker than linear (gamma ~2)
+const darkPanel = {
+  name: 'dark-panel',
+  measurements: [0, 1, 4, 11, 20, 31, 44, 60, 78, 100],
+};
+
+describe('Calibration Module', () => {
+  describe('renderGrayRamp', () => {
+    it('should render evenly spaced gray steps at the requested size', async () => {
+      const png = await renderGrayRamp({ width: 160, height: 40, steps: 4 });
+      const { data, info } = await sharp(png).extractChannel(0).raw().toBuffer({ resolveWithObject: true });
+
+      expect(info.width).toBe(160);
+      expect(info.height).toBe(40);
+      // Sample the top of each 40px step, away from the labels
+      expect([20, 60, 100, 140].map((x) => data[2 * 160 + x])).toEqual([0, 85, 170, 255]);
+    });
+  });
+
+  describe('validateCalibration', () => {
+    it('should accept a valid profile', () => {
+      expect(validateCalibration(darkPanel)).toBe(true);
+    });
+
+    it('should reject invalid profiles', () => {
+      expect(() => validateCalibration(null)).toThrow('Calibration must be an object');
+      expect(() => validateCalibration({ name: 'bad name!', measurements: [0, 100] }))
+        .toThrow('Calibration name must be 1-40 letters');
+      expect(() => validateCalibration({ name: 'one', measurements: [50] }))
+        .toThrow('Calibration needs between 2 and 64 measurements');
+      expect(() => validateCalibration({ name: 'range', measurements: [0, 120] }))
+        .toThrow('Measurements must be numbers between 0 and 100');
+      expect(() => validateCalibration({ name: 'flat', measurements: [50, 50] }))
+        .toThrow('The last step must look brighter than the first');
+    });
+  });
+
+  describe('buildCalibrationTable', () => {
+    it('should be the identity for a linear panel', () => {
+      const table = buildCalibrationTable([0, 25, 50, 75, 100]);
+
+      for (const value of [0, 64, 128, 200, 255]) {
+        expect(table[value]).toBeCloseTo(value, 0);
+      }
+    });
+
+    it('should brighten midtones for a panel that shows them dark', () => {
+      const table = buildCalibrationTable(darkPanel.measurements);
+
+      expect(table[0]).toBe(0);
+      expect(table[255]).toBe(255);
+      // 31% brightness needs step 6 of 10 (input 142)
+      expect(table[Math.round(0.31 * 255)]).toBeCloseTo(142, 0);
+    });
+
+    it('should stretch to the panel black and white and ignore dips', () => {
+      const table = buildCalibrationTable([10, 40, 35, 90]);
+
+      for (let i = 1; i < 256; i++) {
+        expect(table[i]).toBeGreaterThanOrEqual(table[i - 1]);
+      }
+      expect(table[0]).toBe(0);
+      expect(table[255]).toBe(255);
+    });
+  });
+
+  describe('resolveCalibration', () => {
+    it('should reject unknown profile names', () => {
+      expect(() => resolveCalibration('no-such-panel')).toThrow('Invalid calibration profile: no-such-panel');
+      expect(() => resolveCalibration('constructor')).toThrow('Invalid calibration profile: constructor');
+    });
+  });
+
+  describe('applyDithering integration', () => {
+    it('should apply the calibration table before quantization', async () => {
+      const gray = await sharp({
+        create: { width: 8, height: 8, channels: 3, background: { r: 79, g: 79, b: 79 } },
+      }).png().toBuffer();
+
+      const plain = await sharp(await applyDithering(gray, { method: 'none', bitDepth: 8 }))
+        .extractChannel(0).raw().toBuffer();
+      const calibrated = await sharp(await applyDithering(gray, { method: 'none', bitDepth: 8, calibration: darkPanel }))
+        .extractChannel(0).raw().toBuffer();
+
+      expect(plain[0]).toBe(79);
+      expect(calibrated[0]).toBeCloseTo(142, -1);
+    });
+
+    it('should validate calibration options', () => {
+      expect(validateOptions({ calibration: darkPanel })).toBe(true);
+      expect(() => validateOptions({ calibration: 'no-such-panel' })).toThrow('Invalid calibration profile');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from '@jest/globals';
+import sharp from 'sharp';
+import { BMPEncoder } from '../../bmp.js';
+import { compareOutputs, isUnchanged } from '../../lib/changeDetection.js';
+
+/**
+ * 10x10 white PNG with the given pixels set to a gray value
+ */
+function image(changed = [], value = 0, format = 'png') {
+  const raw = Buffer.alloc(100 * 3, 255);
+  changed.forEach((i) => raw.fill(value, i * 3, i * 3 + 3));
+  return sharp(raw, { raw: { width: 10, height: 10, channels: 3 } }).toFormat(format).toBuffer();
+}
+
+describe('Change Detection Module', () => {
+  describe('compareOutputs', () => {
+    it('should count pixels that differ beyond the threshold', async () => {
+      const result = await compareOutputs(await image(), await image([0, 1, 2]), 'png');
+
+      expect(result).toEqual({ changedPixels: 3, totalPixels: 100, percentDifference: 3 });
+    });
+
+    it('should ignore differences within the threshold', async () => {
+      const slight = await image([0, 1, 2], 240);
+
+      expect((await compareOutputs(await image(), slight, 'png')).changedPixels).toBe(0);
+      expect((await compareOutputs(await image(), slight, 'png', { threshold: 0.05 })).changedPixels).toBe(3);
+    });
+
+    it('should treat a size change as fully changed', async () => {
+      const larger = await sharp({
+        create: { width: 20, height: 10, channels: 3, background: { r: 255, g: 255, b: 255 } },
+      }).png().toBuffer();
+
+      expect((await compareOutputs(await image(), larger, 'png')).percentDifference).toBe(100);
+    });
+
+    it('should compare BMPs as decoded pixels', async () => {
+      const gray = (changed) => {
+        const pixels = Buffer.alloc(100, 255);
+        changed.forEach((i) => { pixels[i] = 0; });
+        return new BMPEncoder(10, 10, 1).encode(pixels);
+      };
+
+      expect(await compareOutputs(gray([]), gray([0, 1, 2, 11]), 'bmp'))
+        .toEqual({ changedPixels: 4, totalPixels: 100, percentDifference: 4 });
+    });
+
+    it('should count framebuffer pixels at the format bit depth', async () => {
+      const previous = Buffer.from([0, 1, 2, 3]);
+      const current = Buffer.from([0, 1, 9, 3]);
+
+      // 0b0010 -> 0b1001: three 1-bit pixels, but two 2-bit pixels
+      expect(await compareOutputs(previous, current, 'raw1', { framebufferBits: 1 }))
+        .toEqual({ changedPixels: 3, totalPixels: 32, percentDifference: 9.38 });
+      expect(await compareOutputs(previous, current, 'raw2', { framebufferBits: 2 }))
+        .toEqual({ changedPixels: 2, totalPixels: 16, percentDifference: 12.5 });
+    });
+
+    it('should count a raw-bwr pixel once when either plane changes', async () => {
+      // Black plane, then red plane: pixel 0 changes in both, pixel 7 only in red
+      const previous = Buffer.from([0b00000000, 0b00000000]);
+      const current = Buffer.from([0b10000000, 0b10000001]);
+
+      expect(await compareOutputs(previous, current, 'raw-bwr', { framebufferBits: 1 }))
+        .toEqual({ changedPixels: 2, totalPixels: 8, percentDifference: 25 });
+    });
+
+    it('should treat framebuffers of different length as fully changed', async () => {
+      const result = await compareOutputs(Buffer.from([0, 1]), Buffer.from([0, 1, 2, 3]), 'raw1', { framebufferBits: 1 });
+
+      expect(result.percentDifference).toBe(100);
+    });
+  });
+
+  describe('isUnchanged', () => {
+    it('should accept renders within the pixel or percentage limit', () => {
+      const comparison = { changedPixels: 3, totalPixels: 100, percentDifference: 3 };
+
+      expect(isUnchanged(comparison)).toBe(false);
+      expect(isUnchanged(comparison, { maxDiffPixels: 3 })).toBe(true);
+      expect(isUnchanged(comparison, { maxDiffPercent: 5 })).toBe(true);
+      expect(isUnchanged({ changedPixels: 0, totalPixels: 100, percentDifference: 0 })).toBe(true);
+    });
+
+    it('should not round a few changed pixels down to zero percent', () => {
+      expect(isUnchanged({ changedPixels: 1, totalPixels: 1000000, percentDifference: 0 })).toBe(false);
+    });
+  });
+});
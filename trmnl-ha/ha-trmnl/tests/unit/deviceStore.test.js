@@ -0,0 +1,144 @@
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import fs from 'node:fs';
+import {
+  deleteDevice,
+  getDevice,
+  getDeviceByApiKey,
+  getDeviceByMac,
+  loadDevices,
+  recordDeviceStatus,
+  registerDevice,
+  updateDevice,
+} from '../../lib/deviceStore.js';
+import { keepFileInMemory } from '../helpers/memoryFile.js';
+
+describe('Device Store Module', () => {
+  beforeEach(() => {
+    keepFileInMemory('devices.json');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('registerDevice', () => {
+    it('should create a device with a key and a short ID', () => {
+      const device = registerDevice('aa:bb:cc:dd:ee:ff');
+
+      expect(device.mac).toBe('AA:BB:CC:DD:EE:FF');
+      expect(device.friendly_id).toMatch(/^[0-9A-F]{6}$/);
+      expect(device.api_key.length).toBeGreaterThanOrEqual(32);
+      expect(device.schedule_id).toBeNull();
+      expect(loadDevices()).toEqual([device]);
+    });
+
+    it('should not register a known MAC again', () => {
+      const device = registerDevice('AA:BB:CC:DD:EE:FF');
+
+      expect(registerDevice('aa:bb:cc:dd:ee:ff')).toBeNull();
+      expect(loadDevices()).toEqual([device]);
+    });
+
+    it('should give every device its own ID and key', () => {
+      const first = registerDevice('AA:BB:CC:DD:EE:01');
+      const second = registerDevice('AA:BB:CC:DD:EE:02');
+
+      expect(second.friendly_id).not.toBe(first.friendly_id);
+      expect(second.api_key).not.toBe(first.api_key);
+    });
+  });
+
+  describe('lookups', () => {
+    it('should find a device by ID, key and MAC', () => {
+      const device = registerDevice('AA:BB:CC:DD:EE:FF');
+
+      expect(getDevice(device.friendly_id)).toEqual(device);
+      expect(getDeviceByApiKey(device.api_key)).toEqual(device);
+      expect(getDeviceByMac('aa:bb:cc:dd:ee:ff')).toEqual(device);
+    });
+
+    it('should return null for unknown or missing values', () => {
+      registerDevice('AA:BB:CC:DD:EE:FF');
+
+      expect(getDevice('000000')).toBeNull();
+      expect(getDeviceByApiKey(undefined)).toBeNull();
+      expect(getDeviceByApiKey('wrong')).toBeNull();
+      expect(getDeviceByMac('11:22:33:44:55:66')).toBeNull();
+    });
+  });
+
+  describe('updateDevice', () => {
+    it('should update settings but keep identity and key', () => {
+      const device = registerDevice('AA:BB:CC:DD:EE:FF');
+
+      const updated = updateDevice(device.friendly_id, {
+        name: 'Kitchen',
+        refresh_rate: 600,
+        api_key: 'stolen',
+        mac: '00:00:00:00:00:00',
+      });
+
+      expect(updated.name).toBe('Kitchen');
+      expect(updated.refresh_rate).toBe(600);
+      expect(updated.api_key).toBe(device.api_key);
+      expect(updated.mac).toBe(device.mac);
+      expect(getDevice(device.friendly_id)).toEqual(updated);
+    });
+
+    it('should return null for an unknown device', () => {
+      expect(updateDevice('000000', { name: 'x' })).toBeNull();
+    });
+
+    it('should pass on errors saving the file', () => {
+      const device = registerDevice('AA:BB:CC:DD:EE:FF');
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      fs.writeFileSync.mockImplementation(() => {
+        throw new Error('disk full');
+      });
+
+      expect(() => updateDevice(device.friendly_id, { name: 'x' })).toThrow('disk full');
+    });
+  });
+
+  describe('recordDeviceStatus', () => {
+    it('should store telemetry without changing updatedAt', () => {
+      const device = registerDevice('AA:BB:CC:DD:EE:FF');
+
+      const recorded = recordDeviceStatus(device.friendly_id, { batteryVoltage: 4.1 });
+
+      expect(recorded.status.batteryVoltage).toBe(4.1);
+      expect(recorded.status.seenAt).toBeDefined();
+      expect(recorded.updatedAt).toBe(device.updatedAt);
+    });
+
+    it('should only rewrite the file when the telemetry changes or an hour passed', () => {
+      jest.useFakeTimers({ now: new Date('2024-05-01T10:00:00Z') });
+      const device = registerDevice('AA:BB:CC:DD:EE:FF');
+      recordDeviceStatus(device.friendly_id, { batteryVoltage: 4.1, model: 'og' });
+      fs.writeFileSync.mockClear();
+
+      jest.setSystemTime(new Date('2024-05-01T10:15:00Z'));
+      recordDeviceStatus(device.friendly_id, { batteryVoltage: 4.1, model: 'og' });
+      expect(fs.writeFileSync).not.toHaveBeenCalled();
+
+      recordDeviceStatus(device.friendly_id, { batteryVoltage: 4.0, model: 'og' });
+      expect(fs.writeFileSync).toHaveBeenCalledTimes(1);
+
+      jest.setSystemTime(new Date('2024-05-01T11:15:00Z'));
+      recordDeviceStatus(device.friendly_id, { batteryVoltage: 4.0, model: 'og' });
+      expect(fs.writeFileSync).toHaveBeenCalledTimes(2);
+      expect(getDevice(device.friendly_id).status.seenAt).toBe('2024-05-01T11:15:00.000Z');
+    });
+  });
+
+  describe('deleteDevice', () => {
+    it('should remove the device so its MAC can register again', () => {
+      const device = registerDevice('AA:BB:CC:DD:EE:FF');
+
+      expect(deleteDevice(device.friendly_id)).toBe(true);
+      expect(deleteDevice(device.friendly_id)).toBe(false);
+      expect(registerDevice('AA:BB:CC:DD:EE:FF').api_key).not.toBe(device.api_key);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  DEVICE_REFRESH_RATE,
+  DISPLAY_STATUS,
+  buildDisplayResponse,
+  parseDeviceLogs,
+  readDeviceHeaders,
+  requestBaseUrl,
+  resolveRefreshRate,
+} from '../../lib/devices.js';
+
+describe('Devices Module', () => {
+  describe('readDeviceHeaders', () => {
+    it('should read identity and telemetry', () => {
+      const result = readDeviceHeaders({
+        'id': 'aa:bb:cc:dd:ee:ff',
+        'access-token': 'key',
+        'battery-voltage': '4.12',
+        'rssi': '-61',
+        'fw-version': '1.5.2',
+        'width': '800',
+        'height': '480',
+      });
+
+      expect(result.mac).toBe('AA:BB:CC:DD:EE:FF');
+      expect(result.accessToken).toBe('key');
+      expect(result.telemetry).toMatchObject({
+        batteryVoltage: 4.12,
+        rssi: -61,
+        firmwareVersion: '1.5.2',
+        width: 800,
+        height: 480,
+      });
+    });
+
+    it('should leave missing or invalid values undefined', () => {
+      const result = readDeviceHeaders({ 'id': ' ', 'rssi': 'weak' });
+
+      expect(result.mac).toBeUndefined();
+      expect(result.accessToken).toBeUndefined();
+      expect(result.telemetry.rssi).toBeUndefined();
+    });
+
+    it('should drop over-long text telemetry', () => {
+      const result = readDeviceHeaders({ 'fw-version': ' 1.5.2 ', 'model': 'x'.repeat(65) });
+
+      expect(result.telemetry.firmwareVersion).toBe('1.5.2');
+      expect(result.telemetry.model).toBeUndefined();
+    });
+  });
+
+  describe('parseDeviceLogs', () => {
+    it('should accept current and older firmware bodies', () => {
+      expect(parseDeviceLogs('{"logs":[{"message":"a"}]}')).toEqual([{ message: 'a' }]);
+      expect(parseDeviceLogs('{"log":{"logs_array":[{"message":"b"}]}}')).toEqual([{ message: 'b' }]);
+      expect(parseDeviceLogs('{"log":"c"}')).toEqual(['c']);
+      expect(parseDeviceLogs('[{"message":"d"}]')).toEqual([{ message: 'd' }]);
+    });
+
+    it('should reject bodies without logs', () => {
+      expect(() => parseDeviceLogs('not json')).toThrow('Log body must be JSON');
+      expect(() => parseDeviceLogs('{"message":"x"}')).toThrow('Log body must contain logs');
+    });
+  });
+
+  describe('resolveRefreshRate', () => {
+    it('should default and clamp the refresh rate', () => {
+      expect(resolveRefreshRate(null)).toBe(DEVICE_REFRESH_RATE.default);
+      expect(resolveRefreshRate(600)).toBe(600);
+      expect(resolveRefreshRate(5)).toBe(DEVICE_REFRESH_RATE.min);
+      expect(resolveRefreshRate(1e9)).toBe(DEVICE_REFRESH_RATE.max);
+    });
+  });
+
+  describe('buildDisplayResponse', () => {
+    it('should point the device at the image', () => {
+      const result = buildDisplayResponse({ imageUrl: 'http://x/a.bmp', filename: 'a.bmp', refreshRate: 900 });
+
+      expect(result).toMatchObject({
+        status: DISPLAY_STATUS.ok,
+        image_url: 'http://x/a.bmp',
+        filename: 'a.bmp',
+        refresh_rate: 900,
+        update_firmware: false,
+      });
+    });
+
+    it('should report pending without an image', () => {
+      expect(buildDisplayResponse({ imageUrl: null, filename: null, refreshRate: 900 }).status)
+        .toBe(DISPLAY_STATUS.pending);
+    });
+  });
+
+  describe('requestBaseUrl', () => {
+    it('should use the host and forwarded protocol', () => {
+      expect(requestBaseUrl({ host: '10.0.0.5:10000' })).toBe('http://10.0.0.5:10000');
+      expect(requestBaseUrl({ 'host': 'ha.example', 'x-forwarded-proto': 'https, http' })).toBe('https://ha.example');
+    });
+  });
+});
@@ -1,5 +1,17 @@
 import { describe, it, expect, beforeAll } from '@jest/globals';
-import { applyDithering, getSupportedMethods, validateOptions } from '../../lib/dithering.js';
+import {
+  applyDithering,
+  ditherToPalette,
+  getSupportedMethods,
+  getSupportedMatrixSizes,
+  validateOptions,
+} from '../../lib/dithering.js';
+import {
+  getSupportedPalettes,
+  resolvePalette,
+  parseHexColor,
+  validatePalette,
+} from '../../lib/palettes.js';
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
@@ -61,6 +73,12 @@ describe('Dithering Module', () => {
       ).rejects.toThrow('Invalid dithering method');
     });
 
+    it('should reject inherited object keys as methods', async () => {
+      await expect(
+        applyDithering(sampleImageBuffer, { method: 'toString' })
+      ).rejects.toThrow('Invalid dithering method');
+    });
+
     it('should throw error for invalid bit depth', async () => {
       await expect(
         applyDithering(sampleImageBuffer, { bitDepth: 3 })
@@ -131,6 +149,84 @@ describe('Dithering Module', () => {
       expect(metadata.channels).toBe(1);
     });
 
+    it.each(['atkinson', 'jarvis-judice-ninke', 'stucki', 'burkes', 'sierra'])(
+      'should handle %s error diffusion',
+      async (method) => {
+        const result = await applyDithering(sampleImageBuffer, { method, bitDepth: 1 });
+
+        expect(result).toBeInstanceOf(Buffer);
+        const metadata = await sharp(result).metadata();
+        expect(metadata.channels).toBe(1);
+      }
+    );
+
+    it('should produce different results for different diffusion kernels', async () => {
+      const floyd = await applyDithering(sampleImageBuffer, { method: 'floyd-steinberg', bitDepth: 1 });
+      const atkinson = await applyDithering(sampleImageBuffer, { method: 'atkinson', bitDepth: 1 });
+
+      expect(floyd.equals(atkinson)).toBe(false);
+    });
+
+    describe('diffusion tuning', () => {
+      /**
+       * Decode a dithered PNG to its single gray channel
+       */
+      const pixelsOf = async (buffer) => sharp(buffer).extractChannel(0).raw().toBuffer();
+
+      it('should produce different output with serpentine scanning', async () => {
+        const raster = await applyDithering(sampleImageBuffer, { bitDepth: 1 });
+        const serpentine = await applyDithering(sampleImageBuffer, { bitDepth: 1, serpentine: true });
+
+        expect((await pixelsOf(raster)).equals(await pixelsOf(serpentine))).toBe(false);
+        expect(new Set(await pixelsOf(serpentine))).toEqual(new Set([0, 255]));
+      });
+
+      it('should match posterization at 0% strength', async () => {
+        const none = await applyDithering(sampleImageBuffer, { method: 'none', bitDepth: 2 });
+        const zero = await applyDithering(sampleImageBuffer, { bitDepth: 2, diffusionStrength: 0 });
+
+        expect((await pixelsOf(zero)).equals(await pixelsOf(none))).toBe(true);
+      });
+
+      it('should default to full strength', async () => {
+        const defaults = await applyDithering(sampleImageBuffer, { bitDepth: 1 });
+        const full = await applyDithering(sampleImageBuffer, { bitDepth: 1, diffusionStrength: 100 });
+
+        expect(full.equals(defaults)).toBe(true);
+      });
+
+      it('should keep flat near-white backgrounds clean at reduced strength', async () => {
+        const background = await sharp({
+          create: { width: 64, height: 64, channels: 3, background: { r: 245, g: 245, b: 245 } },
+        })
+          .png()
+          .toBuffer();
+
+        const full = await pixelsOf(await applyDithering(background, { bitDepth: 1 }));
+        const reduced = await pixelsOf(await applyDithering(background, { bitDepth: 1, diffusionStrength: 75 }));
+
+        expect(full.includes(0)).toBe(true);
+        expect(reduced.includes(0)).toBe(false);
+      });
+
+      it('should apply serpentine scanning and strength to palettes', async () => {
+        const raster = await ditherToPalette(sampleImageBuffer, { palette: 'bw' });
+        const tuned = await ditherToPalette(sampleImageBuffer, {
+          palette: 'bw',
+          serpentine: true,
+          diffusionStrength: 80,
+        });
+
+        expect(Buffer.from(tuned.indices).equals(Buffer.from(raster.indices))).toBe(false);
+      });
+
+      it('should reject invalid diffusion strength', async () => {
+        await expect(
+          applyDithering(sampleImageBuffer, { diffusionStrength: 101 })
+        ).rejects.toThrow('Diffusion strength must be between 0 and 100');
+      });
+    });
+
     it('should handle ordered dithering', async () => {
       const result = await applyDithering(sampleImageBuffer, {
         method: 'ordered',
@@ -140,6 +236,124 @@ describe('Dithering Module', () => {
       expect(result).toBeInstanceOf(Buffer);
     });
 
+    it.each([2, 4, 8, 16])('should handle ordered dithering with a %ix%i matrix', async (size) => {
+      const result = await applyDithering(sampleImageBuffer, {
+        method: 'ordered',
+        bitDepth: 1,
+        ditherMatrix: size,
+      });
+
+      const { data } = await sharp(result).raw().toBuffer({ resolveWithObject: true });
+      expect(new Set(data)).toEqual(new Set([0, 255]));
+    });
+
+    it('should tile the Bayer pattern on flat gray', async () => {
+      const gray = await sharp({
+        create: { width: 16, height: 16, channels: 3, background: { r: 128, g: 128, b: 128 } },
+      })
+        .png()
+        .toBuffer();
+
+      const result = await applyDithering(gray, { method: 'ordered', bitDepth: 1, ditherMatrix: 2 });
+      const data = await sharp(result).extractChannel(0).raw().toBuffer();
+
+      // 50% gray on a 2x2 matrix is a checkerboard
+      expect([...data.subarray(0, 4)]).toEqual([0, 255, 0, 255]);
+      expect([...data.subarray(16, 20)]).toEqual([255, 0, 255, 0]);
+    });
+
+    it.each([1, 2, 4, 8])('should handle blue noise dithering at %i-bit', async (bitDepth) => {
+      const result = await applyDithering(sampleImageBuffer, { method: 'blue-noise', bitDepth });
+
+      const data = await sharp(result).extractChannel(0).raw().toBuffer();
+      const step = 255 / (Math.pow(2, bitDepth) - 1);
+      for (const value of new Set(data)) {
+        expect(Math.abs(value / step - Math.round(value / step))).toBeLessThan(0.01);
+      }
+    });
+
+    it('should keep blue noise output stable outside changed areas', async () => {
+      const base = sharp({
+        create: { width: 128, height: 128, channels: 3, background: { r: 128, g: 128, b: 128 } },
+      });
+      const before = await base.clone().png().toBuffer();
+      const after = await base
+        .clone()
+        .composite([{
+          input: { create: { width: 16, height: 16, channels: 3, background: { r: 0, g: 0, b: 0 } } },
+          left: 0,
+          top: 0,
+        }])
+        .png()
+        .toBuffer();
+
+      const a = await sharp(await applyDithering(before, { method: 'blue-noise', bitDepth: 1 }))
+        .extractChannel(0).raw().toBuffer();
+      const b = await sharp(await applyDithering(after, { method: 'blue-noise', bitDepth: 1 }))
+        .extractChannel(0).raw().toBuffer();
+
+      // Only the changed 16x16 corner differs - no error propagates past it
+      const rows = (buf) => buf.subarray(16 * 128);
+      expect(rows(a).equals(rows(b))).toBe(true);
+      expect(a.equals(b)).toBe(false);
+
+      // Flat 50% gray comes out roughly half black, half white
+      const white = [...a].filter((v) => v === 255).length;
+      expect(white / a.length).toBeCloseTo(0.5, 1);
+    });
+
+    describe('hybrid', () => {
+      /**
+       * White card with a line of text above a horizontal gradient
+       */
+      const textAndGradient = () => sharp(Buffer.from(`
+        <svg xmlns="http://www.w3.org/2000/svg" width="160" height="80">
+          <defs><linearGradient id="g"><stop offset="0" stop-color="#000"/><stop offset="1" stop-color="#fff"/></linearGradient></defs>
+          <rect width="160" height="80" fill="#fff"/>
+          <text x="4" y="22" font-family="sans-serif" font-size="18">Hall 21.5</text>
+          <rect y="40" width="160" height="40" fill="url(#g)"/>
+        </svg>`)).png().toBuffer();
+
+      const pixelsOf = async (buffer) => sharp(buffer).extractChannel(0).raw().toBuffer();
+      const textBand = (data) => data.subarray(0, 32 * 160);
+      const gradientBand = (data) => data.subarray(48 * 160, 72 * 160);
+
+      it('should hard-threshold text and dither the rest', async () => {
+        const input = await textAndGradient();
+        const hybrid = await pixelsOf(await applyDithering(input, { method: 'hybrid', bitDepth: 1 }));
+        const threshold = await pixelsOf(await applyDithering(input, { method: 'none', bitDepth: 1 }));
+
+        expect(new Set(hybrid)).toEqual(new Set([0, 255]));
+        expect(textBand(hybrid).equals(textBand(threshold))).toBe(true);
+        expect(gradientBand(hybrid).equals(gradientBand(threshold))).toBe(false);
+      });
+
+      it('should leave images without hard edges to error diffusion', async () => {
+        const gradient = await sharp({
+          create: { width: 64, height: 64, channels: 3, background: { r: 160, g: 160, b: 160 } },
+        }).png().toBuffer();
+
+        const hybrid = await applyDithering(gradient, { method: 'hybrid', bitDepth: 1 });
+        const floyd = await applyDithering(gradient, { method: 'floyd-steinberg', bitDepth: 1 });
+
+        expect((await pixelsOf(hybrid)).equals(await pixelsOf(floyd))).toBe(true);
+      });
+
+      it('should keep text crisp with palettes', async () => {
+        const input = await textAndGradient();
+        const hybrid = await ditherToPalette(input, { method: 'hybrid', palette: 'bw' });
+        const threshold = await ditherToPalette(input, { method: 'none', palette: 'bw' });
+
+        expect(textBand(Buffer.from(hybrid.indices)).equals(textBand(Buffer.from(threshold.indices)))).toBe(true);
+      });
+    });
+
+    it('should throw error for invalid dither matrix size', async () => {
+      await expect(
+        applyDithering(sampleImageBuffer, { method: 'ordered', ditherMatrix: 3 })
+      ).rejects.toThrow('Invalid dither matrix size');
+    });
+
     it('should handle no dithering', async () => {
       const result = await applyDithering(sampleImageBuffer, {
         method: 'none',
@@ -149,7 +363,7 @@ describe('Dithering Module', () => {
       expect(result).toBeInstanceOf(Buffer);
     });
 
-    it('should return original buffer when no processing needed', async () => {
+    it('should still convert to grayscale when no other processing is needed', async () => {
       const result = await applyDithering(sampleImageBuffer, {
         method: 'none',
         bitDepth: 8,
@@ -157,7 +371,20 @@ describe('Dithering Module', () => {
         whiteLevel: 100,
       });
 
-      expect(result).toBe(sampleImageBuffer); // Same reference
+      const metadata = await sharp(result).metadata();
+      expect(metadata.channels).toBe(1);
+      expect(metadata.hasProfile).toBe(false);
+    });
+
+    it('should keep defaults for options passed as undefined', async () => {
+      const result = await applyDithering(sampleImageBuffer, {
+        method: undefined,
+        bitDepth: undefined,
+      });
+
+      // Defaults: floyd-steinberg at 2 bits
+      const { data } = await sharp(result).extractChannel(0).raw().toBuffer({ resolveWithObject: true });
+      expect(new Set(data).size).toBeLessThanOrEqual(4);
     });
 
     it('should apply gamma correction by default', async () => {
@@ -230,6 +457,15 @@ describe('Dithering Module', () => {
       expect(methods['none'].description).toBeDefined();
     });
 
+    it('should include additional error diffusion kernels', () => {
+      const methods = getSupportedMethods();
+
+      for (const method of ['atkinson', 'jarvis-judice-ninke', 'stucki', 'burkes', 'sierra']) {
+        expect(methods[method].description).toBeDefined();
+        expect(methods[method].bitDepths).toEqual([1, 2, 4, 8]);
+      }
+    });
+
     it('should indicate recommended method', () => {
       const methods = getSupportedMethods();
 
@@ -243,15 +479,27 @@ describe('Dithering Module', () => {
     });
   });
 
+  describe('getSupportedMatrixSizes', () => {
+    it('should return Bayer matrix sizes', () => {
+      expect(getSupportedMatrixSizes()).toEqual([2, 4, 8, 16]);
+    });
+  });
+
   describe('validateOptions', () => {
     it('should accept valid options', () => {
       expect(() => validateOptions({ method: 'floyd-steinberg', bitDepth: 2 })).not.toThrow();
       expect(() => validateOptions({ method: 'ordered', bitDepth: 4 })).not.toThrow();
       expect(() => validateOptions({ method: 'none', bitDepth: 8 })).not.toThrow();
+      expect(() => validateOptions({ method: 'atkinson', bitDepth: 1 })).not.toThrow();
+      expect(() => validateOptions({ method: 'jarvis-judice-ninke', bitDepth: 2 })).not.toThrow();
+      expect(() => validateOptions({ method: 'stucki', bitDepth: 4 })).not.toThrow();
+      expect(() => validateOptions({ method: 'burkes', bitDepth: 1 })).not.toThrow();
+      expect(() => validateOptions({ method: 'sierra', bitDepth: 2 })).not.toThrow();
     });
 
     it('should reject invalid method', () => {
       expect(() => validateOptions({ method: 'invalid' })).toThrow('Invalid method');
+      expect(() => validateOptions({ method: 'hasOwnProperty' })).toThrow('Invalid method');
     });
 
     it('should reject invalid bit depth', () => {
@@ -259,6 +507,23 @@ describe('Dithering Module', () => {
       expect(() => validateOptions({ bitDepth: 5 })).toThrow('Invalid bit depth');
     });
 
+    it('should validate diffusion tuning', () => {
+      expect(validateOptions({ serpentine: true, diffusionStrength: 75 })).toBe(true);
+      expect(() => validateOptions({ diffusionStrength: -5 })).toThrow('diffusionStrength must be between 0 and 100');
+      expect(() => validateOptions({ diffusionStrength: '80' })).toThrow('diffusionStrength');
+      expect(() => validateOptions({ serpentine: 'yes' })).toThrow('serpentine must be a boolean');
+    });
+
+    it('should validate palette names', () => {
+      expect(validateOptions({ palette: 'spectra-6' })).toBe(true);
+      expect(() => validateOptions({ palette: 'rainbow' })).toThrow('Invalid palette');
+    });
+
+    it('should reject invalid dither matrix size', () => {
+      expect(() => validateOptions({ ditherMatrix: 3 })).toThrow('Invalid dither matrix size');
+      expect(() => validateOptions({ ditherMatrix: 32 })).toThrow('Invalid dither matrix size');
+    });
+
     it('should reject invalid black level', () => {
       expect(() => validateOptions({ blackLevel: -1 })).toThrow('blackLevel must be between 0 and 100');
       expect(() => validateOptions({ blackLevel: 101 })).toThrow('blackLevel must be between 0 and 100');
@@ -281,6 +546,159 @@ describe('Dithering Module', () => {
     it('should accept empty options object', () => {
       expect(() => validateOptions({})).not.toThrow();
     });
+
+    it('should validate tone options', () => {
+      expect(validateOptions({ autoLevels: true, toneCurve: [[0, 0], [200, 120], [255, 255]] })).toBe(true);
+      expect(() => validateOptions({ toneCurve: [[0, 0]] })).toThrow('Tone curve must have at least 2 points');
+    });
+  });
+
+  describe('Color Palettes', () => {
+    let redSwatch;
+
+    beforeAll(async () => {
+      // Left half pure red, right half mid gray
+      redSwatch = await sharp({
+        create: { width: 32, height: 16, channels: 3, background: { r: 128, g: 128, b: 128 } },
+      })
+        .composite([{
+          input: { create: { width: 16, height: 16, channels: 3, background: { r: 255, g: 0, b: 0 } } },
+          left: 0,
+          top: 0,
+        }])
+        .png()
+        .toBuffer();
+    });
+
+    it('should list built-in palettes', () => {
+      const palettes = getSupportedPalettes();
+
+      for (const name of ['bw', 'bwr', 'bwy', 'acep-7', 'spectra-6']) {
+        expect(palettes[name].custom).toBe(false);
+      }
+    });
+
+    it('should resolve controller indices and index width', () => {
+      expect(resolvePalette('bwr').bitsPerPixel).toBe(2);
+      expect(resolvePalette('acep-7').bitsPerPixel).toBe(4);
+
+      // Spectra 6 skips index 4
+      const spectra = resolvePalette('spectra-6');
+      expect(spectra.indices).toEqual([0, 1, 2, 3, 5, 6]);
+      expect(spectra.colors[5]).toEqual([0, 0, 255]);
+      expect(spectra.colors).toHaveLength(7);
+    });
+
+    it('should parse hex colors', () => {
+      expect(parseHexColor('#ff8000')).toEqual([255, 128, 0]);
+      expect(() => parseHexColor('red')).toThrow('Invalid color');
+    });
+
+    it('should map colors to the nearest palette entry', async () => {
+      const { indices, width } = await ditherToPalette(redSwatch, { palette: 'bwr', method: 'none' });
+
+      expect(indices[0]).toBe(2);
+      expect([0, 1]).toContain(indices[width - 1]);
+    });
+
+    it('should write panel indices for ACeP red', async () => {
+      const { indices } = await ditherToPalette(redSwatch, { palette: 'acep-7', method: 'none' });
+
+      expect(indices[0]).toBe(4);
+    });
+
+    it('should diffuse error in color space', async () => {
+      const { indices, width } = await ditherToPalette(redSwatch, { palette: 'bwr' });
+      const grayHalf = new Set();
+      for (let y = 0; y < 16; y++) {
+        for (let x = 16; x < width; x++) grayHalf.add(indices[y * width + x]);
+      }
+
+      // Mid gray dithers to a mix of black and white, not red
+      expect(grayHalf).toEqual(new Set([0, 1]));
+    });
+
+    it.each(['ordered', 'blue-noise'])('should support %s thresholds with palettes', async (method) => {
+      const { indices } = await ditherToPalette(redSwatch, { palette: 'bw', method });
+
+      expect(new Set(indices)).toEqual(new Set([0, 1]));
+    });
+
+    it('should produce an indexed PNG from applyDithering', async () => {
+      const result = await applyDithering(redSwatch, { palette: 'bwr', method: 'none' });
+      const metadata = await sharp(result).metadata();
+      const { data } = await sharp(result).raw().toBuffer({ resolveWithObject: true });
+
+      expect(metadata.isPalette).toBe(true);
+      expect([...data.subarray(0, 3)]).toEqual([255, 0, 0]);
+    });
+
+    describe('custom palettes', () => {
+      // 4-gray panel whose middle grays come out darker than evenly spaced
+      const measured = {
+        name: 'measured-4-gray',
+        colors: [
+          { color: '#000000' },
+          { color: '#555555', displayedAs: '#2a2a2a' },
+          { color: '#aaaaaa', displayedAs: '#808080' },
+          { color: '#ffffff' },
+        ],
+      };
+
+      it('should match on displayed colors and encode target colors', () => {
+        const resolved = resolvePalette(measured);
+
+        expect(resolved.rgb[1]).toEqual([42, 42, 42]);
+        expect(resolved.colors[1]).toEqual([85, 85, 85]);
+        expect(resolved.indices).toEqual([0, 1, 2, 3]);
+        expect(resolved.bitsPerPixel).toBe(2);
+      });
+
+      it('should pick levels by perceived output', async () => {
+        const gray = await sharp({
+          create: { width: 4, height: 4, channels: 3, background: { r: 100, g: 100, b: 100 } },
+        })
+          .png()
+          .toBuffer();
+
+        // Evenly spaced grays would pick #555555 (index 1); the panel shows
+        // index 2 as #808080, which is closer to 100
+        const { indices } = await ditherToPalette(gray, { palette: measured, method: 'none' });
+        expect(new Set(indices)).toEqual(new Set([2]));
+
+        const png = await applyDithering(gray, { palette: measured, method: 'none' });
+        const { data } = await sharp(png).raw().toBuffer({ resolveWithObject: true });
+        expect(data[0]).toBe(170);
+      });
+
+      it('should write explicit native indices', () => {
+        const resolved = resolvePalette({
+          name: 'reversed',
+          colors: [{ color: '#ffffff', index: 0 }, { color: '#000000', index: 1 }],
+        });
+
+        expect(resolved.colors).toEqual([[255, 255, 255], [0, 0, 0]]);
+      });
+
+      it('should reject invalid definitions', () => {
+        expect(() => validatePalette({ name: 'x', colors: [{ color: '#000000' }] }))
+          .toThrow('between 2 and 256 colors');
+        expect(() => validatePalette({ name: 'bad name', colors: measured.colors }))
+          .toThrow('Palette name');
+        expect(() => validatePalette({ name: 'x', colors: [{ color: '#000000' }, { color: 'white' }] }))
+          .toThrow('Invalid color');
+        expect(() => validatePalette({
+          name: 'x',
+          colors: [{ color: '#000000', index: 1 }, { color: '#ffffff' }],
+        })).toThrow('Duplicate palette index: 1');
+      });
+    });
+
+    it('should require a valid palette', async () => {
+      await expect(ditherToPalette(redSwatch, {})).rejects.toThrow('A palette is required');
+      await expect(ditherToPalette(redSwatch, { palette: 'nope' })).rejects.toThrow('Invalid palette');
+      await expect(ditherToPalette(redSwatch, { palette: 'toString' })).rejects.toThrow('Invalid palette');
+    });
   });
 
   describe('Backward Compatibility', () => {
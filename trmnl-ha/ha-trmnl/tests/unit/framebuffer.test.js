@@ -0,0 +1,76 @@
+import { describe, it, expect } from '@jest/globals';
+import { FramebufferEncoder, tricolorInkIndices } from '../../framebuffer.js';
+
+describe('FramebufferEncoder', () => {
+  describe('constructor', () => {
+    it('should reject unsupported bits per pixel', () => {
+      expect(() => new FramebufferEncoder(8, 1, 8)).toThrow('Unsupported bits per pixel');
+    });
+
+    it('should reject unsupported row alignments', () => {
+      expect(() => new FramebufferEncoder(8, 1, 1, { rowAlign: 3 })).toThrow('Unsupported row alignment');
+    });
+
+    it('should round rows up to the alignment', () => {
+      expect(new FramebufferEncoder(10, 1, 1).rowBytes).toBe(2);
+      expect(new FramebufferEncoder(10, 1, 1, { rowAlign: 4 }).rowBytes).toBe(4);
+      expect(new FramebufferEncoder(3, 1, 4, { rowAlign: 2 }).rowBytes).toBe(2);
+    });
+  });
+
+  describe('encode', () => {
+    it('should pack 1-bit pixels MSB first', () => {
+      const levels = [0, 1, 0, 1, 1, 1, 1, 1, 1, 0];
+      const buffer = new FramebufferEncoder(10, 1, 1).encode(levels);
+
+      expect([...buffer]).toEqual([0b01011111, 0b10000000]);
+    });
+
+    it('should pack 2-bit and 4-bit pixels', () => {
+      expect([...new FramebufferEncoder(4, 1, 2).encode([0, 1, 2, 3])]).toEqual([0b00011011]);
+      expect([...new FramebufferEncoder(3, 1, 4).encode([0x1, 0xa, 0xf])]).toEqual([0x1a, 0xf0]);
+    });
+
+    it('should pad every row with zero bytes', () => {
+      const buffer = new FramebufferEncoder(2, 2, 4, { rowAlign: 2 }).encode([1, 2, 3, 4]);
+
+      expect([...buffer]).toEqual([0x12, 0x00, 0x34, 0x00]);
+    });
+
+    it('should invert levels but not padding', () => {
+      const buffer = new FramebufferEncoder(4, 1, 1, { invert: true }).encode([0, 1, 0, 1]);
+
+      expect([...buffer]).toEqual([0b10100000]);
+    });
+  });
+
+  describe('encodeGray', () => {
+    it('should round gray values to the nearest level', () => {
+      const buffer = new FramebufferEncoder(4, 1, 2).encodeGray([0, 90, 160, 255]);
+
+      expect([...buffer]).toEqual([0b00011011]);
+    });
+  });
+
+  describe('encodePlanes', () => {
+    it('should write one plane per ink with 0 where the ink shows', () => {
+      // black, white, red, white, black, red, white, white
+      const indices = Uint8Array.from([0, 1, 2, 1, 0, 2, 1, 1]);
+      const buffer = new FramebufferEncoder(8, 1, 1).encodePlanes(indices, [0, 2]);
+
+      expect([...buffer]).toEqual([0b01110111, 0b11011011]);
+    });
+
+    it('should require 1 bit per pixel', () => {
+      expect(() => new FramebufferEncoder(8, 1, 2).encodePlanes(new Uint8Array(8), [0]))
+        .toThrow('Planes are 1 bit per pixel');
+    });
+  });
+
+  describe('tricolorInkIndices', () => {
+    it('should find black and the accent color in any palette order', () => {
+      expect(tricolorInkIndices([[0, 0, 0], [255, 255, 255], [255, 0, 0]])).toEqual([0, 2]);
+      expect(tricolorInkIndices([[255, 255, 255], [255, 255, 0], [0, 0, 0]])).toEqual([2, 1]);
+    });
+  });
+});
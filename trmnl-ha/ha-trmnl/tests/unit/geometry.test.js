@@ -0,0 +1,113 @@
+import { describe, it, expect } from '@jest/globals';
+import sharp from 'sharp';
+import { applyGeometry, hasGeometry, parseCrop, validateGeometry } from '../../lib/geometry.js';
+
+/**
+ * 4x2 gray image whose pixel values are 10, 20, ... 80 in row-major order
+ */
+function numbered() {
+  const data = Buffer.from([10, 20, 30, 40, 50, 60, 70, 80]);
+  return sharp(data, { raw: { width: 4, height: 2, channels: 1 } });
+}
+
+/**
+ * Renders a pipeline to { width, height, pixels } (first channel)
+ */
+async function pixelsOf(image) {
+  const { data, info } = await image.extractChannel(0).raw().toBuffer({ resolveWithObject: true });
+  return { width: info.width, height: info.height, pixels: [...data] };
+}
+
+describe('Geometry Module', () => {
+  describe('applyGeometry', () => {
+    it('should crop to the rectangle', async () => {
+      const result = await pixelsOf(await applyGeometry(numbered(), { crop: { left: 1, top: 0, width: 2, height: 2 } }));
+
+      expect(result).toEqual({ width: 2, height: 2, pixels: [20, 30, 60, 70] });
+    });
+
+    it('should clip crops that run past the image', async () => {
+      const result = await pixelsOf(await applyGeometry(numbered(), { crop: { left: 2, top: 1, width: 50, height: 50 } }));
+
+      expect(result).toEqual({ width: 2, height: 1, pixels: [70, 80] });
+    });
+
+    it('should leave the image whole when the crop misses it', async () => {
+      const result = await pixelsOf(await applyGeometry(numbered(), { crop: { left: 10, top: 0, width: 2, height: 2 } }));
+
+      expect(result).toEqual({ width: 4, height: 2, pixels: [10, 20, 30, 40, 50, 60, 70, 80] });
+    });
+
+    it('should shift content and fill with white', async () => {
+      const right = await pixelsOf(await applyGeometry(numbered(), { offsetX: 1 }));
+      const up = await pixelsOf(await applyGeometry(numbered(), { offsetY: -1 }));
+
+      expect(right.pixels).toEqual([255, 10, 20, 30, 255, 50, 60, 70]);
+      expect(up.pixels).toEqual([50, 60, 70, 80, 255, 255, 255, 255]);
+    });
+
+    it('should limit offsets to the image size', async () => {
+      const result = await pixelsOf(await applyGeometry(numbered(), { offsetX: 9999, offsetY: -9999 }));
+
+      expect(result).toEqual({ width: 4, height: 2, pixels: Array(8).fill(255) });
+    });
+
+    it('should mirror horizontally and vertically', async () => {
+      const horizontal = await pixelsOf(await applyGeometry(numbered(), { mirror: 'horizontal' }));
+      const both = await pixelsOf(await applyGeometry(numbered(), { mirror: 'both' }));
+
+      expect(horizontal.pixels).toEqual([40, 30, 20, 10, 80, 70, 60, 50]);
+      expect(both.pixels).toEqual([80, 70, 60, 50, 40, 30, 20, 10]);
+    });
+
+    it('should crop before rotating', async () => {
+      const result = await pixelsOf(await applyGeometry(numbered(), {
+        crop: { left: 0, top: 0, width: 2, height: 2 },
+        rotate: 90,
+      }));
+
+      expect(result).toEqual({ width: 2, height: 2, pixels: [50, 10, 60, 20] });
+    });
+
+    it('should keep the size for fine rotation', async () => {
+      const image = sharp({ create: { width: 100, height: 50, channels: 3, background: { r: 0, g: 0, b: 0 } } });
+      const result = await pixelsOf(await applyGeometry(image, { fineRotate: 10 }));
+
+      expect(result.width).toBe(100);
+      expect(result.height).toBe(50);
+      // Rotated corners show the white fill, the center stays black
+      expect(result.pixels[0]).toBe(255);
+      expect(result.pixels[25 * 100 + 50]).toBe(0);
+    });
+  });
+
+  describe('validateGeometry', () => {
+    it('should reject invalid options', () => {
+      expect(() => validateGeometry({ fineRotate: 60 })).toThrow('Fine rotation must be between -45 and 45 degrees');
+      expect(() => validateGeometry({ offsetX: 1.5 })).toThrow('Offsets must be whole pixels');
+      expect(() => validateGeometry({ offsetX: 99999999 })).toThrow('Offsets must be between -10000 and 10000 pixels');
+      expect(() => validateGeometry({ mirror: 'diagonal' })).toThrow('Invalid mirror mode: diagonal');
+      expect(() => validateGeometry({ crop: { left: 0, top: 0, width: 0, height: 10 } })).toThrow('Crop must have');
+    });
+  });
+
+  describe('parseCrop', () => {
+    it('should parse left, top, width and height', () => {
+      expect(parseCrop('4,40,800,480')).toEqual({ left: 4, top: 40, width: 800, height: 480 });
+    });
+
+    it('should return undefined for malformed text', () => {
+      expect(parseCrop(null)).toBeUndefined();
+      expect(parseCrop('4,40,800')).toBeUndefined();
+      expect(parseCrop('-1,0,10,10')).toBeUndefined();
+    });
+  });
+
+  describe('hasGeometry', () => {
+    it('should detect any transform', () => {
+      expect(hasGeometry({})).toBe(false);
+      expect(hasGeometry({ offsetY: 3 })).toBe(true);
+      expect(hasGeometry({ mirror: 'vertical' })).toBe(true);
+    });
+  });
+});
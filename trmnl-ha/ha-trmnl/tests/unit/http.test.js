@@ -0,0 +1,454 @@
+import { describe, it, expect, jest, beforeEach, afterEach, afterAll } from '@jest/globals';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import { CONST_MOCK } from '../helpers/constMock.js';
+import { keepFileInMemory } from '../helpers/memoryFile.js';
+
+// Saved renders live in a temporary directory instead of the add-on's output folder
+const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trmnl-http-'));
+
+jest.unstable_mockModule('../../const.js', () => CONST_MOCK);
+
+const schedules = new Map();
+jest.unstable_mockModule('../../lib/scheduleStore.js', () => ({
+  loadSchedules: () => [...schedules.values()],
+  getSchedule: (id) => schedules.get(id) ?? null,
+  createSchedule: jest.fn(),
+  updateSchedule: jest.fn(),
+  deleteSchedule: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../scheduler.js', () => ({
+  OUTPUT_DIR: outputDir,
+  listSavedOutputs: () => fs.readdirSync(outputDir).sort().reverse(),
+}));
+
+const regions = await import('../../lib/regions.js');
+const encodeRegion = jest.fn(regions.encodeRegion);
+jest.unstable_mockModule('../../lib/regions.js', () => ({ ...regions, encodeRegion }));
+
+const { RequestHandler } = await import('../../http.js');
+
+/**
+ * Sends a request through the handler and collects the response
+ */
+async function send(handler, { url, method = 'GET', headers = {}, body = '' }) {
+  const request = {
+    url,
+    method,
+    headers: { host: 'localhost:10000', ...headers },
+    on(event, listener) {
+      if (event === 'data' && body) listener(Buffer.from(body));
+      if (event === 'end') listener();
+      return this;
+    },
+  };
+  const response = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    writeHead(status, headers = {}) {
+      this.statusCode = status;
+      Object.entries(headers).forEach(([name, value]) => this.setHeader(name, value));
+    },
+    end(data) { this.body = data; },
+  };
+
+  await handler.handleRequest(request, response);
+  const json = response.headers['content-type'] === 'application/json' && response.body
+    ? JSON.parse(response.body)
+    : undefined;
+  return { status: response.statusCode, headers: response.headers, body: response.body, json };
+}
+
+/**
+ * Saves a 64x32 white PNG render with black rectangles [left, top, width, height]
+ */
+async function saveRender(file, rects = []) {
+  const gray = Buffer.alloc(64 * 32, 255);
+  rects.forEach(([left, top, width, height]) => {
+    for (let y = top; y < top + height; y++) gray.fill(0, y * 64 + left, y * 64 + left + width);
+  });
+  const image = await sharp(gray, { raw: { width: 64, height: 32, channels: 1 } }).png().toBuffer();
+  fs.writeFileSync(path.join(outputDir, file), image);
+}
+
+describe('HTTP Request Handler', () => {
+  afterAll(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  describe('Schedule regions API', () => {
+    const schedule = { id: 'kitchen', name: 'Kitchen' };
+
+    beforeEach(async () => {
+      schedules.clear();
+      schedules.set(schedule.id, schedule);
+      fs.readdirSync(outputDir).forEach((file) => fs.rmSync(path.join(outputDir, file)));
+      await saveRender('Kitchen_2024-01-01T00-00-00-000Z.png');
+      await saveRender('Kitchen_2024-01-01T00-10-00-000Z.png', [[16, 0, 16, 16]]);
+      encodeRegion.mockImplementation(regions.encodeRegion);
+    });
+
+    it('should list the changed regions of the two latest renders', async () => {
+      const { status, headers, json } = await send(new RequestHandler({}), { url: '/api/schedules/kitchen/regions' });
+
+      expect(status).toBe(200);
+      expect(json.current).toBe('Kitchen_2024-01-01T00-10-00-000Z.png');
+      expect(json.previous).toBe('Kitchen_2024-01-01T00-00-00-000Z.png');
+      expect(json.changedPixels).toBe(256);
+      expect(json.regions).toEqual([{ left: 16, top: 0, width: 16, height: 16 }]);
+      expect(headers['x-changed-regions']).toBe('16,0,16,16');
+    });
+
+    it('should return the bitmap of one region', async () => {
+      const { status, headers, body } = await send(new RequestHandler({}), { url: '/api/schedules/kitchen/regions?region=0' });
+
+      expect(status).toBe(200);
+      expect(headers['content-type']).toBe('image/png');
+      expect(headers['x-region']).toBe('16,0,16,16');
+      const metadata = await sharp(body).metadata();
+      expect([metadata.width, metadata.height]).toEqual([16, 16]);
+    });
+
+    it('should answer 404 for an unknown schedule or region', async () => {
+      const handler = new RequestHandler({});
+
+      expect((await send(handler, { url: '/api/schedules/missing/regions' })).status).toBe(404);
+      expect((await send(handler, { url: '/api/schedules/kitchen/regions?region=5' })).status).toBe(404);
+    });
+
+    it('should answer 405 for other methods', async () => {
+      const { status } = await send(new RequestHandler({}), { url: '/api/schedules/kitchen/regions', method: 'POST' });
+
+      expect(status).toBe(405);
+    });
+
+    it('should answer 500 when the region cannot be encoded', async () => {
+      encodeRegion.mockRejectedValueOnce(new Error('encoder failed'));
+
+      const { status, json } = await send(new RequestHandler({}), { url: '/api/schedules/kitchen/regions?region=0' });
+
+      expect(status).toBe(500);
+      expect(json.error).toBe('Cannot encode region: encoder failed');
+    });
+  });
+
+  describe('Screenshot changed regions', () => {
+    const url = '/lovelace/0?viewport=64x32&regions=crop';
+    let handler;
+
+    beforeEach(() => {
+      encodeRegion.mockImplementation(regions.encodeRegion);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      clearTimeout(handler.browserCleanupTimer);
+      jest.restoreAllMocks();
+    });
+
+    /**
+     * Handler whose browser captures a 64x32 PNG
+     */
+    async function handlerWithCapture() {
+      const image = await sharp(Buffer.alloc(64 * 32, 255), { raw: { width: 64, height: 32, channels: 1 } })
+        .png()
+        .toBuffer();
+      handler = new RequestHandler({});
+      handler.browser = {
+        navigatePage: jest.fn().mockResolvedValue({ time: 1 }),
+        screenshotPage: jest.fn().mockResolvedValue({ image, time: 1 }),
+      };
+      return handler;
+    }
+
+    it('should send the changed bitmap of the first render', async () => {
+      const { status, headers } = await send(await handlerWithCapture(), { url });
+
+      expect(status).toBe(200);
+      expect(headers['x-region']).toBe('0,0,64,32');
+    });
+
+    it('should answer 500 when the region cannot be encoded', async () => {
+      encodeRegion.mockRejectedValueOnce(new Error('encoder failed'));
+      await handlerWithCapture();
+
+      const { status, body } = await send(handler, { url });
+
+      expect(status).toBe(500);
+      expect(body).toBe('Cannot compute changed regions: encoder failed');
+      expect(handler.busy).toBe(false);
+    });
+  });
+
+  describe('Screenshot HEAD requests', () => {
+    const url = '/lovelace/0?viewport=800x480&dithering';
+
+    it('should render without a fresh render and send the headers of GET', async () => {
+      const handler = new RequestHandler({});
+      const image = Buffer.from('new render');
+      handler.browser = {
+        navigatePage: jest.fn().mockResolvedValue({ time: 1 }),
+        screenshotPage: jest.fn().mockResolvedValue({ image, time: 1 }),
+      };
+
+      const head = await send(handler, { url, method: 'HEAD' });
+      const get = await send(handler, { url });
+      clearTimeout(handler.browserCleanupTimer);
+
+      expect(head.status).toBe(200);
+      expect(head.body).toBeUndefined();
+      expect(head.headers['content-length']).toBe(image.length);
+      expect(head.headers.etag).toBe(get.headers.etag);
+      expect(head.headers['last-modified']).toBe(get.headers['last-modified']);
+      expect(get.body).toBe(image);
+      expect(handler.browser.screenshotPage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should answer 304 when a re-render matches the client copy', async () => {
+      const handler = new RequestHandler({});
+      const image = Buffer.from('same render');
+      handler.browser = {
+        navigatePage: jest.fn().mockResolvedValue({ time: 1 }),
+        screenshotPage: jest.fn().mockResolvedValue({ image, time: 1 }),
+      };
+      const key = '/lovelace/0?dithering=&viewport=800x480';
+      const expired = handler.renderCache.set(key, image);
+      expired.expires = 0;
+
+      const { status, headers } = await send(handler, {
+        url,
+        method: 'HEAD',
+        headers: { 'if-none-match': expired.etag },
+      });
+      clearTimeout(handler.browserCleanupTimer);
+
+      expect(status).toBe(304);
+      expect(headers.etag).toBe(expired.etag);
+      expect(headers['last-modified']).toBe(expired.lastModified.toUTCString());
+    });
+
+    it('should answer with the headers of a cached render', async () => {
+      const handler = new RequestHandler({});
+      const image = Buffer.from('cached render');
+      const entry = handler.renderCache.set('/lovelace/0?dithering=&viewport=800x480', image, {
+        headers: { 'Content-Type': 'image/png' },
+      });
+
+      const { status, headers, body } = await send(handler, { url, method: 'HEAD' });
+
+      expect(status).toBe(200);
+      expect(headers.etag).toBe(entry.etag);
+      expect(headers['content-length']).toBe(image.length);
+      expect(body).toBeUndefined();
+    });
+  });
+
+  describe('Device API', () => {
+    const mac = 'AA:BB:CC:DD:EE:FF';
+    const render = 'Kitchen_2024-01-01T00-00-00-000Z.png';
+    let handler;
+
+    beforeEach(async () => {
+      keepFileInMemory('devices.json');
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      schedules.clear();
+      schedules.set('kitchen', { id: 'kitchen', name: 'Kitchen' });
+      fs.readdirSync(outputDir).forEach((file) => fs.rmSync(path.join(outputDir, file)));
+      await saveRender(render);
+      handler = new RequestHandler({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    /**
+     * Registers the test device and returns its setup response
+     */
+    async function setup() {
+      return (await send(handler, { url: '/api/setup', headers: { id: mac } })).json;
+    }
+
+    describe('GET /api/setup', () => {
+      it('should register a new device and hand out its key', async () => {
+        const { status, json } = await send(handler, { url: '/api/setup', headers: { id: mac.toLowerCase() } });
+
+        expect(status).toBe(200);
+        expect(json.status).toBe(200);
+        expect(json.api_key).toBeDefined();
+        expect(json.friendly_id).toMatch(/^[0-9A-F]{6}$/);
+        expect(json.image_url).toBeNull();
+      });
+
+      it('should not hand out the key of a registered device again', async () => {
+        const { friendly_id } = await setup();
+
+        const { status, json } = await send(handler, { url: '/api/setup', headers: { id: mac } });
+
+        expect(status).toBe(409);
+        expect(json.friendly_id).toBe(friendly_id);
+        expect(json.api_key).toBeUndefined();
+      });
+
+      it('should answer 400 without an ID header', async () => {
+        expect((await send(handler, { url: '/api/setup' })).status).toBe(400);
+      });
+
+      it('should answer 400 for an ID that is not a MAC address', async () => {
+        const { status, json } = await send(handler, { url: '/api/setup', headers: { id: '<img src=x onerror=alert(1)>' } });
+
+        expect(status).toBe(400);
+        expect(json.error).toMatch(/MAC address/);
+        expect((await send(handler, { url: '/api/devices' })).json).toEqual([]);
+      });
+
+      it('should refuse new devices beyond the limit', async () => {
+        for (let i = 0; i < CONST_MOCK.MAX_DEVICES; i++) {
+          const id = `AA:BB:CC:DD:EE:${i.toString(16).padStart(2, '0')}`;
+          expect((await send(handler, { url: '/api/setup', headers: { id } })).status).toBe(200);
+        }
+
+        const refused = await send(handler, { url: '/api/setup', headers: { id: mac } });
+        const known = await send(handler, { url: '/api/setup', headers: { id: 'AA:BB:CC:DD:EE:00' } });
+
+        expect(refused.status).toBe(403);
+        expect(known.status).toBe(409);
+      });
+    });
+
+    describe('GET /api/display', () => {
+      it('should return the latest render of the assigned schedule', async () => {
+        const { api_key, friendly_id } = await setup();
+        await send(handler, {
+          url: `/api/devices/${friendly_id}`,
+          method: 'PUT',
+          body: JSON.stringify({ schedule_id: 'kitchen', refresh_rate: 600 }),
+        });
+
+        const { status, json } = await send(handler, {
+          url: '/api/display',
+          headers: { 'access-token': api_key, 'battery-voltage': '4.05' },
+        });
+
+        expect(status).toBe(200);
+        expect(json.status).toBe(0);
+        expect(json.image_url).toBe(`http://localhost:10000/api/renders/${render}`);
+        expect(json.filename).toBe(render);
+        expect(json.refresh_rate).toBe(600);
+
+        const device = (await send(handler, { url: `/api/devices/${friendly_id}` })).json;
+        expect(device.status.batteryVoltage).toBe(4.05);
+        expect(device.api_key).toBeUndefined();
+      });
+
+      it('should answer pending without an assigned schedule', async () => {
+        const { api_key } = await setup();
+
+        const { json } = await send(handler, { url: '/api/display', headers: { 'access-token': api_key } });
+
+        expect(json.status).toBe(202);
+        expect(json.image_url).toBeNull();
+        expect(json.refresh_rate).toBe(900);
+      });
+
+      it('should answer 401 for an unknown token', async () => {
+        await setup();
+
+        const { status } = await send(handler, { url: '/api/display', headers: { 'access-token': 'wrong' } });
+
+        expect(status).toBe(401);
+      });
+    });
+
+    describe('POST /api/log', () => {
+      it('should keep the entries for the device', async () => {
+        const { api_key, friendly_id } = await setup();
+
+        const { status } = await send(handler, {
+          url: '/api/log',
+          method: 'POST',
+          headers: { 'access-token': api_key },
+          body: JSON.stringify({ logs: ['wifi connected', { battery: 4.1 }] }),
+        });
+
+        expect(status).toBe(204);
+        const { logs } = (await send(handler, { url: `/api/devices/${friendly_id}` })).json;
+        expect(logs.map((log) => log.entry)).toEqual(['wifi connected', { battery: 4.1 }]);
+      });
+
+      it('should answer 400 for a malformed body and 401 for an unknown token', async () => {
+        const { api_key } = await setup();
+
+        const malformed = await send(handler, {
+          url: '/api/log',
+          method: 'POST',
+          headers: { 'access-token': api_key },
+          body: 'not json',
+        });
+        const unknown = await send(handler, {
+          url: '/api/log',
+          method: 'POST',
+          headers: { 'access-token': 'wrong' },
+          body: '[]',
+        });
+
+        expect(malformed.status).toBe(400);
+        expect(unknown.status).toBe(401);
+      });
+    });
+
+    describe('/api/devices/:id', () => {
+      it('should answer 400 for a malformed ID', async () => {
+        expect((await send(handler, { url: '/api/devices/%E0%A4%A' })).status).toBe(400);
+      });
+
+      it('should answer 500 when the device cannot be saved', async () => {
+        const { friendly_id } = await setup();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        fs.writeFileSync.mockImplementation(() => {
+          throw new Error('disk full');
+        });
+
+        const { status, json } = await send(handler, {
+          url: `/api/devices/${friendly_id}`,
+          method: 'PUT',
+          body: JSON.stringify({ name: 'Kitchen' }),
+        });
+
+        expect(status).toBe(500);
+        expect(json.error).toBe('Cannot save device: disk full');
+      });
+
+      it('should reject unknown schedules, out-of-range refresh rates and invalid names', async () => {
+        const { friendly_id } = await setup();
+        const put = (body) => send(handler, { url: `/api/devices/${friendly_id}`, method: 'PUT', body: JSON.stringify(body) });
+
+        expect((await put({ schedule_id: 'missing' })).status).toBe(400);
+        expect((await put({ refresh_rate: 5 })).status).toBe(400);
+        expect((await put({ name: { html: '<b>' } })).status).toBe(400);
+        expect((await put({ name: 'x'.repeat(65) })).status).toBe(400);
+        expect((await put({ name: null })).status).toBe(200);
+      });
+    });
+
+    describe('/api/renders/:file', () => {
+      it('should serve a saved render', async () => {
+        const { status, headers, body } = await send(handler, { url: `/api/renders/${render}` });
+
+        expect(status).toBe(200);
+        expect(headers['content-type']).toBe('image/png');
+        expect(body.equals(fs.readFileSync(path.join(outputDir, render)))).toBe(true);
+      });
+
+      it('should answer 400 for a malformed name and 404 outside the renders', async () => {
+        expect((await send(handler, { url: '/api/renders/%E0%A4%A' })).status).toBe(400);
+        expect((await send(handler, { url: '/api/renders/%2E%2E%2Fdevices.json' })).status).toBe(404);
+      });
+    });
+  });
+});
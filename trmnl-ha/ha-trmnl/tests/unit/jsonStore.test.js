@@ -0,0 +1,84 @@
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createNamedStore } from '../../lib/jsonStore.js';
+
+describe('JSON Store Module', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trmnl-store-'));
+    file = path.join(dir, 'records.json');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should start empty without a file', () => {
+    const store = createNamedStore(file, 'records');
+
+    expect(store.load()).toEqual([]);
+    expect(store.get('missing')).toBeNull();
+  });
+
+  it('should create, replace and delete records by name', () => {
+    const store = createNamedStore(file, 'records');
+
+    store.save({ name: 'a', value: 1 });
+    store.save({ name: 'b', value: 2 });
+    store.save({ name: 'a', value: 3 });
+
+    expect(store.load().map(({ name, value }) => [name, value])).toEqual([['a', 3], ['b', 2]]);
+    expect(store.remove('a')).toBe(true);
+    expect(store.remove('a')).toBe(false);
+    expect(JSON.parse(fs.readFileSync(file, 'utf-8')).map((r) => r.name)).toEqual(['b']);
+  });
+
+  it('should read the file once and serve later lookups from memory', () => {
+    fs.writeFileSync(file, JSON.stringify([{ name: 'a' }]));
+    const store = createNamedStore(file, 'records');
+    const read = jest.spyOn(fs, 'readFileSync');
+
+    store.get('a');
+    store.get('a');
+    store.load();
+
+    expect(read).toHaveBeenCalledTimes(1);
+  });
+
+  it('should serve a write without reading the file again', () => {
+    const store = createNamedStore(file, 'records');
+    store.load();
+    const read = jest.spyOn(fs, 'readFileSync');
+
+    store.save({ name: 'a' });
+
+    expect(store.get('a').name).toBe('a');
+    expect(read).not.toHaveBeenCalled();
+  });
+
+  it('should keep the stored records when a write fails', () => {
+    const store = createNamedStore(file, 'records');
+    store.save({ name: 'a' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {
+      throw new Error('disk full');
+    });
+
+    expect(() => store.remove('a')).toThrow('disk full');
+    expect(store.get('a')).not.toBeNull();
+  });
+
+  it('should not let callers change the cached records', () => {
+    const store = createNamedStore(file, 'records');
+    store.save({ name: 'a' });
+
+    store.load().pop();
+
+    expect(store.load()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from '@jest/globals';
+import sharp from 'sharp';
+import { computeCellRects, parseLayout, stitchCells, validateLayout } from '../../lib/layout.js';
+
+const dashboard = (path, extra = {}) => ({ dashboard_path: path, ...extra });
+
+/**
+ * Cell rectangles without the cell definitions
+ */
+function rects(layout, viewport) {
+  return computeCellRects(layout, viewport).map(({ left, top, width, height }) => [left, top, width, height]);
+}
+
+describe('Layout Module', () => {
+  describe('computeCellRects', () => {
+    it('should split the viewport into equal cells', () => {
+      const layout = { columns: 2, rows: 2, cells: ['/a', '/b', '/c', '/d'].map((p) => dashboard(p)) };
+
+      expect(rects(layout, { width: 800, height: 480 })).toEqual([
+        [0, 0, 400, 240], [400, 0, 400, 240], [0, 240, 400, 240], [400, 240, 400, 240],
+      ]);
+    });
+
+    it('should leave gaps only between cells', () => {
+      const layout = { columns: 3, rows: 1, gap: 10, cells: ['/a', '/b', '/c'].map((p) => dashboard(p)) };
+      const result = rects(layout, { width: 800, height: 480 });
+
+      expect(result[0][0]).toBe(0);
+      expect(result[2][0] + result[2][2]).toBe(800);
+      expect(result[1][0] - (result[0][0] + result[0][2])).toBe(10);
+    });
+
+    it('should place spanning cells at the first free position', () => {
+      const layout = {
+        columns: 2,
+        rows: 2,
+        cells: [dashboard('/a', { row_span: 2 }), dashboard('/b'), dashboard('/c')],
+      };
+
+      expect(rects(layout, { width: 800, height: 480 })).toEqual([
+        [0, 0, 400, 480], [400, 0, 400, 240], [400, 240, 400, 240],
+      ]);
+    });
+  });
+
+  describe('validateLayout', () => {
+    it('should accept a valid layout', () => {
+      expect(validateLayout({
+        columns: 2,
+        rows: 1,
+        gap: 4,
+        cells: [dashboard('/lovelace/weather', { zoom: 0.8 }), dashboard('/lovelace/home', { selector: 'title:Calendar' })],
+      })).toBe(true);
+    });
+
+    it('should reject invalid layouts', () => {
+      expect(() => validateLayout(null)).toThrow('Layout must be an object');
+      expect(() => validateLayout({ columns: 0, rows: 1, cells: [] })).toThrow('columns and rows');
+      expect(() => validateLayout({ columns: 1, rows: 1, gap: -1, cells: [] })).toThrow('Layout gap');
+      expect(() => validateLayout({ columns: 1, rows: 1, cells: [] })).toThrow('Layout needs between 1 and 1 cells');
+      expect(() => validateLayout({ columns: 1, rows: 1, cells: [{ dashboard_path: 'lovelace' }] }))
+        .toThrow('Cell 1 needs a dashboard_path');
+      expect(() => validateLayout({ columns: 1, rows: 1, cells: [dashboard('/a', { zoom: 0 })] }))
+        .toThrow('Cell 1 zoom');
+    });
+
+    it('should reject cells that do not fit', () => {
+      const layout = {
+        columns: 2,
+        rows: 2,
+        cells: [dashboard('/a', { column_span: 2 }), dashboard('/b', { row_span: 2 })],
+      };
+
+      expect(() => validateLayout(layout)).toThrow('Cell 2 does not fit in the 2x2 grid');
+    });
+  });
+
+  describe('parseLayout', () => {
+    it('should parse and validate JSON', () => {
+      expect(parseLayout('{"columns":1,"rows":1,"cells":[{"dashboard_path":"/a"}]}').cells).toHaveLength(1);
+      expect(() => parseLayout('{columns')).toThrow('Layout must be valid JSON');
+    });
+  });
+
+  describe('stitchCells', () => {
+    it('should place cells on a white canvas', async () => {
+      const black = await sharp({
+        create: { width: 2, height: 2, channels: 3, background: { r: 0, g: 0, b: 0 } },
+      }).png().toBuffer();
+
+      const stitched = await stitchCells([{ image: black, left: 2, top: 0 }], 4, 2);
+      const data = await sharp(stitched).extractChannel(0).raw().toBuffer();
+
+      expect([...data]).toEqual([255, 255, 0, 0, 255, 255, 0, 0]);
+    });
+  });
+});
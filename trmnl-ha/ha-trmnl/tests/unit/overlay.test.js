@@ -0,0 +1,112 @@
+import { describe, it, expect } from '@jest/globals';
+import sharp from 'sharp';
+import { drawOverlay, renderTemplate, validateOverlay } from '../../lib/overlay.js';
+
+const renderedAt = new Date(2024, 0, 5, 9, 7);
+
+/**
+ * Plain white PNG
+ */
+function white(width, height) {
+  return sharp({
+    create: { width, height, channels: 3, background: { r: 255, g: 255, b: 255 } },
+  }).png().toBuffer();
+}
+
+/**
+ * Grayscale value per row (row average)
+ */
+async function rowAverages(image) {
+  const { data, info } = await sharp(image).greyscale().raw().toBuffer({ resolveWithObject: true });
+  const rows = [];
+  for (let y = 0; y < info.height; y++) {
+    let sum = 0;
+    for (let x = 0; x < info.width; x++) sum += data[y * info.width + x];
+    rows.push(sum / info.width);
+  }
+  return rows;
+}
+
+describe('Overlay Module', () => {
+  describe('renderTemplate', () => {
+    it('should fill in time, date, status and dashboard', () => {
+      const text = renderTemplate('{date} {time} {status} {dashboard}', {
+        renderedAt,
+        connected: true,
+        dashboard: '/lovelace/0',
+      });
+
+      expect(text).toBe('2024-01-05 09:07 online /lovelace/0');
+    });
+
+    it('should report offline and keep unknown placeholders', () => {
+      expect(renderTemplate('HA {status} {weather}', { renderedAt, connected: false }))
+        .toBe('HA offline {weather}');
+    });
+  });
+
+  describe('validateOverlay', () => {
+    it('should accept defaults', () => {
+      expect(validateOverlay({})).toBe(true);
+    });
+
+    it('should reject invalid options', () => {
+      expect(() => validateOverlay({ position: 'left' })).toThrow('Invalid overlay position: left');
+      expect(() => validateOverlay({ fontSize: 4 })).toThrow('Overlay font size');
+      expect(() => validateOverlay({ template: 'x'.repeat(201) })).toThrow('Overlay template');
+    });
+  });
+
+  describe('drawOverlay', () => {
+    it('should draw a white strip at the bottom by default and keep the size', async () => {
+      const black = await sharp({
+        create: { width: 200, height: 100, channels: 3, background: { r: 0, g: 0, b: 0 } },
+      }).png().toBuffer();
+
+      const result = await drawOverlay(black, { template: '' }, { renderedAt, connected: true });
+      const rows = await rowAverages(result);
+      const metadata = await sharp(result).metadata();
+
+      expect([metadata.width, metadata.height]).toEqual([200, 100]);
+      expect(rows[0]).toBe(0);
+      expect(rows[99]).toBe(255);
+      expect(rows[100 - 22]).toBe(255);
+      expect(rows[100 - 23]).toBe(0);
+    });
+
+    it('should draw an inverted strip at the top', async () => {
+      const result = await drawOverlay(await white(200, 100), {
+        template: '',
+        position: 'top',
+        invert: true,
+      }, { renderedAt, connected: true });
+      const rows = await rowAverages(result);
+
+      expect(rows[0]).toBe(0);
+      expect(rows[50]).toBe(255);
+    });
+
+    it('should render text and icons into the strip', async () => {
+      const result = await drawOverlay(await white(200, 60), { icons: true }, { renderedAt, connected: false });
+      const rows = await rowAverages(result);
+
+      expect(Math.min(...rows.slice(38))).toBeLessThan(255);
+      expect(rows.slice(0, 38).every((value) => value === 255)).toBe(true);
+    });
+
+    it('should place the strip inside the region', async () => {
+      const result = await drawOverlay(await white(100, 100), {
+        template: '',
+        invert: true,
+      }, { renderedAt, connected: true, region: { left: 10, top: 10, width: 50, height: 50 } });
+      const { data } = await sharp(result).greyscale().raw().toBuffer({ resolveWithObject: true });
+      const at = (x, y) => data[y * 100 + x];
+
+      expect(at(10, 59)).toBe(0);
+      expect(at(59, 59)).toBe(0);
+      expect(at(60, 59)).toBe(255);
+      expect(at(10, 60)).toBe(255);
+      expect(at(10, 30)).toBe(255);
+    });
+  });
+});
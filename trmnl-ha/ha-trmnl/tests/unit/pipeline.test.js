@@ -0,0 +1,225 @@
+import { describe, it, expect } from '@jest/globals';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import {
+  buildPipeline,
+  getRegisteredSteps,
+  loadPlugins,
+  parsePipeline,
+  registerStep,
+  runPipeline,
+  validatePipeline,
+  withImage,
+} from '../../lib/pipeline.js';
+
+/**
+ * Context whose encoder returns the final state instead of bytes
+ */
+const context = { format: 'png', encode: async (state, options) => ({ state, options }) };
+
+/**
+ * Solid gray PNG
+ */
+function gray(value, width = 4, height = 2) {
+  return sharp({
+    create: { width, height, channels: 3, background: { r: value, g: value, b: value } },
+  }).png().toBuffer();
+}
+
+/**
+ * First channel of every pixel
+ */
+async function pixels(image) {
+  return [...await sharp(image).extractChannel(0).raw().toBuffer()];
+}
+
+describe('Pipeline Module', () => {
+  describe('buildPipeline', () => {
+    it('should order flat parameters as processing steps', () => {
+      const pipeline = buildPipeline({
+        crop: { left: 0, top: 0, width: 10, height: 10 },
+        overlay: { enabled: true, position: 'top' },
+        rotate: 90,
+        mirror: 'horizontal',
+        invert: true,
+        dithering: { enabled: true, bitDepth: 1 },
+        rowAlign: 2,
+      });
+
+      expect(pipeline).toEqual([
+        { step: 'crop', left: 0, top: 0, width: 10, height: 10 },
+        { step: 'overlay', position: 'top' },
+        { step: 'rotate', angle: 90 },
+        { step: 'mirror', mode: 'horizontal' },
+        { step: 'invert' },
+        { step: 'dither', bitDepth: 1 },
+        { step: 'encode', rowAlign: 2 },
+      ]);
+    });
+
+    it('should invert after legacy e-ink reduction', () => {
+      expect(buildPipeline({ einkColors: 2, invert: true }).map(({ step }) => step))
+        .toEqual(['eink', 'invert', 'encode']);
+    });
+
+    it('should invert before mapping to the 7-color palette', () => {
+      expect(buildPipeline({ einkColors: 7, invert: true }).map(({ step }) => step))
+        .toEqual(['invert', 'eink', 'encode']);
+    });
+
+    it('should pass the e-ink threshold', () => {
+      expect(buildPipeline({ einkColors: 2, einkThreshold: 128 })[0])
+        .toEqual({ step: 'eink', colors: 2, threshold: 128 });
+    });
+
+    it('should only encode without processing parameters', () => {
+      expect(buildPipeline({})).toEqual([{ step: 'encode' }]);
+    });
+  });
+
+  describe('validatePipeline', () => {
+    it('should accept a valid pipeline', () => {
+      expect(validatePipeline([
+        { step: 'crop', left: 0, top: 0, width: 8, height: 8 },
+        { step: 'rotate', angle: -1.5 },
+        { step: 'levels', black: 5, white: 95 },
+        { step: 'dither', method: 'atkinson', bitDepth: 1 },
+        { step: 'encode' },
+      ])).toBe(true);
+    });
+
+    it('should reject invalid pipelines', () => {
+      expect(() => validatePipeline([])).toThrow('Pipeline must be a list');
+      expect(() => validatePipeline([{ step: 'sepia' }])).toThrow('Step 1: unknown step sepia');
+      expect(() => validatePipeline([{ step: 'encode' }, { step: 'invert' }]))
+        .toThrow('Step 1: encode must be the last step');
+      expect(() => validatePipeline([{ step: 'invert' }, { step: 'rotate', angle: 60 }]))
+        .toThrow('Step 2 (rotate): Rotation angle');
+      expect(() => validatePipeline([{ step: 'levels', black: 60, white: 40 }])).toThrow('Levels need');
+      expect(() => validatePipeline([{ step: 'eink', colors: 8 }])).toThrow('E-ink colors must be');
+      expect(() => validatePipeline([{ step: 'eink', colors: 2, threshold: 300 }])).toThrow('E-ink threshold');
+    });
+
+    it('should reject dither and encode options that would fail while rendering', () => {
+      expect(() => validatePipeline([{ step: 'dither', method: 'foo' }])).toThrow('Step 1 (dither): Invalid method');
+      expect(() => validatePipeline([{ step: 'dither', method: 'toString' }])).toThrow('Invalid method');
+      expect(() => validatePipeline([{ step: 'dither', bitDepth: 3 }])).toThrow('Invalid bit depth');
+      expect(() => validatePipeline([{ step: 'dither', palette: 'nope' }])).toThrow('Invalid palette');
+      expect(() => validatePipeline([{ step: 'encode', rowAlign: 3 }])).toThrow('Step 1 (encode): Row alignment');
+      expect(() => validatePipeline([{ step: 'encode', quality: 0 }])).toThrow('Quality must be');
+      expect(validatePipeline([{ step: 'dither', palette: 'bwr' }, { step: 'encode', rowAlign: 4 }])).toBe(true);
+    });
+  });
+
+  describe('parsePipeline', () => {
+    it('should parse and validate JSON', () => {
+      expect(parsePipeline('[{"step":"invert"}]')).toEqual([{ step: 'invert' }]);
+      expect(() => parsePipeline('[{step')).toThrow('Pipeline must be valid JSON');
+    });
+  });
+
+  describe('runPipeline', () => {
+    it('should run steps in order and add encode', async () => {
+      const { state, options } = await runPipeline(await gray(100), [
+        { step: 'levels', black: 0, white: 50 },
+        { step: 'invert' },
+      ], context);
+
+      expect(options).toEqual({});
+      expect(await pixels(state.image)).toEqual(new Array(8).fill(255 - 200));
+    });
+
+    it('should pass encode options and quantized depth to the encoder', async () => {
+      const { state, options } = await runPipeline(await gray(200), [
+        { step: 'dither', method: 'none', bitDepth: 1, gammaCorrection: false },
+        { step: 'encode', compressionLevel: 9 },
+      ], context);
+
+      expect(options).toEqual({ compressionLevel: 9 });
+      expect(state.bitDepth).toBe(1);
+      expect(await pixels(state.image)).toEqual(new Array(8).fill(255));
+    });
+
+    it.each([
+      [2, 1, [0, 255]],
+      [4, 2, [0, 85, 170, 255]],
+      [16, 4, [0, 17, 34, 51, 68, 85, 102, 119, 136, 153, 170, 187, 204, 221, 238, 255]],
+    ])('should reduce e-ink %i to evenly spaced grays', async (colors, bitDepth, levels) => {
+      const ramp = Buffer.from(Array.from({ length: 256 }, (_, i) => i));
+      const image = await sharp(ramp, { raw: { width: 256, height: 1, channels: 1 } }).png().toBuffer();
+
+      const { state } = await runPipeline(image, [{ step: 'eink', colors }], context);
+
+      expect(state.bitDepth).toBe(bitDepth);
+      expect([...new Set(await pixels(state.image))]).toEqual(levels);
+    });
+
+    it('should threshold 2-color e-ink at the given level', async () => {
+      const below = await runPipeline(await gray(150), [{ step: 'eink', colors: 2 }], context);
+      const above = await runPipeline(await gray(150), [{ step: 'eink', colors: 2, threshold: 128 }], context);
+
+      expect(await pixels(below.state.image)).toEqual(new Array(8).fill(0));
+      expect(await pixels(above.state.image)).toEqual(new Array(8).fill(255));
+    });
+
+    it('should keep the quantized depth when inverting e-ink grays', async () => {
+      const { state } = await runPipeline(await gray(90), buildPipeline({ einkColors: 4, invert: true }), context);
+
+      expect(state.bitDepth).toBe(2);
+      expect(await pixels(state.image)).toEqual(new Array(8).fill(255 - 85));
+    });
+
+    it('should drop palette indices when later steps change pixels', async () => {
+      const { state } = await runPipeline(await gray(0), [
+        { step: 'dither', palette: 'bwr' },
+        { step: 'invert' },
+      ], context);
+
+      expect(state.indexed).toBeUndefined();
+      expect(await pixels(state.image)).toEqual(new Array(8).fill(255));
+    });
+  });
+
+  describe('registerStep', () => {
+    it('should run registered steps and refuse duplicates', async () => {
+      registerStep('brighten', {
+        validate: ({ amount }) => {
+          if (typeof amount !== 'number') throw new Error('amount must be a number');
+        },
+        apply: async (state, { amount }) =>
+          withImage(state, await sharp(state.image).linear(1, amount).png().toBuffer()),
+      });
+
+      expect(getRegisteredSteps()).toContain('brighten');
+      expect(() => validatePipeline([{ step: 'brighten' }])).toThrow('Step 1 (brighten): amount must be a number');
+      expect(() => registerStep('brighten', { apply: () => {} })).toThrow('already registered');
+      expect(() => registerStep('broken', {})).toThrow('needs an apply function');
+
+      const { state } = await runPipeline(await gray(100), [{ step: 'brighten', amount: 20 }], context);
+      expect(await pixels(state.image)).toEqual(new Array(8).fill(120));
+    });
+  });
+
+  describe('loadPlugins', () => {
+    it('should register plugins and skip broken ones', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trmnl-plugins-'));
+      try {
+        fs.writeFileSync(path.join(dir, 'noop.mjs'), 'export default { name: "noop", apply: (state) => state };');
+        fs.writeFileSync(path.join(dir, 'broken.mjs'), 'export default { name: "broken" };');
+        fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a plugin');
+
+        expect(await loadPlugins(dir)).toEqual(['noop']);
+        expect(getRegisteredSteps()).toContain('noop');
+        expect(getRegisteredSteps()).not.toContain('broken');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should ignore a missing directory', async () => {
+      expect(await loadPlugins(path.join(os.tmpdir(), 'trmnl-no-such-dir'))).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect } from '@jest/globals';
+import { inflateSync } from 'zlib';
+import sharp from 'sharp';
+import { PNGEncoder } from '../../png.js';
+
+const PALETTE = [[0, 0, 0], [255, 255, 255], [255, 0, 0]];
+
+/**
+ * Collects PNG chunks as { type, data }
+ */
+function readChunks(png) {
+  const chunks = [];
+  let offset = 8;
+  while (offset < png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('ascii', offset + 4, offset + 8);
+    chunks.push({ type, data: png.subarray(offset + 8, offset + 8 + length) });
+    offset += length + 12;
+  }
+  return chunks;
+}
+
+describe('PNGEncoder', () => {
+  describe('constructor', () => {
+    it('should reject unsupported bit depths', () => {
+      expect(() => new PNGEncoder(4, 4, 3, PALETTE)).toThrow('Unsupported bit depth');
+    });
+
+    it('should reject palettes that do not fit the bit depth', () => {
+      expect(() => new PNGEncoder(4, 4, 1, PALETTE)).toThrow('Palette must have between 1 and 2 colors');
+      expect(() => new PNGEncoder(4, 4, 2, [])).toThrow('Palette');
+    });
+  });
+
+  describe('encode', () => {
+    it('should write an indexed header and palette', () => {
+      const png = new PNGEncoder(4, 2, 2, PALETTE).encode(Buffer.alloc(8));
+      const [ihdr, plte] = readChunks(png);
+
+      expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+      expect(ihdr.type).toBe('IHDR');
+      expect(ihdr.data.readUInt32BE(0)).toBe(4);
+      expect(ihdr.data.readUInt32BE(4)).toBe(2);
+      expect(ihdr.data.readUInt8(8)).toBe(2);
+      expect(ihdr.data.readUInt8(9)).toBe(3);
+      expect(plte.type).toBe('PLTE');
+      expect([...plte.data]).toEqual(PALETTE.flat());
+    });
+
+    it('should pack indices MSB first after a filter byte', () => {
+      const png = new PNGEncoder(4, 1, 2, PALETTE).encode(Buffer.from([0, 1, 2, 1]));
+      const idat = readChunks(png).find((chunk) => chunk.type === 'IDAT');
+
+      expect([...inflateSync(idat.data)]).toEqual([0, 0b00011001]);
+    });
+
+    it('should decode to the palette colors', async () => {
+      const png = new PNGEncoder(3, 1, 2, PALETTE).encode(Buffer.from([2, 0, 1]));
+      const { data } = await sharp(png).raw().toBuffer({ resolveWithObject: true });
+
+      expect([...data]).toEqual([255, 0, 0, 0, 0, 0, 255, 255, 255]);
+    });
+  });
+
+  describe('grayscale', () => {
+    it.each([1, 2, 4, 8])('should write a %i-bit grayscale header without a palette', (bitDepth) => {
+      const png = new PNGEncoder(8, 2, bitDepth).encode(Buffer.alloc(16));
+      const chunks = readChunks(png);
+
+      expect(chunks[0].data.readUInt8(8)).toBe(bitDepth);
+      expect(chunks[0].data.readUInt8(9)).toBe(0);
+      expect(chunks.map((chunk) => chunk.type)).toEqual(['IHDR', 'IDAT', 'IEND']);
+    });
+
+    it('should pack 1-bit rows with padding', () => {
+      const png = new PNGEncoder(10, 1, 1).encode(Buffer.from([1, 0, 1, 1, 0, 0, 0, 0, 1, 1]));
+      const idat = readChunks(png).find((chunk) => chunk.type === 'IDAT');
+
+      expect([...inflateSync(idat.data)]).toEqual([0, 0b10110000, 0b11000000]);
+    });
+
+    it.each([1, 2, 4])('should round-trip %i-bit gray levels', async (bitDepth) => {
+      const step = 255 / (2 ** bitDepth - 1);
+      const gray = Buffer.from(Array.from({ length: 2 ** bitDepth }, (_, level) => Math.round(level * step)));
+      const png = new PNGEncoder(gray.length, 1, bitDepth).encodeGray(gray);
+
+      expect((await sharp(png).metadata()).channels).toBe(1);
+      const data = await sharp(png).extractChannel(0).raw().toBuffer();
+      expect([...data]).toEqual([...gray]);
+    });
+
+    it('should be byte-identical across runs', () => {
+      const gray = Buffer.from(Array.from({ length: 64 * 64 }, (_, i) => ((i * 37) % 7 < 3 ? 0 : 255)));
+
+      const first = new PNGEncoder(64, 64, 1).encodeGray(gray);
+      const second = new PNGEncoder(64, 64, 1).encodeGray(Buffer.from(gray));
+      expect(first.equals(second)).toBe(true);
+    });
+
+    it('should refuse gray input on an indexed encoder', () => {
+      expect(() => new PNGEncoder(1, 1, 2, PALETTE).encodeGray(Buffer.from([0]))).toThrow('encodeGray');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect } from '@jest/globals';
+import sharp from 'sharp';
+import { BMPEncoder } from '../../bmp.js';
+import { PNGEncoder } from '../../png.js';
+import {
+  boundingRegion,
+  decodeOutput,
+  encodeRegion,
+  findChangedRegions,
+  formatRegionsHeader,
+} from '../../lib/regions.js';
+
+const WIDTH = 64;
+const HEIGHT = 32;
+
+/**
+ * White gray frame with black rectangles [left, top, width, height]
+ */
+function frame(rects = []) {
+  const gray = Buffer.alloc(WIDTH * HEIGHT, 255);
+  rects.forEach(([left, top, width, height]) => {
+    for (let y = top; y < top + height; y++) gray.fill(0, y * WIDTH + left, y * WIDTH + left + width);
+  });
+  return gray;
+}
+
+function png(rects) {
+  return sharp(frame(rects), { raw: { width: WIDTH, height: HEIGHT, channels: 1 } }).png().toBuffer();
+}
+
+describe('Regions Module', () => {
+  describe('findChangedRegions', () => {
+    it('should return 8-pixel aligned rectangles around each change', async () => {
+      const previous = await decodeOutput(await png(), 'png');
+      const current = await decodeOutput(await png([[3, 2, 4, 3], [50, 20, 2, 2]]), 'png');
+
+      expect(findChangedRegions(previous, current)).toEqual({
+        regions: [
+          { left: 0, top: 0, width: 8, height: 8 },
+          { left: 48, top: 16, width: 8, height: 8 },
+        ],
+        changedPixels: 16,
+      });
+    });
+
+    it('should join changes in touching cells', async () => {
+      const previous = await decodeOutput(await png(), 'png');
+      const current = await decodeOutput(await png([[6, 6, 4, 4]]), 'png');
+
+      expect(findChangedRegions(previous, current).regions)
+        .toEqual([{ left: 0, top: 0, width: 16, height: 16 }]);
+    });
+
+    it('should find nothing for identical renders', async () => {
+      const image = await decodeOutput(await png([[10, 10, 5, 5]]), 'png');
+
+      expect(findChangedRegions(image, image)).toEqual({ regions: [], changedPixels: 0 });
+    });
+
+    it('should collapse too many rectangles into their bounds', async () => {
+      const previous = await decodeOutput(await png(), 'png');
+      const current = await decodeOutput(await png([[0, 0, 1, 1], [30, 0, 1, 1], [60, 30, 1, 1]]), 'png');
+
+      expect(findChangedRegions(previous, current, { maxRegions: 2 }).regions)
+        .toEqual([{ left: 0, top: 0, width: 64, height: 32 }]);
+    });
+
+    it('should return the whole frame without a previous render', async () => {
+      const current = await decodeOutput(await png(), 'png');
+
+      expect(findChangedRegions(undefined, current).regions)
+        .toEqual([{ left: 0, top: 0, width: WIDTH, height: HEIGHT }]);
+    });
+  });
+
+  describe('decodeOutput', () => {
+    it('should read indexed BMPs', async () => {
+      const bmp = new BMPEncoder(WIDTH, HEIGHT, 2).encode(frame([[8, 8, 8, 8]]));
+      const decoded = await decodeOutput(bmp, 'bmp');
+
+      expect([decoded.width, decoded.height, decoded.bitsPerPixel]).toEqual([WIDTH, HEIGHT, 2]);
+      expect(decoded.indices[8 * WIDTH + 8]).toBe(0);
+      expect(decoded.indices[0]).toBe(3);
+      expect([...decoded.rgb.subarray(0, 3)]).toEqual([255, 255, 255]);
+    });
+
+    it('should refuse raw framebuffers', async () => {
+      await expect(decodeOutput(Buffer.alloc(8), 'raw1')).rejects.toThrow('Changed regions need');
+    });
+  });
+
+  describe('encodeRegion', () => {
+    it('should keep palette indices of indexed PNGs', async () => {
+      const palette = [[0, 0, 0], [255, 255, 255], [255, 0, 0]];
+      const indices = new Uint8Array(WIDTH * HEIGHT).fill(1);
+      indices[9 * WIDTH + 17] = 2;
+      const decoded = await decodeOutput(new PNGEncoder(WIDTH, HEIGHT, 2, palette).encode(indices), 'png');
+
+      const region = await encodeRegion(decoded, { left: 16, top: 8, width: 8, height: 8 });
+      const expected = new Uint8Array(64).fill(1);
+      expected[1 * 8 + 1] = 2;
+
+      expect(region.equals(new PNGEncoder(8, 8, 2, palette).encode(expected))).toBe(true);
+    });
+
+    it('should keep the bit depth of BMPs', async () => {
+      const decoded = await decodeOutput(new BMPEncoder(WIDTH, HEIGHT, 1).encode(frame([[8, 0, 8, 8]])), 'bmp');
+
+      const region = await encodeRegion(decoded, { left: 8, top: 0, width: 16, height: 8 });
+
+      const expected = Buffer.from(Array.from({ length: 128 }, (_, i) => (i % 16 < 8 ? 0 : 255)));
+
+      expect(region.equals(new BMPEncoder(16, 8, 1).encode(expected))).toBe(true);
+    });
+
+    it('should crop other formats with sharp', async () => {
+      const jpeg = await sharp(frame(), { raw: { width: WIDTH, height: HEIGHT, channels: 1 } }).jpeg().toBuffer();
+      const region = await encodeRegion(await decodeOutput(jpeg, 'jpeg'), { left: 8, top: 8, width: 16, height: 8 });
+      const metadata = await sharp(region).metadata();
+
+      expect([metadata.format, metadata.width, metadata.height]).toEqual(['jpeg', 16, 8]);
+    });
+  });
+
+  describe('formatRegionsHeader', () => {
+    it('should list rectangles and their bounds', () => {
+      const regions = [{ left: 0, top: 40, width: 128, height: 24 }, { left: 600, top: 0, width: 200, height: 32 }];
+
+      expect(formatRegionsHeader(regions)).toBe('0,40,128,24; 600,0,200,32');
+      expect(boundingRegion(regions)).toEqual({ left: 0, top: 0, width: 800, height: 64 });
+      expect(formatRegionsHeader([])).toBe('');
+    });
+  });
+});
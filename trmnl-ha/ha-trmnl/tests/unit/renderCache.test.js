@@ -0,0 +1,99 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import {
+  RenderCache,
+  computeEtag,
+  isNotModified,
+  normalizeRequestKey,
+} from '../../lib/renderCache.js';
+
+describe('Render Cache Module', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('normalizeRequestKey', () => {
+    it('should sort parameters and drop ignored ones', () => {
+      const a = new URL('http://x/lovelace/0?viewport=800x480&dithering&next=30');
+      const b = new URL('http://x/lovelace/0?dithering=&viewport=800x480');
+
+      expect(normalizeRequestKey(a, ['next'])).toBe('/lovelace/0?dithering=&viewport=800x480');
+      expect(normalizeRequestKey(a, ['next'])).toBe(normalizeRequestKey(b));
+      expect(normalizeRequestKey(a)).not.toBe(normalizeRequestKey(b));
+    });
+  });
+
+  describe('computeEtag', () => {
+    it('should be a quoted hash of the content', () => {
+      const etag = computeEtag(Buffer.from('image'));
+
+      expect(etag).toMatch(/^"[A-Za-z0-9_-]{43}"$/);
+      expect(computeEtag(Buffer.from('image'))).toBe(etag);
+      expect(computeEtag(Buffer.from('other'))).not.toBe(etag);
+    });
+  });
+
+  describe('isNotModified', () => {
+    const validators = { etag: '"abc"', lastModified: new Date('2024-05-01T10:00:00.500Z') };
+
+    it('should match If-None-Match tags, including weak and wildcard ones', () => {
+      expect(isNotModified({ 'if-none-match': '"abc"' }, validators)).toBe(true);
+      expect(isNotModified({ 'if-none-match': '"x", W/"abc"' }, validators)).toBe(true);
+      expect(isNotModified({ 'if-none-match': '*' }, validators)).toBe(true);
+      expect(isNotModified({ 'if-none-match': '"x"' }, validators)).toBe(false);
+    });
+
+    it('should compare If-Modified-Since at second precision', () => {
+      expect(isNotModified({ 'if-modified-since': 'Wed, 01 May 2024 10:00:00 GMT' }, validators)).toBe(true);
+      expect(isNotModified({ 'if-modified-since': 'Wed, 01 May 2024 09:59:59 GMT' }, validators)).toBe(false);
+      expect(isNotModified({ 'if-modified-since': 'yesterday' }, validators)).toBe(false);
+      expect(isNotModified({}, validators)).toBe(false);
+    });
+
+    it('should let If-None-Match take precedence', () => {
+      const headers = { 'if-none-match': '"x"', 'if-modified-since': 'Wed, 01 May 2024 11:00:00 GMT' };
+
+      expect(isNotModified(headers, validators)).toBe(false);
+    });
+  });
+
+  describe('RenderCache', () => {
+    it('should serve renders until they expire', () => {
+      jest.useFakeTimers();
+      const cache = new RenderCache({ ttl: 1000, maxEntries: 4 });
+      cache.set('a', Buffer.from('one'), { contentType: 'image/png' });
+
+      expect(cache.get('a')).toMatchObject({ contentType: 'image/png', etag: computeEtag(Buffer.from('one')) });
+      jest.advanceTimersByTime(1000);
+      expect(cache.get('a')).toBeUndefined();
+    });
+
+    it('should never serve renders with a zero ttl', () => {
+      const cache = new RenderCache({ ttl: 0, maxEntries: 4 });
+      cache.set('a', Buffer.from('one'));
+
+      expect(cache.get('a')).toBeUndefined();
+    });
+
+    it('should keep Last-Modified while the content is unchanged', () => {
+      jest.useFakeTimers({ now: new Date('2024-05-01T10:00:00Z') });
+      const cache = new RenderCache({ ttl: 0, maxEntries: 4 });
+      const first = cache.set('a', Buffer.from('one'));
+
+      jest.advanceTimersByTime(60000);
+      expect(cache.set('a', Buffer.from('one')).lastModified).toBe(first.lastModified);
+      expect(cache.set('a', Buffer.from('two')).lastModified).toEqual(new Date('2024-05-01T10:01:00Z'));
+    });
+
+    it('should drop the least recently used render', () => {
+      const cache = new RenderCache({ ttl: 1000, maxEntries: 2 });
+      cache.set('a', Buffer.from('a'));
+      cache.set('b', Buffer.from('b'));
+      cache.get('a');
+      cache.set('c', Buffer.from('c'));
+
+      expect(cache.get('a')).toBeDefined();
+      expect(cache.get('b')).toBeUndefined();
+      expect(cache.get('c')).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { createSchedule, getSchedule, updateSchedule } from '../../lib/scheduleStore.js';
+import { keepFileInMemory } from '../helpers/memoryFile.js';
+
+describe('Schedule Store Module', () => {
+  const schedule = { name: 'Kitchen', cron: '*/10 * * * *', dashboard_path: '/lovelace/0', format: 'png' };
+  let file;
+
+  beforeEach(() => {
+    file = keepFileInMemory('schedules.json');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createSchedule', () => {
+    it('should save a schedule with valid render settings', () => {
+      const created = createSchedule({
+        ...schedule,
+        change_detection: { enabled: true, threshold: 0.2, maxDiffPercent: 0.5 },
+        layout: { columns: 2, rows: 1, cells: [{ dashboard_path: '/a' }, { dashboard_path: '/b' }] },
+        crop: { left: 0, top: 0, width: 100, height: 100 },
+        dithering: { enabled: true, method: 'floyd-steinberg', bitDepth: 2 },
+        supersample: 2,
+        max_bytes: 48000,
+      });
+
+      expect(getSchedule(created.id)).toEqual(created);
+    });
+
+    it.each([
+      ['change_detection', { change_detection: { enabled: true, threshold: 5 } }, 'threshold'],
+      ['change_detection', { change_detection: { maxDiffPixels: -1 } }, 'maxDiffPixels'],
+      ['layout', { layout: { columns: 0, rows: 1, cells: [] } }, 'columns'],
+      ['pipeline', { pipeline: [{ step: 'sparkle' }] }, 'unknown step'],
+      ['crop', { crop: { left: 0, top: 0, width: 0, height: 10 } }, 'crop'],
+      ['mirror', { mirror: 'diagonal' }, 'mirror'],
+      ['dithering', { dithering: { enabled: true, method: 'sparkle' } }, 'sparkle'],
+      ['supersample', { supersample: 4 }, 'Supersample'],
+      ['max_bytes', { max_bytes: '48k' }, 'max_bytes'],
+      ['selector_padding', { selector_padding: 1000 }, 'selector_padding'],
+    ])('should refuse an invalid %s', (_field, settings, message) => {
+      expect(() => createSchedule({ ...schedule, ...settings })).toThrow(new RegExp(message, 'i'));
+      expect(file.read()).toBeUndefined();
+    });
+  });
+
+  describe('updateSchedule', () => {
+    it('should refuse invalid settings and keep the stored schedule', () => {
+      const created = createSchedule(schedule);
+
+      expect(() => updateSchedule(created.id, { change_detection: 'yes' })).toThrow('Change detection must be an object');
+      expect(getSchedule(created.id)).toEqual(created);
+    });
+
+    it('should return null for an unknown schedule', () => {
+      expect(updateSchedule('missing', { name: 'x' })).toBeNull();
+    });
+  });
+});
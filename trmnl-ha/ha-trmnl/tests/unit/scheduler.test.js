@@ -0,0 +1,93 @@
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import { CONST_MOCK } from '../helpers/constMock.js';
+
+jest.unstable_mockModule('../../const.js', () => CONST_MOCK);
+
+const { Scheduler, listSavedOutputs } = await import('../../scheduler.js');
+
+/**
+ * 8x8 PNG filled with one gray value
+ */
+function render(value) {
+  return sharp(Buffer.alloc(64, value), { raw: { width: 8, height: 8, channels: 1 } }).png().toBuffer();
+}
+
+describe('Scheduler', () => {
+  const schedule = { id: 'kitchen', name: 'Kitchen', format: 'png', change_detection: { enabled: true } };
+  let outputDir;
+
+  /**
+   * Scheduler saving to the test directory, as after a fresh start
+   */
+  function startScheduler(image) {
+    const scheduler = new Scheduler(async () => image);
+    scheduler.outputDir = outputDir;
+    return scheduler;
+  }
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trmnl-scheduler-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  describe('change detection', () => {
+    it('should skip an unchanged render in the same run', async () => {
+      const scheduler = startScheduler(await render(255));
+
+      await scheduler.runSchedule(schedule);
+      await scheduler.runSchedule(schedule);
+
+      expect(scheduler.getLastRun('kitchen').status).toBe('skipped');
+      expect(listSavedOutputs(schedule, outputDir)).toHaveLength(1);
+    });
+
+    it('should compare against the last push after a restart', async () => {
+      const image = await render(255);
+      await startScheduler(image).runSchedule(schedule);
+
+      const restarted = startScheduler(image);
+      await restarted.runSchedule(schedule);
+
+      expect(restarted.getLastRun('kitchen').status).toBe('skipped');
+    });
+
+    it('should push a changed render after a restart', async () => {
+      await startScheduler(await render(255)).runSchedule(schedule);
+
+      const restarted = startScheduler(await render(0));
+      await restarted.runSchedule(schedule);
+
+      expect(restarted.getLastRun('kitchen').status).toBe('pushed');
+    });
+
+    it('should not compare against a render whose upload failed', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 500, statusText: 'Error' });
+      const withWebhook = { ...schedule, webhook_url: 'http://device.local/upload' };
+      const image = await render(255);
+      await startScheduler(image).runSchedule(withWebhook);
+
+      global.fetch.mockResolvedValue({ ok: true });
+      const restarted = startScheduler(image);
+      await restarted.runSchedule(withWebhook);
+
+      expect(restarted.getLastRun('kitchen').status).toBe('pushed');
+    });
+
+    it('should keep its record out of the saved renders', async () => {
+      await startScheduler(await render(255)).runSchedule(schedule);
+
+      expect(fs.existsSync(path.join(outputDir, '.pushed.json'))).toBe(true);
+      expect(listSavedOutputs(schedule, outputDir).every((file) => file.endsWith('.png'))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import sharp from 'sharp';
+import { CONST_MOCK } from '../helpers/constMock.js';
+
+jest.unstable_mockModule('../../const.js', () => CONST_MOCK);
+
+const { Browser } = await import('../../screenshot.js');
+
+const WIDTH = 37;
+const HEIGHT = 12;
+
+/**
+ * Horizontal gray gradient, odd width so BMP rows need padding
+ */
+function gradient() {
+  const gray = Buffer.alloc(WIDTH * HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) gray[y * WIDTH + x] = Math.round((x / (WIDTH - 1)) * 255);
+  }
+  return sharp(gray, { raw: { width: WIDTH, height: HEIGHT, channels: 1 } }).png().toBuffer();
+}
+
+/**
+ * Flat request parameters with dithering at the given bit depth
+ */
+function ditheredParams(format, bitDepth) {
+  return { format, dithering: { enabled: true, method: 'floyd-steinberg', bitDepth } };
+}
+
+describe('Screenshot Output Encoding', () => {
+  // Image processing needs no browser; the constructor only stores settings
+  const browser = new Browser('http://localhost:8123', 'token');
+
+  describe('grayscale PNG', () => {
+    it.each([1, 2, 4, 8])('should write a native %i-bit grayscale PNG', async (bitDepth) => {
+      const output = await browser.processImage(await gradient(), ditheredParams('png', bitDepth));
+
+      // IHDR: width, height, bit depth, color type 0 (grayscale)
+      expect(output.readUInt32BE(16)).toBe(WIDTH);
+      expect(output.readUInt32BE(20)).toBe(HEIGHT);
+      expect(output[24]).toBe(bitDepth);
+      expect(output[25]).toBe(0);
+
+      const data = await sharp(output).extractChannel(0).raw().toBuffer();
+      const levels = new Set(data);
+      expect(levels.size).toBeLessThanOrEqual(2 ** bitDepth);
+      expect(levels.has(0) && levels.has(255)).toBe(true);
+    });
+
+    it('should be byte-identical across runs', async () => {
+      const image = await gradient();
+
+      const first = await browser.processImage(image, ditheredParams('png', 2));
+      const second = await browser.processImage(image, ditheredParams('png', 2));
+
+      expect(first.equals(second)).toBe(true);
+    });
+  });
+
+  describe('BMP', () => {
+    it.each([1, 2, 4, 8])('should write a %i-bit BMP with a gray palette', async (bitDepth) => {
+      const output = await browser.processImage(await gradient(), ditheredParams('bmp', bitDepth));
+      const paletteSize = 2 ** bitDepth;
+      const rowBytes = Math.ceil((WIDTH * bitDepth) / 32) * 4;
+
+      expect(output.toString('ascii', 0, 2)).toBe('BM');
+      expect(output.readUInt32LE(2)).toBe(output.length);
+      expect(output.readUInt32LE(10)).toBe(54 + paletteSize * 4);
+      expect(output.readInt32LE(18)).toBe(WIDTH);
+      expect(output.readInt32LE(22)).toBe(HEIGHT);
+      expect(output.readUInt16LE(28)).toBe(bitDepth);
+      expect(output.readUInt32LE(46)).toBe(paletteSize);
+      expect(output.length).toBe(54 + paletteSize * 4 + rowBytes * HEIGHT);
+
+      // Palette runs from black to white
+      expect([...output.subarray(54, 57)]).toEqual([0, 0, 0]);
+      const last = 54 + (paletteSize - 1) * 4;
+      expect([...output.subarray(last, last + 3)]).toEqual([255, 255, 255]);
+    });
+
+    it('should index black and white pixels of a 1-bit BMP', async () => {
+      const output = await browser.processImage(await gradient(), ditheredParams('bmp', 1));
+      const pixels = output.subarray(output.readUInt32LE(10));
+
+      // Leftmost pixel is black (index 0), rightmost is white (index 1)
+      expect(pixels[0] & 0x80).toBe(0);
+      const lastBit = WIDTH - 1;
+      expect((pixels[lastBit >> 3] >> (7 - (lastBit & 7))) & 1).toBe(1);
+    });
+
+    it('should write a 24-bit BMP without dithering', async () => {
+      const output = await browser.processImage(await gradient(), { format: 'bmp' });
+
+      expect(output.toString('ascii', 0, 2)).toBe('BM');
+      expect(output.readUInt16LE(28)).toBe(24);
+      expect(output.readUInt32LE(10)).toBe(54);
+      expect(output.length).toBe(54 + Math.ceil((WIDTH * 3) / 4) * 4 * HEIGHT);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from '@jest/globals';
+import sharp from 'sharp';
+import { buildElementQuery, computeElementClip, fitToViewport } from '../../lib/selector.js';
+
+describe('Selector Module', () => {
+  describe('buildElementQuery', () => {
+    it('should search CSS selectors through every shadow root', () => {
+      expect(buildElementQuery('hui-entities-card:nth-of-type(2)'))
+        .toEqual({ query: 'pierce/hui-entities-card:nth-of-type(2)', card: false });
+    });
+
+    it('should find cards by title text', () => {
+      expect(buildElementQuery('title:Living Room'))
+        .toEqual({ query: '::-p-text("Living Room")', card: true });
+    });
+
+    it('should pass Puppeteer selectors through', () => {
+      expect(buildElementQuery('hui-view >>> ha-card').query).toBe('hui-view >>> ha-card');
+      expect(buildElementQuery('pierce/ha-card').query).toBe('pierce/ha-card');
+    });
+  });
+
+  describe('computeElementClip', () => {
+    it('should pad and round the box outwards', () => {
+      const clip = computeElementClip(
+        { x: 20.5, y: 100.2, width: 300, height: 150.4 },
+        { padding: 8, viewportWidth: 800, top: 56 }
+      );
+
+      expect(clip).toEqual({ x: 12, y: 92, width: 317, height: 167 });
+    });
+
+    it('should stay below the header and inside the viewport width', () => {
+      const clip = computeElementClip(
+        { x: 700, y: 60, width: 200, height: 100 },
+        { padding: 10, viewportWidth: 800, top: 56 }
+      );
+
+      expect(clip).toEqual({ x: 690, y: 56, width: 110, height: 114 });
+    });
+  });
+
+  describe('fitToViewport', () => {
+    it('should scale to the viewport and letterbox in white', async () => {
+      const card = await sharp({
+        create: { width: 100, height: 50, channels: 3, background: { r: 0, g: 0, b: 0 } },
+      }).png().toBuffer();
+
+      const fitted = await fitToViewport(card, 200, 200);
+      const { data, info } = await sharp(fitted).extractChannel(0).raw().toBuffer({ resolveWithObject: true });
+
+      expect([info.width, info.height]).toEqual([200, 200]);
+      expect(data[10 * 200 + 100]).toBe(255);
+      expect(data[100 * 200 + 100]).toBe(0);
+    });
+  });
+});
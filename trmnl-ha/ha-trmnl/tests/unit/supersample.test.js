@@ -0,0 +1,52 @@
+import { describe, it, expect } from '@jest/globals';
+import sharp from 'sharp';
+import { downscaleCapture, formatServerTiming } from '../../lib/supersample.js';
+
+describe('Supersample Module', () => {
+  describe('downscaleCapture', () => {
+    it('should resize a 2x capture to the target size', async () => {
+      const capture = await sharp({
+        create: { width: 200, height: 100, channels: 3, background: { r: 0, g: 0, b: 0 } },
+      }).png().toBuffer();
+
+      const result = await downscaleCapture(capture, 100, 50);
+      const metadata = await sharp(result).metadata();
+
+      expect([metadata.format, metadata.width, metadata.height]).toEqual(['png', 100, 50]);
+    });
+
+    it('should turn sub-pixel edges into intermediate grays', async () => {
+      // One black 3x-pixel column per output pixel (a third of its width)
+      const width = 30;
+      const raw = Buffer.alloc(width * 3, 255);
+      for (let x = 0; x < width; x += 3) raw[x] = 0;
+      raw.copy(raw, width, 0, width);
+      raw.copy(raw, width * 2, 0, width);
+      const capture = await sharp(raw, { raw: { width, height: 3, channels: 1 } }).png().toBuffer();
+
+      const result = await downscaleCapture(capture, 10, 1);
+      const data = await sharp(result).extractChannel(0).raw().toBuffer();
+
+      expect(data[5]).toBeGreaterThan(100);
+      expect(data[5]).toBeLessThan(255);
+    });
+  });
+
+  describe('formatServerTiming', () => {
+    it('should list stages with durations and descriptions', () => {
+      expect(formatServerTiming([
+        { name: 'navigate', dur: 812 },
+        { name: 'capture', dur: 240 },
+        { name: 'downscale', dur: 35, desc: '2x' },
+        { name: 'process', dur: 90 },
+      ])).toBe('navigate;dur=812, capture;dur=240, downscale;desc="2x";dur=35, process;dur=90');
+    });
+
+    it('should leave out stages that did not run', () => {
+      expect(formatServerTiming([
+        { name: 'navigate', dur: 0 },
+        { name: 'downscale', dur: undefined, desc: '1x' },
+      ])).toBe('navigate;dur=0');
+    });
+  });
+});
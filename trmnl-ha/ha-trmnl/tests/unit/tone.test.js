@@ -0,0 +1,186 @@
+import { describe, it, expect } from '@jest/globals';
+import sharp from 'sharp';
+import {
+  applyAutoLevels,
+  applyToneCurve,
+  applyUnsharpMask,
+  hasToneAdjustments,
+  parseToneCurve,
+  validateToneOptions,
+} from '../../lib/tone.js';
+import { applyDithering } from '../../lib/dithering.js';
+
+describe('Tone Module', () => {
+  describe('applyAutoLevels', () => {
+    it('should stretch a narrow range to full scale', () => {
+      const plane = Float32Array.from([200, 220, 240, 250]);
+      applyAutoLevels(plane, 1, 0);
+
+      expect(plane[0]).toBe(0);
+      expect(plane[3]).toBe(255);
+      expect(plane[1]).toBeCloseTo(102, 0);
+    });
+
+    it('should ignore outliers within the clip percentage', () => {
+      const plane = new Float32Array(1000).fill(230);
+      plane.fill(200, 0, 500);
+      plane[0] = 0;
+
+      applyAutoLevels(plane, 1, 0.5);
+
+      expect(plane[1]).toBe(0);
+      expect(plane[999]).toBe(255);
+    });
+
+    it('should leave flat images unchanged', () => {
+      const plane = new Float32Array(16).fill(128);
+      applyAutoLevels(plane, 1, 0);
+
+      expect([...new Set(plane)]).toEqual([128]);
+    });
+
+    it('should stretch every channel alike', () => {
+      const plane = Float32Array.from([100, 100, 100, 200, 150, 200]);
+      applyAutoLevels(plane, 3, 0);
+
+      expect([...plane.subarray(0, 3)]).toEqual([0, 0, 0]);
+      expect(plane[3]).toBe(plane[5]);
+      expect(plane[4]).toBeLessThan(plane[3]);
+    });
+  });
+
+  describe('applyToneCurve', () => {
+    it('should pass through every control point', () => {
+      const plane = Float32Array.from([0, 128, 200, 255]);
+      applyToneCurve(plane, [[0, 0], [128, 64], [200, 120], [255, 255]]);
+
+      expect([...plane]).toEqual([0, 64, 120, 255]);
+    });
+
+    it('should be the identity for a straight line', () => {
+      const plane = Float32Array.from([0, 37.5, 99, 254]);
+      applyToneCurve(plane, [[0, 0], [255, 255]]);
+
+      expect(plane[1]).toBeCloseTo(37.5, 3);
+      expect(plane[2]).toBeCloseTo(99, 3);
+    });
+
+    it('should stay monotone between points', () => {
+      const plane = Float32Array.from({ length: 256 }, (_, i) => i);
+      applyToneCurve(plane, [[0, 0], [64, 200], [128, 210], [255, 255]]);
+
+      for (let i = 1; i < plane.length; i++) {
+        expect(plane[i]).toBeGreaterThanOrEqual(plane[i - 1]);
+      }
+    });
+
+    it('should hold end values outside the points', () => {
+      const plane = Float32Array.from([0, 10, 250, 255]);
+      applyToneCurve(plane, [[16, 0], [235, 255]]);
+
+      expect([...plane]).toEqual([0, 0, 255, 255]);
+    });
+  });
+
+  describe('applyUnsharpMask', () => {
+    it('should steepen edges', () => {
+      const plane = Float32Array.from([100, 100, 100, 150, 200, 200, 200]);
+      applyUnsharpMask(plane, 7, 1, 1, 1, 100);
+
+      expect(plane[2]).toBeLessThan(100);
+      expect(plane[4]).toBeGreaterThan(200);
+    });
+
+    it('should not change flat areas', () => {
+      const plane = new Float32Array(64).fill(180);
+      applyUnsharpMask(plane, 8, 8, 1, 2, 300);
+
+      expect([...new Set(plane.map(Math.round))]).toEqual([180]);
+    });
+  });
+
+  describe('validateToneOptions', () => {
+    it('should accept defaults', () => {
+      expect(validateToneOptions({})).toBe(true);
+    });
+
+    it('should reject out of range values', () => {
+      expect(() => validateToneOptions({ autoLevelsClip: 20 })).toThrow('autoLevelsClip must be between 0 and 10');
+      expect(() => validateToneOptions({ sharpenAmount: -1 })).toThrow('sharpenAmount must be between 0 and 500');
+      expect(() => validateToneOptions({ sharpenRadius: 0 })).toThrow('sharpenRadius must be between 0.5 and 10');
+      expect(() => validateToneOptions({ autoLevels: 'yes' })).toThrow('autoLevels must be a boolean');
+    });
+
+    it('should reject malformed tone curves', () => {
+      expect(() => validateToneOptions({ toneCurve: [[0, 0]] })).toThrow('at least 2 points');
+      expect(() => validateToneOptions({ toneCurve: [[0, 0], [300, 255]] })).toThrow('between 0 and 255');
+      expect(() => validateToneOptions({ toneCurve: [[128, 0], [64, 255]] })).toThrow('strictly increasing');
+    });
+  });
+
+  describe('parseToneCurve', () => {
+    it('should parse input:output pairs', () => {
+      expect(parseToneCurve('0:0,200:120,255:255')).toEqual([[0, 0], [200, 120], [255, 255]]);
+    });
+
+    it('should return undefined for missing or malformed text', () => {
+      expect(parseToneCurve(null)).toBeUndefined();
+      expect(parseToneCurve('0:0')).toBeUndefined();
+      expect(parseToneCurve('a:b,c:d')).toBeUndefined();
+    });
+  });
+
+  describe('hasToneAdjustments', () => {
+    it('should detect enabled adjustments', () => {
+      expect(hasToneAdjustments({})).toBe(false);
+      expect(hasToneAdjustments({ autoLevels: true })).toBe(true);
+      expect(hasToneAdjustments({ sharpenAmount: 50 })).toBe(true);
+      expect(hasToneAdjustments({ toneCurve: [[0, 0], [255, 255]] })).toBe(true);
+    });
+  });
+
+  describe('applyDithering integration', () => {
+    /**
+     * Light-gray theme: #f0f0f0 page with a #e0e0e0 card
+     */
+    const lightTheme = () => sharp({
+      create: { width: 32, height: 32, channels: 3, background: { r: 240, g: 240, b: 240 } },
+    })
+      .composite([{
+        input: { create: { width: 16, height: 16, channels: 3, background: { r: 224, g: 224, b: 224 } } },
+        left: 8,
+        top: 8,
+      }])
+      .png()
+      .toBuffer();
+
+    it('should keep light-gray themes from washing out on 2-bit panels', async () => {
+      const input = await lightTheme();
+      const plain = await sharp(await applyDithering(input, { method: 'none', bitDepth: 2 }))
+        .extractChannel(0).raw().toBuffer();
+      const leveled = await sharp(await applyDithering(input, { method: 'none', bitDepth: 2, autoLevels: true }))
+        .extractChannel(0).raw().toBuffer();
+
+      expect(new Set(plain)).toEqual(new Set([255]));
+      expect(new Set(leveled)).toEqual(new Set([0, 255]));
+    });
+
+    it('should apply tone adjustments at 8-bit without dithering', async () => {
+      const input = await lightTheme();
+      const result = await applyDithering(input, {
+        method: 'none',
+        bitDepth: 8,
+        toneCurve: [[0, 0], [240, 128], [255, 255]],
+      });
+
+      expect(result.equals(input)).toBe(false);
+      const data = await sharp(result).extractChannel(0).raw().toBuffer();
+      expect(data[0]).toBe(128);
+    });
+
+    it('should reject invalid tone options', async () => {
+      const input = await lightTheme();
+      await expect(applyDithering(input, { sharpenAmount: 1000 })).rejects.toThrow('sharpenAmount');
+    });
+  });
+});
@@ -161,6 +161,24 @@ describe('Visual Regression: Dithering Quality', () => {
       expect(areSame).toBe(false);
     });
 
+    it('blue-noise should differ from ordered and keep the tone', async () => {
+      const ordered = await applyDithering(testInputBuffer, { method: 'ordered', bitDepth: 1 });
+      const blueNoise = await applyDithering(testInputBuffer, { method: 'blue-noise', bitDepth: 1 });
+
+      writeFileSync(join(snapshotsDir, 'test-blue-noise.png'), blueNoise);
+
+      // Compare raw pixels directly; pixelmatch on two dithered images is slow
+      const pixels = async (buf) => sharp(buf).extractChannel(0).raw().toBuffer();
+      const a = await pixels(ordered);
+      const b = await pixels(blueNoise);
+      const differing = a.filter((value, i) => value !== b[i]).length;
+      expect(differing / a.length).toBeGreaterThan(0.05);
+
+      // Both threshold methods preserve overall brightness
+      const mean = (data) => data.reduce((sum, value) => sum + value, 0) / data.length;
+      expect(Math.abs(mean(a) - mean(b))).toBeLessThan(5);
+    });
+
     it('dithered should look different from simple threshold', async () => {
       const dithered = await applyDithering(testInputBuffer, {
         method: 'floyd-steinberg',
@@ -328,6 +346,95 @@ describe('Visual Regression: Dithering Quality', () => {
     });
   });
 
+  describe('Error Diffusion Kernels', () => {
+    // Golden images were generated from the undithered 8-bit reference
+    // resized to 800px wide, dithered to 1-bit with each kernel
+    let kernelInputBuffer;
+
+    beforeAll(async () => {
+      const referenceBuffer = readFileSync(join(expectedDir, 'plugin-f39aec-8bit.png'));
+      kernelInputBuffer = await sharp(referenceBuffer).resize(800, null).png().toBuffer();
+    });
+
+    it.each(['atkinson', 'jarvis-judice-ninke', 'stucki', 'burkes', 'sierra'])(
+      'should match the %s golden image',
+      async (method) => {
+        const result = await applyDithering(kernelInputBuffer, { method, bitDepth: 1 });
+        writeFileSync(join(snapshotsDir, `test-1bit-${method}.png`), result);
+
+        const expected = readFileSync(join(expectedDir, `plugin-f39aec-1bit-${method}.png`));
+        const comparison = await compareImages(result, expected);
+        expect(comparison.percentageDifference).toBeLessThanOrEqual(1);
+
+        const histogram = await getColorHistogram(result);
+        expect(histogram.uniqueColors).toBe(2);
+      }
+    );
+
+    it('atkinson should differ from floyd-steinberg', async () => {
+      const floyd = await applyDithering(kernelInputBuffer, { method: 'floyd-steinberg', bitDepth: 1 });
+      const atkinson = await applyDithering(kernelInputBuffer, { method: 'atkinson', bitDepth: 1 });
+
+      const areSame = await areImagesSimilar(floyd, atkinson, 1);
+      expect(areSame).toBe(false);
+    });
+  });
+
+  describe('Color Palettes', () => {
+    let colorInputBuffer;
+
+    beforeAll(async () => {
+      // Hue sweep left to right, fading to white at the top and black at the bottom
+      const width = 360;
+      const height = 120;
+      const pixels = Buffer.alloc(width * height * 3);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const hue = [0, 120, 240].map((offset) =>
+            Math.max(0, Math.cos(((x - offset) * Math.PI) / 180)) * 255
+          );
+          const t = y / (height - 1);
+          const rgb = hue.map((c) => (t < 0.5 ? c + (255 - c) * (1 - 2 * t) : c * (2 - 2 * t)));
+          pixels.set(rgb.map(Math.round), (y * width + x) * 3);
+        }
+      }
+      colorInputBuffer = await sharp(pixels, { raw: { width, height, channels: 3 } }).png().toBuffer();
+      writeFileSync(join(snapshotsDir, 'test-color-input.png'), colorInputBuffer);
+    });
+
+    /**
+     * Count distinct RGB triplets in an image
+     */
+    async function countColors(buffer) {
+      const { data } = await sharp(buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+      const colors = new Set();
+      for (let i = 0; i < data.length; i += 3) colors.add((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
+      return colors.size;
+    }
+
+    it.each([
+      ['bw', 2],
+      ['bwr', 3],
+      ['bwy', 3],
+      ['acep-7', 7],
+      ['spectra-6', 6],
+    ])('should dither to the %s palette using only its colors', async (palette, paletteSize) => {
+      const result = await applyDithering(colorInputBuffer, { palette });
+      writeFileSync(join(snapshotsDir, `test-palette-${palette}.png`), result);
+
+      expect(await countColors(result)).toBe(paletteSize);
+    });
+
+    it.each(['acep-7', 'spectra-6'])('should keep average brightness with %s', async (palette) => {
+      const result = await applyDithering(colorInputBuffer, { palette });
+
+      // Full-gamut palettes let error diffusion preserve overall brightness
+      const inputStats = await sharp(colorInputBuffer).greyscale().stats();
+      const outputStats = await sharp(result).greyscale().stats();
+      expect(Math.abs(inputStats.channels[0].mean - outputStats.channels[0].mean)).toBeLessThan(8);
+    });
+  });
+
   describe('Edge Cases', () => {
     it('should handle pure white image', async () => {
       const whiteImage = await sharp({
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * Blue Noise Mask Generator
+ *
+ * Generates the tileable blue-noise threshold mask used by the `blue-noise`
+ * dithering method, using Ulichney's void-and-cluster algorithm on a torus.
+ * The output is deterministic (seeded PRNG), so regenerating produces the
+ * same file.
+ *
+ * Usage: npm run blue-noise
+ *
+ * Output: assets/blue-noise-64.png (8-bit grayscale, every rank 0-4095
+ * scaled to 0-255)
+ */
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const SIZE = 64;
+const SIGMA = 1.5;
+const INITIAL_DENSITY = 0.1;
+const SEED = 0x7a3d1c;
+const outputPath = join(__dirname, '../assets/blue-noise-64.png');
+
+/**
+ * Small deterministic PRNG (mulberry32)
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Toroidal Gaussian weights indexed by wrapped (dy * SIZE + dx)
+ */
+function createKernel() {
+  const kernel = new Float64Array(SIZE * SIZE);
+  for (let dy = 0; dy < SIZE; dy++) {
+    for (let dx = 0; dx < SIZE; dx++) {
+      const wx = Math.min(dx, SIZE - dx);
+      const wy = Math.min(dy, SIZE - dy);
+      kernel[dy * SIZE + dx] = Math.exp(-(wx * wx + wy * wy) / (2 * SIGMA * SIGMA));
+    }
+  }
+  return kernel;
+}
+
+/**
+ * Energy field tracking how clustered the "on" pixels are
+ */
+class EnergyField {
+  constructor(kernel) {
+    this.kernel = kernel;
+    this.energy = new Float64Array(SIZE * SIZE);
+  }
+
+  update(index, sign) {
+    const px = index % SIZE;
+    const py = Math.floor(index / SIZE);
+    for (let y = 0; y < SIZE; y++) {
+      const dy = (y - py + SIZE) % SIZE;
+      for (let x = 0; x < SIZE; x++) {
+        const dx = (x - px + SIZE) % SIZE;
+        this.energy[y * SIZE + x] += sign * this.kernel[dy * SIZE + dx];
+      }
+    }
+  }
+
+  /** Highest-energy pixel whose pattern value equals `value` */
+  tightestCluster(pattern, value) {
+    let best = -1;
+    for (let i = 0; i < pattern.length; i++) {
+      if (pattern[i] === value && (best < 0 || this.energy[i] > this.energy[best])) best = i;
+    }
+    return best;
+  }
+
+  /** Lowest-energy pixel whose pattern value equals `value` */
+  largestVoid(pattern, value) {
+    let best = -1;
+    for (let i = 0; i < pattern.length; i++) {
+      if (pattern[i] === value && (best < 0 || this.energy[i] < this.energy[best])) best = i;
+    }
+    return best;
+  }
+}
+
+function buildField(pattern, kernel, value) {
+  const field = new EnergyField(kernel);
+  pattern.forEach((bit, index) => {
+    if (bit === value) field.update(index, 1);
+  });
+  return field;
+}
+
+function generateMask() {
+  const total = SIZE * SIZE;
+  const kernel = createKernel();
+  const random = createRandom(SEED);
+
+  // Initial binary pattern: random points relaxed until stable
+  const initial = new Uint8Array(total);
+  let ones = 0;
+  while (ones < total * INITIAL_DENSITY) {
+    const index = Math.floor(random() * total);
+    if (!initial[index]) {
+      initial[index] = 1;
+      ones++;
+    }
+  }
+
+  const relax = buildField(initial, kernel, 1);
+  for (;;) {
+    const cluster = relax.tightestCluster(initial, 1);
+    initial[cluster] = 0;
+    relax.update(cluster, -1);
+    const voidIndex = relax.largestVoid(initial, 0);
+    initial[voidIndex] = 1;
+    relax.update(voidIndex, 1);
+    if (voidIndex === cluster) break;
+  }
+
+  const ranks = new Int32Array(total);
+
+  // Phase 1: remove tightest clusters from the initial pattern
+  const phase1 = Uint8Array.from(initial);
+  const field1 = buildField(phase1, kernel, 1);
+  for (let rank = ones - 1; rank >= 0; rank--) {
+    const cluster = field1.tightestCluster(phase1, 1);
+    phase1[cluster] = 0;
+    field1.update(cluster, -1);
+    ranks[cluster] = rank;
+  }
+
+  // Phase 2: fill largest voids up to half coverage
+  const pattern = Uint8Array.from(initial);
+  const field2 = buildField(pattern, kernel, 1);
+  let rank = ones;
+  for (; rank < total / 2; rank++) {
+    const voidIndex = field2.largestVoid(pattern, 0);
+    pattern[voidIndex] = 1;
+    field2.update(voidIndex, 1);
+    ranks[voidIndex] = rank;
+  }
+
+  // Phase 3: fill the rest by removing tightest clusters of "off" pixels
+  const field3 = buildField(pattern, kernel, 0);
+  for (; rank < total; rank++) {
+    const cluster = field3.tightestCluster(pattern, 0);
+    pattern[cluster] = 1;
+    field3.update(cluster, -1);
+    ranks[cluster] = rank;
+  }
+
+  return Uint8Array.from(ranks, (value) => Math.floor((value * 256) / total));
+}
+
+const mask = generateMask();
+await sharp(Buffer.from(mask), { raw: { width: SIZE, height: SIZE, channels: 1 } })
+  .toColourspace('b-w')
+  .png({ compressionLevel: 9 })
+  .toFile(outputPath);
+
+console.log(`Blue noise mask written to ${outputPath}`);